@@ -0,0 +1,534 @@
+import { open, stat } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { pipeline } from 'node:stream/promises';
+import * as path from 'path';
+import { readJsonFile } from './commonUtils.js';
+import { ApiError, InvalidArgumentError } from './errors.js';
+import logger, { runWithRunLog, serializeError } from './logger.js';
+import { createScraper } from './scraper.js';
+import { LATEST_SNAPSHOT_LINK, SNAPSHOTS_DIRECTORY } from './snapshots.js';
+
+// Number of books of a page unless asked otherwise, and the largest page
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Largest request body accepted, since run options are small objects
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Options of the runs which may be given in the body of a POST /runs request
+const RUN_OPTIONS = ['resume', 'skipAssets'];
+
+/**
+ * Send a JSON response
+ * @param {ServerResponse} response The response
+ * @param {number} statusCode Status code of the response
+ * @param {*} body Data sent as JSON
+ * @param {Object} [headers] Additional response headers
+ */
+const sendJson = (response, statusCode, body, headers = {}) => {
+  response.writeHead(statusCode, {
+    'content-type': 'application/json; charset=utf-8',
+    ...headers,
+  });
+  response.end(JSON.stringify(body));
+};
+
+/**
+ * Create a cache of JSON files which are parsed again only once they change,
+ * so that each request does not parse the whole book data
+ * @returns {{read: function(string): Promise<*>}} A JSON file cache object
+ */
+const createJsonFileCache = () => {
+  const entries = new Map();
+  return {
+    /**
+     * Read a JSON file, or its cached data if it did not change
+     * @param {string} filePath Path of the file
+     * @returns {Promise<*>} A promise which resolves the parsed data or null if the file does not exist
+     */
+    read: async (filePath) => {
+      let stats;
+      try {
+        stats = await stat(filePath);
+      } catch (error) {
+        return null;
+      }
+      const cached = entries.get(filePath);
+      if (cached?.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+        return cached.data;
+      }
+      try {
+        const data = await readJsonFile(filePath);
+        entries.set(filePath, {
+          mtimeMs: stats.mtimeMs,
+          size: stats.size,
+          data,
+        });
+        return data;
+      } catch (error) {
+        // A file being rewritten by a run cannot be parsed until it is complete
+        if (cached) {
+          return cached.data;
+        }
+        throw error;
+      }
+    },
+  };
+};
+
+/**
+ * Parse an optional number query parameter
+ * @param {URLSearchParams} query The query parameters
+ * @param {string} name Name of the parameter
+ * @param {{min?: number, max?: number, integer?: boolean}} [constraints] Range and type of the number
+ * @returns {number|null} The parsed number or null if the parameter is not given
+ * @throws {InvalidArgumentError} An invalid argument error if the parameter is not a valid number
+ */
+const parseNumberParameter = (
+  query,
+  name,
+  { min = -Infinity, max = Infinity, integer = false } = {}
+) => {
+  const value = query.get(name);
+  if (value === null) {
+    return null;
+  }
+  const number = Number(value);
+  if (
+    value.trim() === '' ||
+    !Number.isFinite(number) ||
+    (integer && !Number.isInteger(number)) ||
+    number < min ||
+    number > max
+  ) {
+    throw new InvalidArgumentError(
+      `${name} must be ${
+        integer ? 'an integer' : 'a number'
+      } from ${min} to ${max}`
+    );
+  }
+  return number;
+};
+
+/**
+ * Parse the filters and the page of a GET /books request
+ * @param {URLSearchParams} query The query parameters
+ * @returns {{filters: function(Object): boolean, page: number, pageSize: number}} A predicate which
+ * tells whether a book matches the filters, along with the page to return
+ * @throws {InvalidArgumentError} An invalid argument error if a parameter is not valid
+ */
+const parseBookQuery = (query) => {
+  const category = query.get('category')?.toLowerCase() ?? null;
+  const rating = parseNumberParameter(query, 'rating', {
+    min: 1,
+    max: 5,
+    integer: true,
+  });
+  const minRating = parseNumberParameter(query, 'minRating', {
+    min: 1,
+    max: 5,
+    integer: true,
+  });
+  const minPrice = parseNumberParameter(query, 'minPrice', { min: 0 });
+  const maxPrice = parseNumberParameter(query, 'maxPrice', { min: 0 });
+  const inStock = query.get('inStock');
+  if (inStock !== null && inStock !== 'true' && inStock !== 'false') {
+    throw new InvalidArgumentError('inStock must be true or false');
+  }
+  return {
+    // Prices are compared including tax, as displayed on the site
+    filters: (book) =>
+      (category === null || book.category?.toLowerCase() === category) &&
+      (rating === null || book.rating === rating) &&
+      (minRating === null || book.rating >= minRating) &&
+      (minPrice === null || book.priceInclTax >= minPrice) &&
+      (maxPrice === null || book.priceInclTax <= maxPrice) &&
+      (inStock === null || book.inStock === (inStock === 'true')),
+    page: parseNumberParameter(query, 'page', { min: 1, integer: true }) ?? 1,
+    pageSize:
+      parseNumberParameter(query, 'pageSize', {
+        min: 1,
+        max: MAX_PAGE_SIZE,
+        integer: true,
+      }) ?? DEFAULT_PAGE_SIZE,
+  };
+};
+
+/**
+ * Read the JSON body of a request
+ * @param {IncomingMessage} request The request
+ * @returns {Promise<Object>} A promise which resolves the parsed body, an empty object if there is no body
+ * @throws {ApiError} An API error if the body is too large or is not a JSON object
+ */
+const readJsonBody = async (request) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      throw new ApiError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (text.trim() === '') {
+    return {};
+  }
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw new ApiError(400, 'Request body must be a JSON object');
+  }
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new ApiError(400, 'Request body must be a JSON object');
+  }
+  return body;
+};
+
+/**
+ * Start the HTTP API over the scraped data of a data directory. When snapshots
+ * are kept, the books and the categories are served from the latest snapshot,
+ * so that a run in progress never exposes partial data, and from the outputs
+ * of the last run otherwise. Runs started through the API scrape with the
+ * given options.
+ * @param {Object} [options] API options along with the options of the scraping jobs, such as the
+ * data directory and the number of snapshots to keep
+ * @param {number} [options.port] Port of the API, 0 for a random port
+ * @param {string} [options.host] Host name or address the API listens on
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>} A promise which resolves the
+ * base URL of the API and a function which stops it
+ */
+export const startApiServer = async ({
+  port = 3000,
+  host = '127.0.0.1',
+  ...scraperOptions
+} = {}) => {
+  const dataDir = scraperOptions.dataDir ?? 'data';
+  const files = createJsonFileCache();
+  // Runs started through the API keyed by run ID
+  const runs = new Map();
+  // Promise of the run in progress, which is over once it settles
+  let runInProgress = null;
+
+  /**
+   * Read a data file from the latest snapshot if snapshots are kept, or else
+   * from the data directory
+   * @param {string} fileName Name of the data file
+   * @returns {Promise<*>} A promise which resolves the parsed data or null if there is no such file
+   */
+  const readDataFile = async (fileName) =>
+    ((scraperOptions.keepSnapshots ?? 0) > 0
+      ? await files.read(path.join(dataDir, LATEST_SNAPSHOT_LINK, fileName))
+      : null) ?? files.read(path.join(dataDir, fileName));
+
+  /**
+   * Read the scraped book data
+   * @returns {Promise<Object[]>} A promise which resolves the book data
+   * @throws {ApiError} An API error if no book data was scraped yet
+   */
+  const readBookData = async () => {
+    const bookData = await readDataFile('book-data.json');
+    if (bookData === null) {
+      throw new ApiError(404, 'No book data scraped yet');
+    }
+    return bookData;
+  };
+
+  /**
+   * Describe a run for the API
+   * @param {Object} run The run
+   * @returns {Object} The ID, status, times, progress, summary and error of the run
+   */
+  const describeRun = (run) => ({
+    id: run.id,
+    status: run.status,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    progress: run.status === 'running' ? run.job.getProgress() : null,
+    summary: run.summary,
+    error: run.error,
+  });
+
+  /**
+   * Start a scraping run, which is recorded along with its summary once over
+   * @param {Object} options Options of the run overriding the options of the API
+   * @returns {Promise<Object>} A promise which resolves the run once it started
+   */
+  const startRun = (options) =>
+    new Promise((resolveStarted) => {
+      runInProgress = runWithRunLog(async (runId) => {
+        const run = {
+          id: runId,
+          status: 'running',
+          startedAt: new Date().toISOString(),
+          finishedAt: null,
+          summary: null,
+          error: null,
+          job: createScraper({ ...scraperOptions, ...options }),
+        };
+        runs.set(runId, run);
+        resolveStarted(run);
+        let status = 'completed';
+        let runError = null;
+        try {
+          await run.job.run();
+        } catch (error) {
+          logger.error(error.message, { error });
+          status = 'failed';
+          runError = serializeError(error, false);
+        }
+        const summary = await readJsonFile(
+          path.join(dataDir, 'run-summary.json')
+        ).catch(() => null);
+        // The run is reported as over along with its summary, while the
+        // summary of another run is left out, such as when the job was locked
+        Object.assign(run, {
+          status: summary?.runId === runId ? summary.status : status,
+          finishedAt: new Date().toISOString(),
+          summary: summary?.runId === runId ? summary : null,
+          error: runError,
+        });
+      }).finally(() => {
+        runInProgress = null;
+      });
+    });
+
+  /**
+   * Find a run, either started through the API or recorded in the data
+   * directory by another command, such as the daemon
+   * @param {string} id ID of the run
+   * @returns {Promise<Object|null>} A promise which resolves the description of the run or null if unknown
+   */
+  const findRun = async (id) => {
+    if (runs.has(id)) {
+      return describeRun(runs.get(id));
+    }
+    const summaryFilePaths = [
+      path.join(dataDir, SNAPSHOTS_DIRECTORY, id, 'run-summary.json'),
+      path.join(dataDir, 'run-summary.json'),
+    ];
+    for (const filePath of summaryFilePaths) {
+      const summary = await readJsonFile(filePath).catch(() => null);
+      if (summary?.runId === id) {
+        return {
+          id,
+          status: summary.status,
+          startedAt: summary.startedAt,
+          finishedAt: summary.finishedAt,
+          progress: null,
+          summary,
+          error: null,
+        };
+      }
+    }
+    return null;
+  };
+
+  // Handlers of the endpoints keyed by method along with their path patterns
+  const routes = [
+    {
+      method: 'GET',
+      pattern: /^\/books$/,
+      handle: async (request, response, query) => {
+        const { filters, page, pageSize } = parseBookQuery(query);
+        const books = (await readBookData()).filter(filters);
+        sendJson(response, 200, {
+          total: books.length,
+          page,
+          pageSize,
+          totalPages: Math.ceil(books.length / pageSize),
+          books: books.slice((page - 1) * pageSize, page * pageSize),
+        });
+      },
+    },
+    {
+      method: 'GET',
+      pattern: /^\/books\/([^/]+)$/,
+      handle: async (request, response, query, upc) => {
+        const book = (await readBookData()).find((book) => book.upc === upc);
+        if (!book) {
+          throw new ApiError(404, `No book found with the UPC ${upc}`);
+        }
+        sendJson(response, 200, book);
+      },
+    },
+    {
+      method: 'GET',
+      pattern: /^\/categories$/,
+      handle: async (request, response) => {
+        const categoryIndex = await readDataFile('categories.json');
+        if (categoryIndex === null) {
+          throw new ApiError(404, 'No categories recorded yet');
+        }
+        sendJson(response, 200, categoryIndex);
+      },
+    },
+    {
+      method: 'GET',
+      pattern: /^\/assets\/([^/]+)$/,
+      handle: async (request, response, query, upc) => {
+        // The assets are shared by the runs, hence only the asset of a book
+        // served by /books, with the image URL of that book, is served
+        const book = (await readBookData()).find((book) => book.upc === upc);
+        const assetDirectory = path.join(dataDir, 'assets');
+        const manifest =
+          (await files.read(path.join(assetDirectory, 'manifest.json'))) ?? {};
+        const asset = Object.hasOwn(manifest, upc) ? manifest[upc] : null;
+        if (!book || !asset || (book.imageUrl && book.imageUrl !== asset.url)) {
+          throw new ApiError(404, `No asset found for the UPC ${upc}`);
+        }
+        // Only files of the asset directory are served
+        let file;
+        try {
+          file = await open(
+            path.join(assetDirectory, path.basename(asset.file))
+          );
+        } catch (error) {
+          throw new ApiError(404, `No asset found for the UPC ${upc}`);
+        }
+        try {
+          const etag = `"${asset.sha256}"`;
+          if (request.headers['if-none-match'] === etag) {
+            response.writeHead(304, { etag });
+            response.end();
+            return;
+          }
+          response.writeHead(200, {
+            'content-type': asset.mimeType,
+            'content-length': (await file.stat()).size,
+            etag,
+          });
+          // The response is ended early if the file cannot be read or the
+          // client goes away, which is logged since the status is already sent
+          await pipeline(file.createReadStream({ autoClose: false }), response);
+        } catch (error) {
+          if (!response.headersSent) {
+            throw error;
+          }
+          logger.warn(`Asset of the UPC ${upc} could not be sent`, {
+            error,
+            url: request.url,
+          });
+        } finally {
+          await file.close();
+        }
+      },
+    },
+    {
+      method: 'POST',
+      pattern: /^\/runs$/,
+      handle: async (request, response) => {
+        const body = await readJsonBody(request);
+        const options = {};
+        for (const [name, value] of Object.entries(body)) {
+          if (!RUN_OPTIONS.includes(name) || typeof value !== 'boolean') {
+            throw new ApiError(
+              400,
+              `Run options must be booleans among ${RUN_OPTIONS.join(', ')}`
+            );
+          }
+          options[name] = value;
+        }
+        if (runInProgress) {
+          throw new ApiError(409, 'A scraping run is still running');
+        }
+        const run = await startRun(options);
+        logger.info(`Scraping run ${run.id} started through the API`);
+        sendJson(response, 202, describeRun(run), {
+          location: `/runs/${run.id}`,
+        });
+      },
+    },
+    {
+      method: 'GET',
+      pattern: /^\/runs\/([\w-]+)$/,
+      handle: async (request, response, query, id) => {
+        const run = await findRun(id);
+        if (!run) {
+          throw new ApiError(404, `No run found with the ID ${id}`);
+        }
+        sendJson(response, 200, run);
+      },
+    },
+  ];
+
+  const server = createServer(async (request, response) => {
+    try {
+      let url;
+      try {
+        url = new URL(request.url, 'http://localhost');
+      } catch (error) {
+        throw new ApiError(400, `Malformed request path ${request.url}`);
+      }
+      const { pathname, searchParams } = url;
+      const matchingRoutes = routes
+        .map((route) => ({ route, match: pathname.match(route.pattern) }))
+        .filter(({ match }) => match);
+      if (matchingRoutes.length === 0) {
+        throw new ApiError(404, 'Not Found');
+      }
+      const matchingRoute = matchingRoutes.find(
+        ({ route }) => route.method === request.method
+      );
+      if (!matchingRoute) {
+        response.setHeader(
+          'allow',
+          matchingRoutes.map(({ route }) => route.method).join(', ')
+        );
+        throw new ApiError(405, 'Method Not Allowed');
+      }
+      const parameters = matchingRoute.match.slice(1).map((parameter) => {
+        try {
+          return decodeURIComponent(parameter);
+        } catch (error) {
+          throw new ApiError(400, `Malformed path parameter ${parameter}`);
+        }
+      });
+      await matchingRoute.route.handle(
+        request,
+        response,
+        searchParams,
+        ...parameters
+      );
+    } catch (error) {
+      if (error instanceof ApiError) {
+        sendJson(response, error.statusCode, { error: error.message });
+      } else if (error instanceof InvalidArgumentError) {
+        sendJson(response, 400, { error: error.message });
+      } else {
+        logger.error(error.message, { error, url: request.url });
+        sendJson(response, 500, { error: 'Internal Server Error' });
+      }
+    }
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const url = `http://${host}:${server.address().port}`;
+  logger.info(`API served at ${url}`);
+
+  return {
+    url,
+
+    /**
+     * Stop the API. A run in progress is aborted, its crawl state being
+     * saved so that a later run resumes it.
+     * @param {*} [reason] The reason why the run in progress is aborted
+     * @returns {Promise<void>} A promise which resolves once the run is over and the server is closed
+     */
+    close: async (reason = new Error('API server stopped')) => {
+      if (runInProgress) {
+        [...runs.values()]
+          .filter((run) => run.status === 'running')
+          .forEach((run) => run.job.abort(reason));
+        await runInProgress;
+      }
+      await new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      });
+    },
+  };
+};
@@ -1,45 +1,347 @@
-import * as dotenv from 'dotenv';
-import logger from './logger.js';
+import * as path from 'path';
+import logger, { runWithLogContext } from './logger.js';
 import {
   constructAllBookPageUrls,
   constructCatalogPageUrls,
-  downloadBookImages,
+  createBookImageDownloader,
+  discoverCatalogPageUrls,
   extractAllBookInfo,
+  processBookImages,
+  streamBookInfo,
+  streamBookPageUrls,
 } from './scrapingUtils.js';
 import { getDuration, writeToJsonFile } from './commonUtils.js';
-
-// Configure dotenv
-dotenv.config();
+import { createQualityReport } from './validation.js';
+import { QualityThresholdError } from './errors.js';
+import {
+  getFailureLevel,
+  listFailures,
+  listSkipped,
+} from './failureManifest.js';
+import { appendChangelogHistory, createChangelog } from './changeDetection.js';
+import { downloadSiteAssets, extractSiteRecords } from './siteEngine.js';
+import { findSimilarImages } from './imageProcessing.js';
+import { createTaskPool } from './pipeline.js';
+import {
+  countScrapedBooks,
+  findCountMismatches,
+  loadCategoryIndex,
+} from './categories.js';
 
 /**
- * Execute book scraping job
+ * Discover all catalog page URLs of the website
  * @param {string} baseUrl The home page URL of the book scraping website
- * @param {string} outputFilePath The file path in which the scraped data should be persisted
- * @returns {Promise<Object[]>} A promise which resolves a list of book data
+ * @param {Object} crawlState Crawl state used to record the visited catalog pages
+ * @param {{pagination: string, startUrls: string[]}} discovery Catalog page discovery options
+ * @param {Object} [failures] Failure manifest used to record the pages which could not be loaded
+ * @returns {Promise<string[]>} A promise which resolves a list of catalog page URLs
  */
-const executeBookScrapingJob = async (baseUrl, outputFilePath) => {
-  logger.info('Book data scraping job started');
-
-  // The job starting time
-  const start = performance.now();
+const discoverAllCatalogPageUrls = async (
+  baseUrl,
+  crawlState,
+  { pagination, startUrls },
+  failures
+) => {
+  // Compute page URLs from the "Page 1 of N" text of the home page
+  if (pagination === 'pageCount') {
+    return constructCatalogPageUrls(baseUrl, failures);
+  }
+  // Follow the next page links of each start page, such as category pages
+  const catalogPageUrls = [];
+  for (const startUrl of startUrls.length > 0 ? startUrls : [baseUrl]) {
+    catalogPageUrls.push(
+      ...(await discoverCatalogPageUrls(startUrl, crawlState, failures))
+    );
+  }
+  return [...new Set(catalogPageUrls)];
+};
 
-  // Construct all book catalog page URLs
-  const catalogPageUrls = await constructCatalogPageUrls(baseUrl);
+/**
+ * Discover all catalog page URLs of the website unless a previous run already did
+ * @param {string} baseUrl The home page URL of the book scraping website
+ * @param {Object} crawlState Crawl state used to skip work finished by a previous run
+ * @param {{pagination: string, startUrls: string[]}} discovery Catalog page discovery options
+ * @param {Object} [failures] Failure manifest used to record the pages which could not be loaded
+ * @returns {Promise<string[]>} A promise which resolves a list of catalog page URLs
+ */
+const discoverCatalogPages = async (
+  baseUrl,
+  crawlState,
+  discovery,
+  failures
+) => {
+  let catalogPageUrls = crawlState.getCatalogPageUrls();
+  if (!catalogPageUrls) {
+    // The home page may fail to load, which leaves no catalog page to crawl
+    catalogPageUrls =
+      (await discoverAllCatalogPageUrls(
+        baseUrl,
+        crawlState,
+        discovery,
+        failures
+      )) ?? [];
+    crawlState.setCatalogPageUrls(catalogPageUrls);
+  }
   logger.info(`Number of catalog page URLs found: ${catalogPageUrls.length}`);
+  return catalogPageUrls;
+};
+
+/**
+ * Discover all book details page URLs of the website
+ * @param {string} baseUrl The home page URL of the book scraping website
+ * @param {Object} crawlState Crawl state used to skip work finished by a previous run
+ * @param {{pagination: string, startUrls: string[]}} [discovery] Catalog page discovery options.
+ * The pageCount pagination computes the catalog page URLs from the page count on the home page while
+ * the nextLink pagination follows the next page links from each start URL.
+ * @param {Object} [failures] Failure manifest used to record the pages which could not be loaded
+ * @returns {Promise<string[]>} A promise which resolves a list of book details page URLs
+ */
+export const discoverBookPageUrls = async (
+  baseUrl,
+  crawlState,
+  discovery = { pagination: 'pageCount', startUrls: [] },
+  failures
+) => {
+  const catalogPageUrls = await discoverCatalogPages(
+    baseUrl,
+    crawlState,
+    discovery,
+    failures
+  );
 
   // Construct all book details page URLs within those catalog pages.
-  const bookPageUrls = await constructAllBookPageUrls(catalogPageUrls, baseUrl);
+  const bookPageUrls = [
+    ...new Set(
+      await constructAllBookPageUrls(catalogPageUrls, crawlState, failures)
+    ),
+  ];
+  await crawlState.flush();
   logger.info(`Number of book details page URLs found: ${bookPageUrls.length}`);
+  return bookPageUrls;
+};
+
+/**
+ * Validate book data against the book record schema and persist a quality report
+ * @param {Object[]} bookData Scraped book data
+ * @param {string} reportFilePath The file path in which the quality report should be persisted
+ * @param {number} maxFailureRate Maximum ratio of invalid book records allowed, from 0 to 1
+ * @returns {Promise<Object>} A promise which resolves the quality report summary
+ * @throws {QualityThresholdError} A quality threshold error if too many records are invalid
+ */
+export const checkDataQuality = async (
+  bookData,
+  reportFilePath,
+  maxFailureRate
+) => {
+  const qualityReport = createQualityReport();
+  bookData.forEach((record) => {
+    const violations = qualityReport.add(record);
+    if (violations.length > 0) {
+      logger.warn(
+        `Book record of ${record.url} is invalid: ${violations
+          .map(({ field, rule }) => `${field} (${rule})`)
+          .join(', ')}`,
+        { url: record.url, upc: record.upc }
+      );
+    }
+  });
+  const summary = qualityReport.summarize(maxFailureRate);
+  try {
+    await writeToJsonFile(reportFilePath, summary);
+    logger.info(`The quality report has been persisted to ${reportFilePath}`);
+  } catch (error) {
+    logger.error(error.message, { error });
+  }
+  logger.info(
+    `Number of invalid book records: ${summary.invalidRecords} of ${summary.totalRecords}`
+  );
+  if (!summary.passed) {
+    throw new QualityThresholdError(summary.failureRate, maxFailureRate);
+  }
+  return summary;
+};
+
+/**
+ * Discard the records written so far, keeping the outputs of the previous run.
+ * Writers which cannot discard their records are closed instead.
+ * @param {BookDataWriter} writer The writer whose records are discarded
+ * @returns {Promise<void>} A promise which resolves once the records are discarded or could not be
+ */
+const discardWrittenData = async (writer) => {
+  try {
+    await (writer.discard ?? writer.close)();
+  } catch (error) {
+    logger.error(error.message, { error });
+  }
+};
+
+/**
+ * Persist book data to every sink of a writer
+ * @param {Object[]} bookData Book data to persist
+ * @param {BookDataWriter} writer The writer which persists the book data to the selected sinks
+ * @returns {Promise<void>} A promise which resolves once the book data is persisted or could not be
+ */
+export const writeBookData = async (bookData, writer) => {
+  try {
+    for (const record of bookData) {
+      await writer.write(record);
+    }
+    await writer.close();
+    logger.info(
+      `The book data has been persisted to ${writer.destinations.join(', ')}`
+    );
+  } catch (error) {
+    logger.error(error.message, { error });
+    await discardWrittenData(writer);
+  }
+};
+
+/**
+ * Execute book scraping job as a streaming pipeline: the book page URLs are
+ * streamed from the catalog pages, a bounded number of book pages is extracted
+ * at once and each record is written as soon as it is extracted, while its
+ * image is downloaded in the background. Each stage waits for the next one to
+ * keep up, so that the number of pages and images in flight stays bounded,
+ * while the records are kept for the quality check and the change detection.
+ * The outputs replace the ones of the previous run only once the job
+ * completes with acceptable data: a failed or stopped job keeps them, while
+ * its records are kept by the crawl state.
+ * @param {string} baseUrl The home page URL of the book scraping website
+ * @param {BookDataWriter} writer The writer which persists the scraped data to the selected sinks
+ * @param {Object} crawlState Crawl state used to skip work finished by a previous run
+ * @param {{discovery: Object, qualityReportFilePath: string, maxFailureRate: number, failures: Object,
+ * assetDirectory: string|null, concurrency: number, events: EventEmitter, signal: AbortSignal}} options
+ * Catalog page discovery options, options of the data quality check, the failure manifest used to record the
+ * pages, fields and images which could not be scraped, the directory where the images are downloaded or null
+ * to skip them, the maximum number of pages and images processed at once by each stage, an optional event
+ * emitter of the url:discovered, discovery:completed, book:extracted and asset:saved events and an optional
+ * signal which stops the job
+ * @returns {Promise<Object[]>} A promise which resolves a list of book data, including partial book records
+ * @throws {QualityThresholdError} A quality threshold error if too many records are invalid
+ * @throws {*} The abort reason of the signal if the job was stopped, once the started downloads completed
+ */
+export const executeBookScrapingJob = async (
+  baseUrl,
+  writer,
+  crawlState,
+  {
+    discovery,
+    qualityReportFilePath,
+    maxFailureRate,
+    failures,
+    assetDirectory = null,
+    concurrency,
+    events,
+    signal,
+  }
+) => {
+  logger.info('Book data scraping job started');
 
-  // Scrape all book data from book details page URLs
-  const bookData = await extractAllBookInfo(bookPageUrls, baseUrl);
-  logger.info(`Number of books scraped: ${bookData.length}`);
+  // The job starting time
+  const start = performance.now();
 
+  let writeError = null;
+  const bookData = [];
   try {
-    await writeToJsonFile(outputFilePath, bookData);
-    logger.info(`The book data has been persisted to ${outputFilePath}`);
+    // Discover all catalog pages, whose book details pages are streamed from them
+    const catalogPageUrls = await runWithLogContext(
+      { phase: 'discovery' },
+      () => discoverCatalogPages(baseUrl, crawlState, discovery, failures)
+    );
+    signal?.throwIfAborted();
+    let bookPageUrlCount = 0;
+    const bookPageUrls = (async function* () {
+      for await (const url of streamBookPageUrls(
+        catalogPageUrls,
+        crawlState,
+        failures,
+        concurrency
+      )) {
+        // Stop loading the catalog pages once the job is stopped
+        signal?.throwIfAborted();
+        ++bookPageUrlCount;
+        events?.emit('url:discovered', url);
+        yield url;
+      }
+      events?.emit('discovery:completed', { count: bookPageUrlCount });
+    })();
+
+    // Scrape, persist and download the images of the books as they are found
+    const downloader = assetDirectory
+      ? await createBookImageDownloader(assetDirectory, crawlState)
+      : null;
+    const downloads = createTaskPool(concurrency);
+    let imageCount = 0;
+    let rejectedImages = 0;
+    try {
+      for await (const record of streamBookInfo(
+        bookPageUrls,
+        crawlState,
+        failures,
+        concurrency
+      )) {
+        signal?.throwIfAborted();
+        bookData.push(record);
+        events?.emit('book:extracted', record);
+        // Stop writing after the first failure, which is logged once and
+        // discards the written records
+        if (!writeError) {
+          await writer.write(record).catch(async (error) => {
+            writeError = error;
+            logger.error(error.message, { upc: record.upc, error });
+            await discardWrittenData(writer);
+          });
+        }
+        const [image] = getImageData([record]);
+        if (downloader && image) {
+          ++imageCount;
+          await downloads.add(async () => {
+            if (!(await downloadImage(image, downloader, failures, events))) {
+              ++rejectedImages;
+            }
+          });
+        }
+      }
+    } finally {
+      await downloads.drain();
+      await downloader?.save();
+      await crawlState.flush();
+    }
+    logger.info(`Number of book details page URLs found: ${bookPageUrlCount}`);
+    logger.info(`Number of books scraped: ${bookData.length}`);
+    logger.info(
+      `Number of partial book records: ${
+        bookData.filter((record) => record.missingFields.length > 0).length
+      }`
+    );
+    if (downloader) {
+      logger.info(
+        `Number of assets successfully downloaded: ${
+          imageCount - rejectedImages
+        } of ${imageCount}`
+      );
+    }
+
+    // Fail the job before replacing the outputs if the quality is not acceptable
+    await checkDataQuality(bookData, qualityReportFilePath, maxFailureRate);
   } catch (error) {
-    logger.error(error.message);
+    if (!writeError) {
+      logger.warn(
+        'The book data of the previous run is kept since the job did not complete'
+      );
+      await discardWrittenData(writer);
+    }
+    throw error;
+  }
+  if (!writeError) {
+    try {
+      await writer.close();
+      logger.info(
+        `The book data has been persisted to ${writer.destinations.join(', ')}`
+      );
+    } catch (error) {
+      logger.error(error.message, { error });
+    }
   }
 
   // The job completed time
@@ -54,29 +356,209 @@ const executeBookScrapingJob = async (baseUrl, outputFilePath) => {
   return bookData;
 };
 
+/**
+ * Compare the book data with the previous snapshot, persist the changelog and
+ * append it to the changelog history. The books whose page failed are not
+ * reported as removed, nor is any book when the job did not load the whole
+ * catalog, such as when it scraped the start URLs only.
+ * @param {Object[]|null} previousBookData Book data of the previous snapshot or null if there is none
+ * @param {Object[]} bookData Scraped book data
+ * @param {string} dataDirectory Data directory where the changelog and its history are saved
+ * @param {{failures: Object, startUrls: string[]}} [options] Failure manifest of the job and the start URLs
+ * the job was scoped to, if any
+ * @returns {Promise<Object>} A promise which resolves the changelog
+ */
+export const recordChanges = async (
+  previousBookData,
+  bookData,
+  dataDirectory,
+  { failures, startUrls = [] } = {}
+) => {
+  const summary = failures?.summarize() ?? {};
+  const detectRemovals =
+    startUrls.length === 0 &&
+    listFailures(summary, 'discovery').length === 0 &&
+    listSkipped(summary, 'discovery').length === 0;
+  if (!detectRemovals) {
+    logger.info(
+      'Removed books are not detected since the job did not load the whole catalog'
+    );
+  }
+  const unreachable = new Set(
+    [
+      ...listFailures(summary, 'extraction'),
+      ...listSkipped(summary, 'extraction'),
+    ].flatMap(({ url, upc }) => (upc ? [url, upc] : [url]))
+  );
+  const changelog = createChangelog(
+    previousBookData ?? [],
+    bookData,
+    new Date(),
+    { detectRemovals, unreachable }
+  );
+  logger.info(
+    `Number of books added: ${changelog.summary.added}, removed: ${changelog.summary.removed}, changed: ${changelog.summary.changed}`
+  );
+  const changelogFilePath = path.join(dataDirectory, 'changelog.json');
+  const historyFilePath = path.join(dataDirectory, 'changelog-history.ndjson');
+  try {
+    await writeToJsonFile(changelogFilePath, changelog);
+    await appendChangelogHistory(historyFilePath, changelog);
+    logger.info(`The changelog has been persisted to ${changelogFilePath}`);
+  } catch (error) {
+    logger.error(error.message, { error });
+  }
+  return changelog;
+};
+
+/**
+ * Collect the image URLs of book data along with the UPCs identifying the images
+ * @param {Object[]} bookData Scraped book data
+ * @returns {{url: string, identifier: string}[]} A list of image data
+ */
+const getImageData = (bookData) =>
+  bookData
+    // Partial book records may lack the image URL or the UPC naming the image
+    .filter((datum) => datum.imageUrl && datum.upc)
+    .map((datum) => ({
+      url: datum.imageUrl,
+      identifier: datum.upc,
+    }));
+
+/**
+ * Load the category tree of the website, count the scraped books of each
+ * category and persist the category index at categories.json. The categories
+ * whose scraped number of books differs from the number declared by their
+ * category page are reported.
+ * @param {string} baseUrl The home page URL of the book scraping website
+ * @param {Object[]} bookData Scraped book data
+ * @param {string} dataDirectory Data directory where the category index is saved
+ * @param {{failures: Object, concurrency: number, startUrls: string[]}} [options] Failure manifest used to
+ * record the pages which could not be loaded, maximum number of category pages loaded at once and the start
+ * URLs of the job, which restrict the count check to the categories given as start URLs
+ * @returns {Promise<{categories: Object[], mismatches: Object[]}>} A promise which resolves the categories
+ * and the ones whose book count does not match
+ */
+export const recordCategories = async (
+  baseUrl,
+  bookData,
+  dataDirectory,
+  { failures, concurrency, startUrls = [] } = {}
+) => {
+  const categories = countScrapedBooks(
+    await loadCategoryIndex(baseUrl, failures, concurrency),
+    bookData
+  );
+  logger.info(`Number of categories found: ${categories.length}`);
+  // Only the categories given as start URLs are scraped in full by a partial job
+  const mismatches = findCountMismatches(
+    startUrls.length > 0
+      ? categories.filter(({ url }) => startUrls.includes(url))
+      : categories
+  );
+  mismatches.forEach(({ name, url, declaredCount, scrapedCount }) =>
+    logger.warn(
+      `Category ${name} declares ${declaredCount} books but ${scrapedCount} were scraped from ${url}`,
+      { url }
+    )
+  );
+  logger.info(
+    `Number of categories with a book count mismatch: ${mismatches.length}`
+  );
+  const filePath = path.join(dataDirectory, 'categories.json');
+  try {
+    await writeToJsonFile(filePath, {
+      generatedAt: new Date().toISOString(),
+      categories,
+      mismatches,
+    });
+    logger.info(`The category index has been persisted to ${filePath}`);
+  } catch (error) {
+    logger.error(error.message, { error });
+  }
+  return { categories, mismatches };
+};
+
+/**
+ * Download an image and record it if it could not be downloaded
+ * @param {{url: string, identifier: string}} image Image data
+ * @param {Object} downloader Book image downloader
+ * @param {Object} [failures] Failure manifest used to record the image if it could not be downloaded
+ * @param {EventEmitter} [events] Event emitter of an asset:saved event with the asset manifest entry of the image
+ * @returns {Promise<boolean>} A promise which resolves true if the image is saved
+ */
+const downloadImage = (image, downloader, failures, events) =>
+  runWithLogContext(
+    { phase: 'assets', url: image.url, upc: image.identifier },
+    async () => {
+      try {
+        const entry = await downloader.download(image);
+        if (entry) {
+          events?.emit('asset:saved', {
+            identifier: image.identifier,
+            ...entry,
+          });
+        }
+        return true;
+      } catch (error) {
+        logger.log(getFailureLevel(error), error.message, { error });
+        failures?.add('assets', image.url, error, {
+          identifier: image.identifier,
+        });
+        return false;
+      }
+    }
+  );
+
+/**
+ * Download images and record the ones which could not be downloaded
+ * @param {{url: string, identifier: string}[]} imageData A list of image data
+ * @param {string} dataDirectory Data directory where images will be saved
+ * @param {Object} crawlState Crawl state used to skip and record downloaded images
+ * @param {Object} [failures] Failure manifest used to record the images which could not be downloaded
+ * @returns {Promise<number>} A promise which resolves the number of images which could not be downloaded
+ */
+const downloadImages = async (
+  imageData,
+  dataDirectory,
+  crawlState,
+  failures
+) => {
+  const downloader = await createBookImageDownloader(dataDirectory, crawlState);
+  const saved = await Promise.all(
+    imageData.map((image) => downloadImage(image, downloader, failures))
+  );
+  await downloader.save();
+  return saved.filter((isSaved) => !isSaved).length;
+};
+
 /**
  * Download assets of book data
  * @param {Object[]} bookData Scraped book data
  * @param dataDirectory Data directory where assets will be saved
+ * @param {Object} crawlState Crawl state used to skip assets downloaded by a previous run
+ * @param {Object} [failures] Failure manifest used to record the assets which could not be downloaded
  * @returns {Promise<void>} A promise which downloads and saves assets
  */
-const downloadAssets = async (bookData, dataDirectory) => {
+export const downloadAssets = async (
+  bookData,
+  dataDirectory,
+  crawlState,
+  failures
+) => {
   logger.info('Book data asset download job started');
   const start = performance.now();
-  const imageData = bookData.map((datum) => ({
-    url: datum.imageUrl,
-    identifier: datum.productInfo.find((item) => item.key === 'UPC').value,
-  }));
+  const imageData = getImageData(bookData);
   logger.info(
     `Number of assets scheduled to be downloaded: ${imageData.length}`
   );
-  let rejectedPromises = 0;
-  (await downloadBookImages(imageData, dataDirectory)).forEach((result) => {
-    if (result.status === 'rejected') {
-      ++rejectedPromises;
-      logger.error(result.reason.message);
-    }
-  });
+  const rejectedPromises = await downloadImages(
+    imageData,
+    dataDirectory,
+    crawlState,
+    failures
+  );
+  await crawlState.flush();
   logger.info(
     `Number of assets successfully downloaded: ${
       imageData.length - rejectedPromises
@@ -89,15 +571,248 @@ const downloadAssets = async (bookData, dataDirectory) => {
   );
 };
 
-const BASE_URL = 'http://books.toscrape.com';
-const DATA_DIR = process.env.DATA_DIR ?? 'data';
-let bookData;
-try {
-  bookData = await executeBookScrapingJob(
-    BASE_URL,
-    `${DATA_DIR}/book-data.json`
-  );
-} catch (error) {
-  logger.error(error.message);
-}
-await downloadAssets(bookData, `${DATA_DIR}/assets`);
+/**
+ * Process the downloaded book images and add the results to the book records
+ * under the image field: the saved file, its dimensions, its perceptual hash,
+ * the UPCs of the books sharing the same cover and the derived images
+ * @param {Object[]} bookData Scraped book data, updated in place
+ * @param {string} dataDirectory Data directory where the images are saved
+ * @param {{width: number, format: string}[]} variants The derived images to save, such as 200px WebP thumbnails
+ * @param {Object} [failures] Failure manifest used to record the images which could not be processed
+ * @returns {Promise<Object[]>} A promise which resolves the updated book data
+ */
+export const processImages = async (
+  bookData,
+  dataDirectory,
+  variants,
+  failures
+) => {
+  logger.info('Book image processing job started');
+  const start = performance.now();
+  const imageData = getImageData(bookData);
+  const results = await processBookImages(
+    imageData.map(({ identifier }) => identifier),
+    dataDirectory,
+    variants
+  );
+  const entries = new Map();
+  results.forEach((result, index) => {
+    const { url, identifier } = imageData[index];
+    if (result.status === 'rejected') {
+      logger.log(getFailureLevel(result.reason), result.reason.message, {
+        phase: 'assets',
+        url,
+        upc: identifier,
+        error: result.reason,
+      });
+      failures?.add('assets', url, result.reason, { identifier });
+    } else if (result.value) {
+      entries.set(identifier, result.value);
+    }
+  });
+
+  // Find the covers reused across books, even if resized or re-encoded
+  const similarImages = findSimilarImages(
+    new Map(
+      [...entries].map(([identifier, { image }]) => [
+        identifier,
+        image.perceptualHash,
+      ])
+    )
+  );
+  bookData.forEach((record) => {
+    const entry = entries.get(record.upc);
+    record.image = entry
+      ? {
+          file: entry.file,
+          mimeType: entry.mimeType,
+          size: entry.size,
+          sha256: entry.sha256,
+          width: entry.image.width,
+          height: entry.image.height,
+          perceptualHash: entry.image.perceptualHash,
+          similarTo: similarImages.get(record.upc),
+          variants: entry.image.variants,
+        }
+      : null;
+  });
+  logger.info(`Number of images processed: ${entries.size}`);
+  logger.info(
+    `Number of images shared with other books: ${
+      [...similarImages.values()].filter((upcs) => upcs.length > 0).length
+    }`
+  );
+
+  const end = performance.now();
+  const duration = getDuration(start, end);
+  logger.info(
+    `Book image processing job completed in ${duration.hours} hr(s) ${duration.minutes} min(s) and ${duration.seconds} sec(s)`
+  );
+  return bookData;
+};
+
+/**
+ * Retry the pages and assets which failed in a previous run and merge the
+ * recovered book records into the book data of that run
+ * @param {Object[]} bookData Book data of the previous run
+ * @param {Object} previousFailures Failure manifest summary of the previous run
+ * @param {Object} crawlState Crawl state used to skip and record finished work
+ * @param {{assetDirectory: string|null, failures: Object}} options Directory where assets will be saved or
+ * null to skip the assets, and the failure manifest used to record the failures which remain, including
+ * the previous failures which are not retried
+ * @returns {Promise<Object[]>} A promise which resolves the merged book data
+ */
+export const retryFailedJob = async (
+  bookData,
+  previousFailures,
+  crawlState,
+  { assetDirectory, failures }
+) => {
+  logger.info('Retry job of failed pages and assets started');
+  const start = performance.now();
+
+  // Keep the failures which are not retried, such as the failed images when
+  // the assets are skipped, for a later retry
+  Object.entries(previousFailures.errors ?? {}).forEach(([name, list]) =>
+    list
+      .filter(
+        (failure) =>
+          failure.phase === 'assets' && (!assetDirectory || !failure.identifier)
+      )
+      .forEach((failure) => failures.carryOver(name, failure))
+  );
+
+  // Follow the catalog pages which could not be loaded for the books they list
+  const knownBookPageUrls = new Set(bookData.map((record) => record.url));
+  const discoveredBookPageUrls = [];
+  for (const { url } of listFailures(previousFailures, 'discovery')) {
+    const catalogPageUrls = await discoverCatalogPageUrls(
+      url,
+      crawlState,
+      failures
+    );
+    discoveredBookPageUrls.push(
+      ...(await constructAllBookPageUrls(catalogPageUrls, crawlState, failures))
+    );
+  }
+
+  // Extract the failed book pages and the books which were never discovered
+  const bookPageUrls = [
+    ...new Set([
+      ...listFailures(previousFailures, 'extraction').map(({ url }) => url),
+      ...discoveredBookPageUrls.filter((url) => !knownBookPageUrls.has(url)),
+    ]),
+  ];
+  logger.info(`Number of book pages to retry: ${bookPageUrls.length}`);
+  const recoveredBookData = await extractAllBookInfo(
+    bookPageUrls,
+    crawlState,
+    failures
+  );
+  logger.info(
+    `Number of complete book records recovered: ${
+      recoveredBookData.filter((record) => record.missingFields.length === 0)
+        .length
+    }`
+  );
+
+  // Replace the records of the retried books and keep the order of the others
+  const bookDataByUrl = new Map(bookData.map((record) => [record.url, record]));
+  recoveredBookData.forEach((record) => bookDataByUrl.set(record.url, record));
+  const mergedBookData = [...bookDataByUrl.values()];
+
+  if (assetDirectory) {
+    // Retry the failed images along with the images of the recovered books
+    const imageData = [
+      ...listFailures(previousFailures, 'assets').filter(
+        ({ identifier }) => identifier
+      ),
+      ...getImageData(recoveredBookData),
+    ].filter(
+      (datum, index, list) =>
+        list.findIndex(({ identifier }) => identifier === datum.identifier) ===
+        index
+    );
+    logger.info(`Number of assets to retry: ${imageData.length}`);
+    const rejectedPromises = await downloadImages(
+      imageData,
+      assetDirectory,
+      crawlState,
+      failures
+    );
+    logger.info(
+      `Number of assets successfully downloaded: ${
+        imageData.length - rejectedPromises
+      }`
+    );
+  }
+  await crawlState.flush();
+
+  const end = performance.now();
+  const duration = getDuration(start, end);
+  logger.info(
+    `Retry job completed in ${duration.hours} hr(s) ${duration.minutes} min(s) and ${duration.seconds} sec(s)`
+  );
+  return mergedBookData;
+};
+
+/**
+ * Execute a crawl job of any site described by a site definition
+ * @param {Object} definition Site definition
+ * @param {BookDataWriter} writer The writer which persists the extracted records to the selected sinks
+ * @param {string} dataDirectory Data directory where assets will be saved
+ * @param {boolean} skipAssets Whether the assets declared by the site definition should not be downloaded
+ * @param {number} [concurrency] Maximum number of pages and assets loaded at once
+ * @returns {Promise<Object[]>} A promise which resolves the extracted records
+ * @throws {InvalidArgumentError} An invalid argument error if the site definition is not valid
+ */
+export const executeSiteCrawlJob = async (
+  definition,
+  writer,
+  dataDirectory,
+  skipAssets,
+  concurrency
+) => {
+  logger.info(`Crawl job of ${definition.name} site started`);
+  const start = performance.now();
+
+  let records;
+  try {
+    records = await extractSiteRecords(definition, concurrency);
+  } catch (error) {
+    // Nothing was written, hence the outputs of the previous run are kept
+    await discardWrittenData(writer);
+    throw error;
+  }
+  logger.info(`Number of records extracted: ${records.length}`);
+
+  try {
+    for (const record of records) {
+      await writer.write(record);
+    }
+    await writer.close();
+    logger.info(
+      `The records have been persisted to ${writer.destinations.join(', ')}`
+    );
+  } catch (error) {
+    logger.error(error.message, { error });
+    await discardWrittenData(writer);
+  }
+
+  if (!skipAssets && definition.assets?.length) {
+    const { downloaded } = await downloadSiteAssets(
+      definition,
+      records,
+      dataDirectory,
+      concurrency
+    );
+    logger.info(`Number of assets successfully downloaded: ${downloaded}`);
+  }
+
+  const end = performance.now();
+  const duration = getDuration(start, end);
+  logger.info(
+    `Crawl job of ${definition.name} site completed in ${duration.hours} hr(s) ${duration.minutes} min(s) and ${duration.seconds} sec(s)`
+  );
+  return records;
+};
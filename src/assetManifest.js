@@ -0,0 +1,58 @@
+import * as path from 'path';
+import {
+  isMatchingFile,
+  readJsonFile,
+  writeToJsonFile,
+} from './commonUtils.js';
+
+// File name of the asset manifest inside the asset directory
+export const ASSET_MANIFEST_FILE_NAME = 'manifest.json';
+
+/**
+ * Load the asset manifest of an asset directory, which maps the identifier of
+ * each asset, such as the UPC of a book, to its file, hash, size and media type
+ * @param {string} assetDirectory Directory where the assets are saved
+ * @returns {Promise<Object>} A promise which resolves an asset manifest object
+ */
+export const loadAssetManifest = async (assetDirectory) => {
+  const filePath = path.join(assetDirectory, ASSET_MANIFEST_FILE_NAME);
+  // A missing or unreadable manifest only means that nothing can be skipped
+  const entries = await readJsonFile(filePath).catch(() => ({}));
+
+  return {
+    /**
+     * @param {string} identifier Identifier of the asset
+     * @returns {Object|undefined} The manifest entry of the asset or undefined if there is none
+     */
+    get: (identifier) => entries[identifier],
+
+    /**
+     * @param {string} identifier Identifier of the asset
+     * @param {{url: string, file: string, sha256: string, size: number, mimeType: string|null}} entry
+     * The manifest entry of the downloaded asset
+     */
+    set: (identifier, entry) => {
+      entries[identifier] = entry;
+    },
+
+    /**
+     * Check whether the file of an asset is saved as recorded in the manifest
+     * @param {string} identifier Identifier of the asset
+     * @returns {Promise<boolean>} A promise which resolves true if the file matches its manifest entry
+     */
+    isSaved: async (identifier) => {
+      const entry = entries[identifier];
+      return (
+        !!entry &&
+        (await isMatchingFile(path.join(assetDirectory, entry.file), entry))
+      );
+    },
+
+    /**
+     * Persist the manifest in the asset directory
+     * @returns {Promise<boolean>} A promise which resolves true if success
+     * @throws {FileWriteError} A file write error otherwise
+     */
+    save: () => writeToJsonFile(filePath, entries),
+  };
+};
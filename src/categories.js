@@ -0,0 +1,139 @@
+import * as cheerio from 'cheerio';
+import { getHtmlResponse } from './crawler.js';
+import { getFailureLevel } from './failureManifest.js';
+import logger from './logger.js';
+import { parseCategoryId, parseCount } from './normalizers.js';
+import { mapConcurrently } from './pipeline.js';
+import { categoryLinkSelector, resultCountSelector } from './selectors.js';
+
+/**
+ * Parse the category tree of the home page sidebar into a flat list of
+ * categories, each referring to its parent category by ID
+ * @param {function} $ Cheerio load function object of the home page
+ * @param {string} homePageUrl URL of the home page
+ * @returns {{id: number, name: string, url: string, parentId: number|null}[]} A list of categories
+ * in the order of the sidebar
+ */
+export const parseCategoryTree = ($, homePageUrl) =>
+  $(categoryLinkSelector)
+    .map((index, element) => {
+      const $link = $(element);
+      const url = new URL($link.attr('href'), homePageUrl).href;
+      // The link of the parent category is a child of the enclosing list item
+      const parentHref = $link
+        .parent()
+        .parent()
+        .closest('li')
+        .children('a')
+        .attr('href');
+      return {
+        id: parseCategoryId(url),
+        name: $link.text().trim(),
+        url,
+        parentId: parentHref
+          ? parseCategoryId(new URL(parentHref, homePageUrl).href)
+          : null,
+      };
+    })
+    .get()
+    // Links which are not category pages cannot be keyed by a stable ID
+    .filter(({ id }) => id !== null);
+
+/**
+ * Extract the number of books a catalog or category page declares, as in "1000 results"
+ * @param {function} $ Cheerio load function object of the page
+ * @returns {number|null} The declared number of books or null if the page does not show it
+ */
+export const extractDeclaredBookCount = ($) =>
+  parseCount($(resultCountSelector).eq(0).text());
+
+/**
+ * Load the category tree from the home page along with the number of books
+ * each category page declares
+ * @param {string} homePageUrl URL of the home page
+ * @param {Object} [failures] Failure manifest used to record the pages which could not be loaded
+ * @param {number} [concurrency] Maximum number of category pages loaded at once
+ * @returns {Promise<Object[]>} A promise which resolves a list of categories with their declared
+ * number of books, which is null if the category page could not be loaded
+ */
+export const loadCategoryIndex = async (homePageUrl, failures, concurrency) => {
+  let categories;
+  try {
+    categories = parseCategoryTree(
+      cheerio.load(await getHtmlResponse(homePageUrl)),
+      homePageUrl
+    );
+  } catch (error) {
+    logger.log(getFailureLevel(error), error.message, {
+      phase: 'discovery',
+      url: homePageUrl,
+      error,
+    });
+    failures?.add('discovery', homePageUrl, error);
+    return [];
+  }
+  const categoryIndex = [];
+  for await (const category of mapConcurrently(
+    categories,
+    async (category) => {
+      try {
+        const $ = cheerio.load(await getHtmlResponse(category.url));
+        return { ...category, declaredCount: extractDeclaredBookCount($) };
+      } catch (error) {
+        logger.log(getFailureLevel(error), error.message, {
+          phase: 'discovery',
+          url: category.url,
+          error,
+        });
+        failures?.add('discovery', category.url, error);
+        return { ...category, declaredCount: null };
+      }
+    },
+    concurrency
+  )) {
+    categoryIndex.push(category);
+  }
+  return categoryIndex;
+};
+
+/**
+ * Count the scraped books of each category, including the books of its
+ * subcategories
+ * @param {Object[]} categories A list of categories with their parent category ID
+ * @param {Object[]} bookData Scraped book data
+ * @returns {Object[]} A list of the categories with their scraped number of books
+ */
+export const countScrapedBooks = (categories, bookData) => {
+  const parentIds = new Map(
+    categories.map(({ id, parentId }) => [id, parentId])
+  );
+  const counts = new Map();
+  bookData.forEach(({ categoryId }) => {
+    // Count the book in its category and in every ancestor category
+    const visited = new Set();
+    for (
+      let id = categoryId;
+      parentIds.has(id) && !visited.has(id);
+      id = parentIds.get(id)
+    ) {
+      visited.add(id);
+      counts.set(id, (counts.get(id) ?? 0) + 1);
+    }
+  });
+  return categories.map((category) => ({
+    ...category,
+    scrapedCount: counts.get(category.id) ?? 0,
+  }));
+};
+
+/**
+ * Find the categories whose scraped number of books differs from the number
+ * their category page declares
+ * @param {Object[]} categories A list of categories with their declared and scraped number of books
+ * @returns {Object[]} A list of the mismatching categories
+ */
+export const findCountMismatches = (categories) =>
+  categories.filter(
+    ({ declaredCount, scrapedCount }) =>
+      declaredCount !== null && declaredCount !== scrapedCount
+  );
@@ -0,0 +1,206 @@
+import { appendFile, mkdir, readFile } from 'node:fs/promises';
+import * as path from 'path';
+import { FileReadError, FileWriteError } from './errors.js';
+
+// Fields of a book record compared between two snapshots
+const TRACKED_FIELDS = [
+  'title',
+  'category',
+  'rating',
+  'description',
+  'imageUrl',
+  'productType',
+  'currency',
+  'priceExclTax',
+  'priceInclTax',
+  'tax',
+  'inStock',
+  'stockCount',
+  'reviewCount',
+];
+
+/**
+ * Index book records by UPC, ignoring records without a UPC
+ * @param {Object[]} records Book records
+ * @returns {Map<string, Object>} A map of UPC to book record
+ */
+const indexByUpc = (records) =>
+  new Map(
+    records
+      .filter((record) => record?.upc)
+      .map((record) => [record.upc, record])
+  );
+
+/**
+ * Pick the tracked fields of a book record
+ * @param {Object} record Book record
+ * @returns {Object} An object with the tracked fields of the record
+ */
+const pickTrackedFields = (record) =>
+  Object.fromEntries(
+    TRACKED_FIELDS.map((field) => [field, record[field] ?? null])
+  );
+
+// Output formats of the book data which can be read back as the previous snapshot
+export const SNAPSHOT_FORMATS = ['json', 'ndjson'];
+
+/**
+ * Compare two snapshots of book records keyed on UPC. A book missing from the
+ * current snapshot is removed only if it was looked for: books whose page
+ * failed to load are not removed, and no book is when the current snapshot
+ * covers a part of the catalog only.
+ * @param {Object[]} previousRecords Book records of the previous snapshot
+ * @param {Object[]} currentRecords Book records of the current snapshot
+ * @param {{detectRemovals: boolean, unreachable: Set<string>}} [options] Whether the current snapshot covers
+ * the whole catalog, and the UPCs and URLs of the books which could not be scraped
+ * @returns {{added: Object[], removed: Object[], changed: Object[]}} Added, removed and changed books
+ */
+export const diffSnapshots = (
+  previousRecords,
+  currentRecords,
+  { detectRemovals = true, unreachable = new Set() } = {}
+) => {
+  const previousByUpc = indexByUpc(previousRecords);
+  const currentByUpc = indexByUpc(currentRecords);
+  const added = [];
+  const changed = [];
+  currentByUpc.forEach((current, upc) => {
+    const previous = previousByUpc.get(upc);
+    if (!previous) {
+      added.push({
+        upc,
+        url: current.url,
+        values: pickTrackedFields(current),
+      });
+      return;
+    }
+    // Collect field level changes with old and new values
+    const changes = TRACKED_FIELDS.filter(
+      (field) => (previous[field] ?? null) !== (current[field] ?? null)
+    ).map((field) => ({
+      field,
+      previous: previous[field] ?? null,
+      current: current[field] ?? null,
+    }));
+    if (changes.length > 0) {
+      changed.push({ upc, url: current.url, title: current.title, changes });
+    }
+  });
+  const removed = [...previousByUpc]
+    .filter(
+      ([upc, previous]) =>
+        detectRemovals &&
+        !currentByUpc.has(upc) &&
+        !unreachable.has(upc) &&
+        !unreachable.has(previous.url)
+    )
+    .map(([upc, previous]) => ({
+      upc,
+      url: previous.url,
+      title: previous.title,
+    }));
+  return { added, removed, changed };
+};
+
+/**
+ * Create a changelog of the current snapshot compared to the previous one
+ * @param {Object[]} previousRecords Book records of the previous snapshot
+ * @param {Object[]} currentRecords Book records of the current snapshot
+ * @param {Date} [generatedAt] Time at which the current snapshot was taken
+ * @param {{detectRemovals: boolean, unreachable: Set<string>}} [options] Options of the comparison, as
+ * accepted by diffSnapshots
+ * @returns {Object} The changelog
+ */
+export const createChangelog = (
+  previousRecords,
+  currentRecords,
+  generatedAt = new Date(),
+  options = {}
+) => {
+  const { added, removed, changed } = diffSnapshots(
+    previousRecords,
+    currentRecords,
+    options
+  );
+  return {
+    generatedAt: generatedAt.toISOString(),
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+    },
+    added,
+    removed,
+    changed,
+  };
+};
+
+/**
+ * Read the book data of a previous run from one of its output files
+ * @param {string} filePath File path with extension (.json or .ndjson) of the book data
+ * @returns {Promise<Object[]>} A promise which resolves the book records
+ * @throws {FileReadError} A file read error if the book data could not be read
+ */
+export const readBookDataFile = async (filePath) => {
+  try {
+    const content = await readFile(filePath, 'utf8');
+    return path.extname(filePath) === '.ndjson'
+      ? content
+          .split('\n')
+          .filter((line) => line.trim())
+          .map((line) => JSON.parse(line))
+      : JSON.parse(content);
+  } catch (error) {
+    throw new FileReadError(filePath);
+  }
+};
+
+/**
+ * Append a changelog to the changelog history file as a single JSON line
+ * @param {string} historyFilePath File path with extension (.ndjson) of the changelog history
+ * @param {Object} changelog The changelog to append
+ * @returns {Promise<void>} A promise which resolves once the changelog is appended
+ * @throws {FileWriteError} A file write error if the changelog could not be appended
+ */
+export const appendChangelogHistory = async (historyFilePath, changelog) => {
+  try {
+    await mkdir(path.dirname(historyFilePath), { recursive: true });
+    await appendFile(historyFilePath, `${JSON.stringify(changelog)}\n`, 'utf8');
+  } catch (error) {
+    throw new FileWriteError(historyFilePath, error);
+  }
+};
+
+/**
+ * Read the history of a book from the changelog history
+ * @param {string} historyFilePath File path with extension (.ndjson) of the changelog history
+ * @param {string} upc UPC of the book
+ * @returns {Promise<Object[]>} A promise which resolves a chronological list of events of the book
+ * @throws {FileReadError} A file read error if the changelog history could not be read
+ */
+export const readBookHistory = async (historyFilePath, upc) => {
+  let changelogs;
+  try {
+    changelogs = (await readFile(historyFilePath, 'utf8'))
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  } catch (error) {
+    throw new FileReadError(historyFilePath);
+  }
+  return changelogs.flatMap(({ generatedAt, added, removed, changed }) => {
+    const addedBook = added.find((book) => book.upc === upc);
+    if (addedBook) {
+      return [{ timestamp: generatedAt, event: 'added', ...addedBook }];
+    }
+    const changedBook = changed.find((book) => book.upc === upc);
+    if (changedBook) {
+      return [{ timestamp: generatedAt, event: 'changed', ...changedBook }];
+    }
+    const removedBook = removed.find((book) => book.upc === upc);
+    if (removedBook) {
+      return [{ timestamp: generatedAt, event: 'removed', ...removedBook }];
+    }
+    return [];
+  });
+};
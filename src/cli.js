@@ -0,0 +1,732 @@
+#!/usr/bin/env node
+import * as dotenv from 'dotenv';
+import { parseArgs } from 'node:util';
+import * as path from 'path';
+import logger, {
+  enableFileLogging,
+  getErrorCount,
+  getLogContext,
+  runWithRunLog,
+  setConsoleLogging,
+} from './logger.js';
+import {
+  discoverBookPageUrls,
+  downloadAssets,
+  executeSiteCrawlJob,
+  processImages,
+  retryFailedJob,
+  writeBookData,
+} from './app.js';
+import { startApiServer } from './api.js';
+import {
+  readBookDataFile,
+  readBookHistory,
+  SNAPSHOT_FORMATS,
+} from './changeDetection.js';
+import { readJsonFile } from './commonUtils.js';
+import { createDaemon } from './daemon.js';
+import {
+  configureCache,
+  configureCrawlPolicy,
+  configureHttpClient,
+  configureScheduler,
+  DEFAULT_CONTACT,
+  DEFAULT_USER_AGENT,
+  isOffline,
+} from './crawler.js';
+import { InvalidArgumentError } from './errors.js';
+import { createFailureManifest } from './failureManifest.js';
+import { parseImageVariants } from './imageProcessing.js';
+import { withLockFile } from './lockFile.js';
+import { parseProxyUrls } from './proxyPool.js';
+import { extractBookInfo } from './scrapingUtils.js';
+import {
+  createBookDataWriter,
+  GENERIC_OUTPUT_FORMATS,
+  OUTPUT_FORMATS,
+} from './writers.js';
+import {
+  createScraper,
+  DEFAULT_BASE_URL,
+  JOB_LOCK_FILE,
+  loadJobCrawlState,
+  writeFailureManifest,
+} from './scraper.js';
+import { loadSiteDefinition } from './siteEngine.js';
+import { saveSnapshot } from './snapshots.js';
+
+// Configure dotenv
+dotenv.config();
+
+// Long-running commands which start runs of their own
+const RUNNING_COMMANDS = ['daemon', 'serve'];
+
+// Catalog page discovery modes mapped to their pagination types
+const PAGINATION_MODES = { 'page-count': 'pageCount', 'next-link': 'nextLink' };
+
+const USAGE = `Usage: web-scraping-demo <command> [options]
+
+Commands:
+  scrape                 Scrape all book data and download the book images
+  daemon                 Run the scrape command on the --schedule cron expression until SIGTERM or SIGINT
+  serve                  Serve the scraped books over an HTTP API, which also starts scrape runs, until SIGTERM
+                         or SIGINT
+  download-assets        Download the book images of previously scraped book data
+  retry-failed           Retry the pages and images listed in the failures.json of the previous run
+  extract <url>          Extract and print the book data of a single book details page
+  list-urls              Discover and print all book details page URLs
+  history <upc>          Print the recorded changes of a book over all runs
+  crawl <definition>     Crawl any site described by a site definition file, such as sites/quotes.toscrape.com.json
+
+Options:
+  --base-url <url>       Home page URL of the website (default: ${DEFAULT_BASE_URL} or the baseUrl of the site definition)
+  --output-dir <dir>     Directory in which data is persisted (default: DATA_DIR or data)
+  --format <formats>     Comma separated output formats of the book data: ${OUTPUT_FORMATS.join(
+    ', '
+  )} (default: OUTPUT_FORMATS or json)
+  --pagination <mode>    Catalog page discovery: page-count computes the pages from the "Page 1 of N" text,
+                         next-link follows the next page links (default: page-count, next-link with --start-url)
+  --start-url <url>      Catalog page to start the next-link discovery from, such as a category page (repeatable)
+  --concurrency <n>      Maximum number of requests in flight (default: MAX_CONCURRENCY or 10)
+  --rate-limit <n>       Maximum requests per second per host, 0 for no limit (default: REQUESTS_PER_SECOND or 5)
+  --jitter <ms>          Upper bound of a random delay before each request (default: REQUEST_JITTER_MS or 0)
+  --retries <n>          Maximum retries of a request failing with 429, 5xx, a timeout or a network error (default: MAX_RETRIES or 3)
+  --timeout <ms>         Timeout of each request attempt (default: REQUEST_TIMEOUT_MS or 30000)
+  --user-agent <ua>      User-Agent of the crawler, whose product token selects the robots.txt rules
+                         (default: USER_AGENT or ${DEFAULT_USER_AGENT})
+  --contact <contact>    Email address or URL sent along with the User-Agent so that site owners can reach us
+                         (default: CRAWLER_CONTACT or ${DEFAULT_CONTACT})
+  --ignore-robots-txt <host>
+                         Do not honour the robots.txt of a site we own, logged on use (repeatable,
+                         default: comma separated IGNORE_ROBOTS_TXT_HOSTS)
+  --proxy <urls>         Comma separated HTTP, HTTPS or SOCKS proxies used in turn, such as socks5://127.0.0.1:1080
+                         (repeatable, default: PROXY_URLS, HTTPS_PROXY or HTTP_PROXY)
+  --no-proxy <hosts>     Comma separated hosts requested without a proxy (default: NO_PROXY)
+  --proxy-cooldown <ms>  Time for which a proxy failing 3 times in a row is not used (default: PROXY_COOLDOWN_MS or 60000)
+  --header <header>      Custom header sent with every request, such as "Accept-Language: en" (repeatable,
+                         added to the headers of the HTTP_HEADERS JSON object)
+  --cookie <cookies>     Cookies sent with every request, such as "session=abc; theme=dark" (repeatable,
+                         default: HTTP_COOKIES)
+  --cache-dir <dir>      Directory of the HTML response cache (default: HTTP_CACHE_DIR, disabled if unset)
+  --offline              Serve HTML pages from the response cache only
+  --resume               Continue from the checkpoint of an interrupted run
+  --max-failure-rate <r> Maximum ratio of invalid book records before the job fails (default: MAX_FAILURE_RATE or 0.01)
+  --skip-assets          Do not download the book images while scraping
+  --process-images       Record the dimensions and perceptual hash of the downloaded book images and save
+                         their derived images (default: PROCESS_IMAGES or false)
+  --image-variants <v>   Comma separated derived images as <max width>:<format>, where the format is one of
+                         webp, avif, jpeg and png (default: IMAGE_VARIANTS or 200:webp)
+  --progress-interval <ms>
+                         Interval between the progress logs of the scrape command, 0 to disable them
+                         (default: PROGRESS_INTERVAL_MS or 10000)
+  --schedule <cron>      Cron expression of the daemon runs, such as "0 3 * * *" for 3 AM every day, with an
+                         optional leading seconds field (default: SCRAPE_SCHEDULE)
+  --keep-snapshots <n>   Number of snapshots of successful runs kept in snapshots/<run ID>, the last one being
+                         linked as latest, 0 to disable them (default: KEEP_SNAPSHOTS or 10)
+  --shutdown-timeout <ms>
+                         Time for which the daemon waits for a running job once stopped before it aborts the
+                         job, whose checkpoint the next run resumes (default: SHUTDOWN_TIMEOUT_MS or 30000)
+  --port <port>          Port of the HTTP API of the serve command (default: API_PORT or 3000)
+  --host <host>          Host name or address the HTTP API listens on (default: API_HOST or 127.0.0.1)
+  --metrics-port <port>  Serve the Prometheus metrics of the scrape command at http://127.0.0.1:<port>/metrics
+                         while it runs (default: METRICS_PORT, disabled if unset)
+  --log-level <level>    Minimum level of logs to write (default: LOG_LEVEL or debug)
+  --log-dir <dir>        Directory of the log files, where runs/<run ID>.log holds the logs of each run
+                         (default: LOG_DIR or logs)
+  --log-max-size <bytes> Size at which combined.log and error.log are rotated (default: LOG_MAX_SIZE or 10485760)
+  --log-max-files <n>    Number of rotated files kept for combined.log and error.log (default: LOG_MAX_FILES or 5)
+  --log-retention <days> Number of days for which the log files of the runs are kept (default: LOG_RETENTION_DAYS or 14)
+  -h, --help             Show this help
+
+The process exits with code 1 if any error was logged and 2 on invalid usage.`;
+
+// Definition of the command line options
+const OPTIONS = {
+  'base-url': { type: 'string' },
+  'output-dir': { type: 'string', default: process.env.DATA_DIR ?? 'data' },
+  pagination: { type: 'string' },
+  'start-url': { type: 'string', multiple: true, default: [] },
+  format: {
+    type: 'string',
+    multiple: true,
+    default: [process.env.OUTPUT_FORMATS ?? 'json'],
+  },
+  concurrency: {
+    type: 'string',
+    default: process.env.MAX_CONCURRENCY ?? '10',
+  },
+  'rate-limit': {
+    type: 'string',
+    default: process.env.REQUESTS_PER_SECOND ?? '5',
+  },
+  jitter: { type: 'string', default: process.env.REQUEST_JITTER_MS ?? '0' },
+  retries: { type: 'string', default: process.env.MAX_RETRIES ?? '3' },
+  timeout: {
+    type: 'string',
+    default: process.env.REQUEST_TIMEOUT_MS ?? '30000',
+  },
+  'user-agent': {
+    type: 'string',
+    default: process.env.USER_AGENT || DEFAULT_USER_AGENT,
+  },
+  contact: {
+    type: 'string',
+    default: process.env.CRAWLER_CONTACT ?? DEFAULT_CONTACT,
+  },
+  'ignore-robots-txt': {
+    type: 'string',
+    multiple: true,
+    default: [process.env.IGNORE_ROBOTS_TXT_HOSTS ?? ''],
+  },
+  proxy: {
+    type: 'string',
+    multiple: true,
+    default: [
+      process.env.PROXY_URLS ??
+        process.env.HTTPS_PROXY ??
+        process.env.https_proxy ??
+        process.env.HTTP_PROXY ??
+        process.env.http_proxy ??
+        '',
+    ],
+  },
+  'no-proxy': {
+    type: 'string',
+    default: process.env.NO_PROXY ?? process.env.no_proxy ?? '',
+  },
+  'proxy-cooldown': {
+    type: 'string',
+    default: process.env.PROXY_COOLDOWN_MS ?? '60000',
+  },
+  header: { type: 'string', multiple: true, default: [] },
+  cookie: {
+    type: 'string',
+    multiple: true,
+    default: [process.env.HTTP_COOKIES ?? ''],
+  },
+  'cache-dir': { type: 'string', default: process.env.HTTP_CACHE_DIR ?? '' },
+  offline: {
+    type: 'boolean',
+    default: process.env.HTTP_CACHE_OFFLINE === 'true',
+  },
+  'max-failure-rate': {
+    type: 'string',
+    default: process.env.MAX_FAILURE_RATE ?? '0.01',
+  },
+  resume: { type: 'boolean', default: false },
+  'skip-assets': { type: 'boolean', default: false },
+  'process-images': {
+    type: 'boolean',
+    default: process.env.PROCESS_IMAGES === 'true',
+  },
+  'image-variants': {
+    type: 'string',
+    default: process.env.IMAGE_VARIANTS ?? '200:webp',
+  },
+  'progress-interval': {
+    type: 'string',
+    default: process.env.PROGRESS_INTERVAL_MS ?? '10000',
+  },
+  schedule: { type: 'string', default: process.env.SCRAPE_SCHEDULE ?? '' },
+  'keep-snapshots': {
+    type: 'string',
+    default: process.env.KEEP_SNAPSHOTS ?? '10',
+  },
+  'shutdown-timeout': {
+    type: 'string',
+    default: process.env.SHUTDOWN_TIMEOUT_MS ?? '30000',
+  },
+  port: { type: 'string', default: process.env.API_PORT ?? '3000' },
+  host: { type: 'string', default: process.env.API_HOST ?? '127.0.0.1' },
+  'metrics-port': { type: 'string', default: process.env.METRICS_PORT ?? '' },
+  'log-level': { type: 'string', default: process.env.LOG_LEVEL ?? 'debug' },
+  'log-dir': { type: 'string', default: process.env.LOG_DIR ?? 'logs' },
+  'log-max-size': {
+    type: 'string',
+    default: process.env.LOG_MAX_SIZE ?? '10485760',
+  },
+  'log-max-files': {
+    type: 'string',
+    default: process.env.LOG_MAX_FILES ?? '5',
+  },
+  'log-retention': {
+    type: 'string',
+    default: process.env.LOG_RETENTION_DAYS ?? '14',
+  },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Parse a non-negative number option value
+ * @param {string} name Name of the option
+ * @param {string} value Raw value of the option
+ * @returns {number} The parsed number
+ * @throws {InvalidArgumentError} An invalid argument error if the value is not a non-negative number
+ */
+const parseNumberOption = (name, value) => {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number) || number < 0) {
+    throw new InvalidArgumentError(`--${name} must be a non-negative number`);
+  }
+  return number;
+};
+
+/**
+ * Parse the custom headers given as "Name: value" options, along with the
+ * headers of the HTTP_HEADERS variable given as a JSON object
+ * @param {string[]} values Values of the header options
+ * @returns {Object} The custom headers keyed by name
+ * @throws {InvalidArgumentError} An invalid argument error if a header is not a name and a value
+ */
+const parseHeaderOptions = (values) => {
+  let headers;
+  try {
+    headers = JSON.parse(process.env.HTTP_HEADERS || '{}');
+  } catch (error) {
+    throw new InvalidArgumentError('HTTP_HEADERS must be a JSON object');
+  }
+  if (
+    typeof headers !== 'object' ||
+    headers === null ||
+    Array.isArray(headers)
+  ) {
+    throw new InvalidArgumentError('HTTP_HEADERS must be a JSON object');
+  }
+  values.forEach((value) => {
+    const match = value.match(/^([\w!#$%&'*+.^`|~-]+):\s*(.*)$/);
+    if (!match) {
+      throw new InvalidArgumentError(
+        `--header ${value} must be a name and a value, such as "Accept-Language: en"`
+      );
+    }
+    headers[match[1]] = match[2];
+  });
+  return headers;
+};
+
+/**
+ * Parse and validate the command line arguments
+ * @param {string[]} args Command line arguments without the node executable and script path
+ * @returns {{command: string|undefined, positionals: string[], options: Object}} The parsed command line
+ * @throws {InvalidArgumentError} An invalid argument error if the arguments are not valid
+ */
+const parseCommandLine = (args) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+  const { values, positionals } = parsed;
+  // Accept both repeated and comma separated formats
+  const formats = values.format
+    .flatMap((format) => format.split(','))
+    .map((format) => format.trim());
+  if (!formats.every((format) => OUTPUT_FORMATS.includes(format))) {
+    throw new InvalidArgumentError(
+      `--format must be a list of ${OUTPUT_FORMATS.join(', ')}`
+    );
+  }
+  if (!Object.hasOwn(logger.levels, values['log-level'])) {
+    throw new InvalidArgumentError(
+      `--log-level must be one of ${Object.keys(logger.levels).join(', ')}`
+    );
+  }
+  try {
+    new URL(values['base-url'] ?? DEFAULT_BASE_URL);
+  } catch (error) {
+    throw new InvalidArgumentError('--base-url must be an absolute URL');
+  }
+  const baseUrl = values['base-url'] ?? DEFAULT_BASE_URL;
+  const startUrls = values['start-url'].map(
+    (startUrl) => new URL(startUrl, baseUrl).href
+  );
+  // Start URLs can only be followed by their next page links
+  const pagination =
+    values.pagination ?? (startUrls.length > 0 ? 'next-link' : 'page-count');
+  if (!Object.hasOwn(PAGINATION_MODES, pagination)) {
+    throw new InvalidArgumentError(
+      `--pagination must be one of ${Object.keys(PAGINATION_MODES).join(', ')}`
+    );
+  }
+  if (pagination === 'page-count' && startUrls.length > 0) {
+    throw new InvalidArgumentError(
+      '--start-url requires the next-link pagination'
+    );
+  }
+  return {
+    command: positionals[0],
+    positionals: positionals.slice(1),
+    options: {
+      baseUrl,
+      // Base URL overriding the one of a site definition
+      siteBaseUrl: values['base-url'] ?? null,
+      dataDir: values['output-dir'],
+      formats,
+      discovery: { pagination: PAGINATION_MODES[pagination], startUrls },
+      maxConcurrency: Math.max(
+        1,
+        parseNumberOption('concurrency', values.concurrency)
+      ),
+      requestsPerSecond: parseNumberOption('rate-limit', values['rate-limit']),
+      jitterMs: parseNumberOption('jitter', values.jitter),
+      retries: Math.floor(parseNumberOption('retries', values.retries)),
+      timeoutMs: Math.max(1, parseNumberOption('timeout', values.timeout)),
+      // Accept both repeated and comma separated proxies
+      proxyUrls: values.proxy.flatMap(parseProxyUrls),
+      noProxyHosts: values['no-proxy']
+        .split(',')
+        .map((host) => host.trim())
+        .filter((host) => host !== ''),
+      proxyCooldownMs: parseNumberOption(
+        'proxy-cooldown',
+        values['proxy-cooldown']
+      ),
+      keepAlive: process.env.HTTP_KEEP_ALIVE !== 'false',
+      headers: parseHeaderOptions(values.header),
+      cookies: values.cookie
+        .map((cookie) => cookie.trim().replace(/;$/, ''))
+        .filter((cookie) => cookie !== '')
+        .join('; '),
+      userAgent: values['user-agent'],
+      contact: values.contact,
+      // Accept both repeated and comma separated hosts
+      ignoreRobotsTxtHosts: values['ignore-robots-txt']
+        .flatMap((host) => host.split(','))
+        .map((host) => host.trim())
+        .filter((host) => host !== ''),
+      cacheDir: values['cache-dir'] || null,
+      offline: values.offline,
+      maxFailureRate: parseNumberOption(
+        'max-failure-rate',
+        values['max-failure-rate']
+      ),
+      resume: values.resume,
+      skipAssets: values['skip-assets'],
+      processImages: values['process-images'],
+      imageVariants: parseImageVariants(values['image-variants']),
+      progressIntervalMs: parseNumberOption(
+        'progress-interval',
+        values['progress-interval']
+      ),
+      schedule: values.schedule,
+      keepSnapshots: Math.floor(
+        parseNumberOption('keep-snapshots', values['keep-snapshots'])
+      ),
+      shutdownTimeoutMs: parseNumberOption(
+        'shutdown-timeout',
+        values['shutdown-timeout']
+      ),
+      port: Math.floor(parseNumberOption('port', values.port)),
+      host: values.host,
+      metricsPort:
+        values['metrics-port'] === ''
+          ? null
+          : Math.floor(
+              parseNumberOption('metrics-port', values['metrics-port'])
+            ),
+      logLevel: values['log-level'],
+      // Console logs are left out in production unless asked for
+      logToConsole: process.env.LOG_CONSOLE
+        ? process.env.LOG_CONSOLE === 'true'
+        : process.env.NODE_ENV !== 'production',
+      logFiles: {
+        directory: values['log-dir'],
+        maxSize: Math.max(
+          1,
+          parseNumberOption('log-max-size', values['log-max-size'])
+        ),
+        maxFiles: Math.max(
+          1,
+          Math.floor(
+            parseNumberOption('log-max-files', values['log-max-files'])
+          )
+        ),
+        retentionDays: parseNumberOption(
+          'log-retention',
+          values['log-retention']
+        ),
+      },
+      help: values.help,
+    },
+  };
+};
+
+/**
+ * Download the book images unless the crawler is offline
+ * @param {Object[]} bookData Scraped book data
+ * @param {Object} options Parsed command line options
+ * @param {Object} crawlState Crawl state used to skip downloaded assets
+ * @param {Object} [failures] Failure manifest used to record the assets which could not be downloaded
+ * @returns {Promise<void>} A promise which resolves once the assets are downloaded
+ */
+const downloadBookAssets = async (bookData, options, crawlState, failures) => {
+  // Assets are not cached, hence they can only be downloaded when online
+  if (isOffline()) {
+    logger.info('Book data asset download job skipped in offline mode');
+    return;
+  }
+  await downloadAssets(
+    bookData,
+    path.join(options.dataDir, 'assets'),
+    crawlState,
+    failures
+  );
+};
+
+// Handlers of the supported commands
+const commands = {
+  scrape: async (options) => {
+    await createScraper(options).run();
+  },
+  daemon: async (options) => {
+    if (!options.schedule) {
+      throw new InvalidArgumentError('daemon requires a --schedule');
+    }
+    const daemon = createDaemon(options);
+    // Let the running job complete or checkpoint before the process exits
+    const stop = (signal) => {
+      logger.info(`Received ${signal}, stopping the scraping daemon`);
+      daemon.stop();
+    };
+    process.on('SIGTERM', stop);
+    process.on('SIGINT', stop);
+    try {
+      await daemon.run();
+    } finally {
+      process.off('SIGTERM', stop);
+      process.off('SIGINT', stop);
+    }
+  },
+  serve: async (options) => {
+    const api = await startApiServer(options);
+    // Abort a run started through the API, saving its checkpoint, before the process exits
+    await new Promise((resolve) => {
+      const stop = (signal) => {
+        logger.info(`Received ${signal}, stopping the API`);
+        process.off('SIGTERM', stop);
+        process.off('SIGINT', stop);
+        resolve();
+      };
+      process.on('SIGTERM', stop);
+      process.on('SIGINT', stop);
+    });
+    await api.close();
+    logger.info('API stopped');
+  },
+  // Like the scrape command, the commands rewriting the book data hold the
+  // lock of the data directory
+  'download-assets': (options) =>
+    withLockFile(path.join(options.dataDir, JOB_LOCK_FILE), async () => {
+      // Keep the checkpoint of an interrupted scrape, which a later run resumes
+      const crawlState = await loadJobCrawlState({ ...options, resume: true });
+      // The book data is read from the first output format which can be read back
+      const inputFormat = SNAPSHOT_FORMATS.find((format) =>
+        options.formats.includes(format)
+      );
+      if (!inputFormat) {
+        throw new InvalidArgumentError(
+          `download-assets requires one of the ${SNAPSHOT_FORMATS.join(
+            ', '
+          )} formats`
+        );
+      }
+      const bookData = await readBookDataFile(
+        path.join(options.dataDir, `book-data.${inputFormat}`)
+      );
+      const previousFailures = await readJsonFile(
+        path.join(options.dataDir, 'failures.json')
+      ).catch(() => ({}));
+      const failures = createFailureManifest();
+      // Keep the failures of the pages, which retry-failed still retries, while
+      // the failed images are replaced by the ones of this download
+      Object.entries(previousFailures.errors ?? {}).forEach(([name, list]) =>
+        list
+          .filter((failure) => failure.phase !== 'assets' || isOffline())
+          .forEach((failure) => failures.carryOver(name, failure))
+      );
+      try {
+        await downloadBookAssets(bookData, options, crawlState, failures);
+        if (options.processImages) {
+          await processImages(
+            bookData,
+            path.join(options.dataDir, 'assets'),
+            options.imageVariants,
+            failures
+          );
+          // Every output format is rewritten with the image details
+          await writeBookData(
+            bookData,
+            await createBookDataWriter(options.dataDir, options.formats)
+          );
+        }
+      } finally {
+        await writeFailureManifest(failures, options);
+      }
+    }),
+  extract: async (options, [bookPageUrl]) => {
+    if (!bookPageUrl) {
+      throw new InvalidArgumentError('extract requires a book page URL');
+    }
+    const bookInfo = await extractBookInfo(
+      new URL(bookPageUrl, options.baseUrl).href
+    );
+    if (bookInfo) {
+      process.stdout.write(`${JSON.stringify(bookInfo, null, 2)}\n`);
+    }
+  },
+  'retry-failed': (options) =>
+    withLockFile(path.join(options.dataDir, JOB_LOCK_FILE), async () => {
+      const previousFailures = await readJsonFile(
+        path.join(options.dataDir, 'failures.json')
+      );
+      const bookDataFilePath = path.join(options.dataDir, 'book-data.json');
+      const bookData = await readJsonFile(bookDataFilePath).catch(() => []);
+      // The checkpoint of the previous run tells which work is already finished
+      const crawlState = await loadJobCrawlState({ ...options, resume: true });
+      const failures = createFailureManifest();
+      try {
+        const mergedBookData = await retryFailedJob(
+          bookData,
+          previousFailures,
+          crawlState,
+          {
+            // Assets are not cached, hence they can only be downloaded when online
+            assetDirectory:
+              options.skipAssets || isOffline()
+                ? null
+                : path.join(options.dataDir, 'assets'),
+            failures,
+          }
+        );
+        if (options.processImages && !options.skipAssets) {
+          await processImages(
+            mergedBookData,
+            path.join(options.dataDir, 'assets'),
+            options.imageVariants,
+            failures
+          );
+        }
+        // Every output format is rewritten with the merged book data
+        await writeBookData(
+          mergedBookData,
+          await createBookDataWriter(options.dataDir, options.formats)
+        );
+      } finally {
+        await writeFailureManifest(failures, options);
+      }
+      // The retry completes the previous run, whose outputs are the latest ones
+      if (options.keepSnapshots > 0) {
+        await saveSnapshot(
+          options.dataDir,
+          getLogContext().runId,
+          options.keepSnapshots
+        );
+      }
+    }),
+  'list-urls': async (options) => {
+    // Listing the URLs does not write the data directory, hence it leaves the
+    // checkpoint of a running or interrupted job as it is
+    const crawlState = await loadJobCrawlState(options, false);
+    const bookPageUrls = await discoverBookPageUrls(
+      options.baseUrl,
+      crawlState,
+      options.discovery
+    );
+    process.stdout.write(bookPageUrls.map((url) => `${url}\n`).join(''));
+  },
+  history: async (options, [upc]) => {
+    if (!upc) {
+      throw new InvalidArgumentError('history requires a book UPC');
+    }
+    const history = await readBookHistory(
+      path.join(options.dataDir, 'changelog-history.ndjson'),
+      upc
+    );
+    process.stdout.write(`${JSON.stringify(history, null, 2)}\n`);
+  },
+  crawl: async (options, [definitionFilePath]) => {
+    if (!definitionFilePath) {
+      throw new InvalidArgumentError('crawl requires a site definition file');
+    }
+    if (
+      !options.formats.every((format) =>
+        GENERIC_OUTPUT_FORMATS.includes(format)
+      )
+    ) {
+      throw new InvalidArgumentError(
+        `crawl supports the ${GENERIC_OUTPUT_FORMATS.join(', ')} formats only`
+      );
+    }
+    const definition = await loadSiteDefinition(definitionFilePath);
+    definition.baseUrl = options.siteBaseUrl ?? definition.baseUrl;
+    await executeSiteCrawlJob(
+      definition,
+      await createBookDataWriter(
+        options.dataDir,
+        options.formats,
+        definition.name
+      ),
+      options.dataDir,
+      options.skipAssets || isOffline(),
+      options.maxConcurrency
+    );
+  },
+};
+
+/**
+ * Run the command line interface with the given arguments
+ * @param {string[]} args Command line arguments without the node executable and script path
+ * @returns {Promise<number>} A promise which resolves the exit code of the process
+ */
+const main = async (args) => {
+  let commandLine;
+  try {
+    commandLine = parseCommandLine(args);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  const { command, positionals, options } = commandLine;
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (!Object.hasOwn(commands, command ?? '')) {
+    process.stderr.write(
+      `${
+        command ? `Unknown command: ${command}` : 'Missing command'
+      }\n\n${USAGE}\n`
+    );
+    return 2;
+  }
+
+  logger.level = options.logLevel;
+  setConsoleLogging(options.logToConsole);
+  await enableFileLogging(options.logFiles);
+  // Share one politeness budget across all phases of the job
+  configureScheduler(options);
+  configureHttpClient(options);
+  // Identify the crawler and honour the robots.txt of every site unless overridden
+  configureCrawlPolicy(options);
+  // Revalidate or serve HTML pages from the on-disk cache if enabled
+  configureCache({ directory: options.cacheDir, offline: options.offline });
+
+  try {
+    // The logs of the command carry the ID of its run, while each run of the
+    // daemon and of the API has its own
+    await (RUNNING_COMMANDS.includes(command)
+      ? commands[command](options, positionals)
+      : runWithRunLog(() => commands[command](options, positionals)));
+  } catch (error) {
+    if (error instanceof InvalidArgumentError) {
+      process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+      return 2;
+    }
+    logger.error(error.message, { error });
+  }
+  // Signal failures to the caller if any error was logged during the run
+  return getErrorCount() > 0 ? 1 : 0;
+};
+
+process.exitCode = await main(process.argv.slice(2));
@@ -1,8 +1,22 @@
-import { mkdir, writeFile } from 'node:fs/promises';
-import { FileWriteError } from './errors.js';
+import { createHash, randomUUID } from 'node:crypto';
+import { mkdir, readFile, rename, rm, stat, writeFile } from 'node:fs/promises';
+import { Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import {
+  AssetIntegrityError,
+  FileReadError,
+  FileWriteError,
+  InvalidAssetNameError,
+  NoResponseError,
+} from './errors.js';
 import * as path from 'path';
 import { getAssetStream } from './crawler.js';
-import { createWriteStream } from 'fs';
+import { createReadStream, createWriteStream } from 'fs';
+import {
+  detectMediaType,
+  getMediaTypeExtension,
+  MAGIC_BYTES_LENGTH,
+} from './mediaTypes.js';
 
 /**
  * Persist given JSON data in the specified file path
@@ -17,30 +31,156 @@ export const writeToJsonFile = async (filePath, data) => {
     await writeFile(filePath, JSON.stringify(data), 'utf8');
     return true;
   } catch (error) {
-    throw new FileWriteError(filePath);
+    throw new FileWriteError(filePath, error);
   }
 };
 
 /**
- * Download the asset specified by the URL and save it in the file path
+ * Read JSON data persisted in the specified file path
+ * @param {string} filePath File path with extension (.json) from which the data should be read
+ * @returns {Promise<*>} A promise which resolves the parsed data
+ * @throws {FileReadError} A file read error if the file could not be read or parsed
+ */
+export const readJsonFile = async (filePath) => {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new FileReadError(filePath);
+  }
+};
+
+/**
+ * Compute the SHA-256 hash of a file
+ * @param {string} filePath Path of the file
+ * @returns {Promise<string>} A promise which resolves the hex encoded hash
+ */
+export const hashFile = async (filePath) => {
+  const hash = createHash('sha256');
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+/**
+ * Check whether a file exists with the expected size and hash
+ * @param {string} filePath Path of the file
+ * @param {{size: number, sha256: string}} expected Expected size in bytes and SHA-256 hash of the file
+ * @returns {Promise<boolean>} A promise which resolves true if the file matches
+ */
+export const isMatchingFile = async (filePath, { size, sha256 }) => {
+  try {
+    // Compare the size first to avoid hashing files which cannot match
+    return (
+      (await stat(filePath)).size === size &&
+      (await hashFile(filePath)) === sha256
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Download the asset specified by the URL into a directory. The asset is
+ * written to a temporary file which is renamed only once the download is
+ * complete, so that a failed download never leaves a truncated file behind.
+ * The file extension is derived from the leading bytes of the asset or else
+ * from its Content-Type header.
  * @param {string} assetUrl The URL of the downloadable asset
- * @param {string} filePath The file path where the asset should be saved
- * @returns {Promise<boolean>} A promise which resolves true if saved successfully
- * @throws {FileWriteError} A file write error otherwise
+ * @param {string} directory The directory where the asset should be saved
+ * @param {string} baseName The file name of the asset without extension, such as the UPC of a book
+ * @param {string} [fallbackExtension] The file extension used if the media type could not be detected
+ * @returns {Promise<{file: string, filePath: string, mimeType: string|null, size: number, sha256: string}>}
+ * A promise which resolves the saved file along with its media type, size in bytes and SHA-256 hash
+ * @throws {NetworkError|AssetIntegrityError|FileWriteError|InvalidAssetNameError} A network error if the
+ * download fails, an asset integrity error if the asset is incomplete, a file write error if the asset could
+ * not be saved or an invalid asset name error if the file name would leave the directory
  */
-export const downloadAsset = async (assetUrl, filePath) => {
-  const dataStream = await getAssetStream(assetUrl);
+export const downloadAsset = async (
+  assetUrl,
+  directory,
+  baseName,
+  fallbackExtension = ''
+) => {
+  // Identifiers naming the files come from scraped pages, hence they must
+  // not point outside of the directory
+  if (
+    !baseName ||
+    /[/\\\0]/.test(`${baseName}${fallbackExtension}`) ||
+    baseName === '.' ||
+    baseName === '..'
+  ) {
+    throw new InvalidAssetNameError(baseName);
+  }
+  const { stream, contentType, contentLength } = await getAssetStream(assetUrl);
+  const tempFilePath = path.join(directory, `.${baseName}.${randomUUID()}.tmp`);
   try {
-    await mkdir(path.dirname(filePath), { recursive: true });
+    await mkdir(directory, { recursive: true });
   } catch (error) {
-    throw new FileWriteError(filePath);
+    stream.destroy();
+    throw new FileWriteError(tempFilePath, error);
   }
-  const writer = createWriteStream(filePath);
-  dataStream.pipe(writer);
-  return new Promise((resolve, reject) => {
-    writer.on('finish', () => resolve(true));
-    writer.on('error', () => reject(new FileWriteError(filePath)));
+
+  // Hash the asset and keep its leading bytes while it is written
+  const hash = createHash('sha256');
+  let size = 0;
+  let head = Buffer.alloc(0);
+  const inspector = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      if (head.length < MAGIC_BYTES_LENGTH) {
+        head = Buffer.concat([head, chunk]).subarray(0, MAGIC_BYTES_LENGTH);
+      }
+      callback(null, chunk);
+    },
+  });
+  const writer = createWriteStream(tempFilePath);
+  let writeFailed = false;
+  writer.once('error', () => {
+    writeFailed = true;
   });
+  // The pipeline forwards a response error to the writer, so tell them apart
+  let readFailed = false;
+  stream.once('error', () => {
+    readFailed = true;
+  });
+  try {
+    await pipeline(stream, inspector, writer);
+    if (contentLength !== null && size !== contentLength) {
+      throw new AssetIntegrityError(
+        assetUrl,
+        `received ${size} of ${contentLength} bytes`
+      );
+    }
+  } catch (error) {
+    await rm(tempFilePath, { force: true });
+    if (error instanceof AssetIntegrityError) {
+      throw error;
+    }
+    throw writeFailed && !readFailed
+      ? new FileWriteError(tempFilePath, error)
+      : new NoResponseError(assetUrl, 1, error);
+  }
+
+  const mimeType = detectMediaType(head, contentType);
+  const file = `${baseName}${
+    getMediaTypeExtension(mimeType) ?? fallbackExtension
+  }`;
+  const filePath = path.join(directory, file);
+  const sha256 = hash.digest('hex');
+  try {
+    // Keep an identical file in place instead of replacing it
+    if (await isMatchingFile(filePath, { size, sha256 })) {
+      await rm(tempFilePath, { force: true });
+    } else {
+      await rename(tempFilePath, filePath);
+    }
+  } catch (error) {
+    await rm(tempFilePath, { force: true });
+    throw new FileWriteError(filePath, error);
+  }
+  return { file, filePath, mimeType, size, sha256 };
 };
 
 /**
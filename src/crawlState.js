@@ -0,0 +1,181 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import * as path from 'path';
+import { FileWriteError } from './errors.js';
+import logger from './logger.js';
+
+// Version of the persisted crawl state layout
+const CRAWL_STATE_VERSION = 2;
+
+// Delay in milliseconds used to batch frequent state changes into one write
+const SAVE_DELAY = 1_000;
+
+/**
+ * Create an empty crawl state snapshot for the given crawl scope
+ * @param {string} scope Identifier of what is crawled, such as the home page URL of the scraping website
+ * @returns {Object} An empty crawl state snapshot
+ */
+const createEmptySnapshot = (scope) => ({
+  version: CRAWL_STATE_VERSION,
+  scope,
+  catalogPageUrls: null,
+  catalogPages: {},
+  records: {},
+  assets: {},
+});
+
+/**
+ * Read a crawl state snapshot from the file path
+ * @param {string} filePath The file path of the persisted crawl state
+ * @returns {Promise<Object|null>} A promise which resolves the snapshot or null if it could not be read
+ */
+const readSnapshot = async (filePath) => {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Load the crawl state persisted under the file path. A new empty state is
+ * created unless resuming a crawl of the same scope.
+ * @param {string} filePath The file path (.json) where the crawl state is persisted
+ * @param {string} scope Identifier of what is crawled, such as the home page URL of the scraping website
+ * @param {boolean} resume Whether the previously persisted state should be resumed
+ * @param {boolean} [persist] Whether the state changes are persisted, false to keep them in memory and
+ * leave the persisted state as it is
+ * @returns {Promise<Object>} A promise which resolves a crawl state object
+ */
+export const loadCrawlState = async (
+  filePath,
+  scope,
+  resume,
+  persist = true
+) => {
+  let snapshot = createEmptySnapshot(scope);
+  if (resume) {
+    const persisted = await readSnapshot(filePath);
+    if (!persisted) {
+      logger.warn(`No crawl state found at ${filePath}, starting from scratch`);
+    } else if (
+      persisted.version !== CRAWL_STATE_VERSION ||
+      persisted.scope !== scope
+    ) {
+      logger.warn(
+        `Crawl state at ${filePath} does not belong to ${scope}, starting from scratch`
+      );
+    } else {
+      snapshot = persisted;
+      logger.info(`Resuming the crawl from the checkpoint at ${filePath}`);
+    }
+  }
+  return createCrawlState(persist ? filePath : null, snapshot);
+};
+
+/**
+ * Create a crawl state object which keeps track of finished work and persists it
+ * @param {string|null} filePath The file path (.json) where the crawl state is persisted or null to
+ * keep it in memory only
+ * @param {Object} snapshot The initial crawl state snapshot
+ * @returns {Object} A crawl state object
+ */
+export const createCrawlState = (filePath, snapshot) => {
+  let saveTimer = null;
+  // Chain writes so that an older snapshot never overwrites a newer one
+  let lastWrite = Promise.resolve();
+
+  // Write the snapshot to a temporary file and move it in place atomically
+  const write = async () => {
+    const tempFilePath = `${filePath}.tmp`;
+    try {
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(tempFilePath, JSON.stringify(snapshot), 'utf8');
+      await rename(tempFilePath, filePath);
+    } catch (error) {
+      throw new FileWriteError(filePath, error);
+    }
+  };
+
+  const flush = () => {
+    if (!filePath) {
+      return lastWrite;
+    }
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    lastWrite = lastWrite.then(write).catch((error) => {
+      logger.error(error.message, { error });
+    });
+    return lastWrite;
+  };
+
+  const scheduleSave = () => {
+    if (!saveTimer && filePath) {
+      saveTimer = setTimeout(flush, SAVE_DELAY);
+    }
+  };
+
+  return {
+    /**
+     * @returns {string[]|null} The catalog page URLs or null if not discovered yet
+     */
+    getCatalogPageUrls: () => snapshot.catalogPageUrls,
+
+    /**
+     * @param {string[]} urls The discovered catalog page URLs
+     */
+    setCatalogPageUrls: (urls) => {
+      snapshot.catalogPageUrls = urls;
+      scheduleSave();
+    },
+
+    /**
+     * @param {string} catalogPageUrl URL of the catalog page
+     * @returns {string[]|undefined} Book page URLs found on the catalog page or undefined if not crawled yet
+     */
+    getCatalogPage: (catalogPageUrl) => snapshot.catalogPages[catalogPageUrl],
+
+    /**
+     * @param {string} catalogPageUrl URL of the catalog page
+     * @param {string[]} bookPageUrls Book page URLs found on the catalog page
+     */
+    setCatalogPage: (catalogPageUrl, bookPageUrls) => {
+      snapshot.catalogPages[catalogPageUrl] = bookPageUrls;
+      scheduleSave();
+    },
+
+    /**
+     * @param {string} bookPageUrl URL of the book details page
+     * @returns {Object|undefined} The extracted book record or undefined if not extracted yet
+     */
+    getRecord: (bookPageUrl) => snapshot.records[bookPageUrl],
+
+    /**
+     * @param {string} bookPageUrl URL of the book details page
+     * @param {Object} record The extracted book record
+     */
+    setRecord: (bookPageUrl, record) => {
+      snapshot.records[bookPageUrl] = record;
+      scheduleSave();
+    },
+
+    /**
+     * @param {string} identifier Identifier of the asset
+     * @returns {boolean} True if the asset has already been downloaded
+     */
+    isAssetDownloaded: (identifier) => snapshot.assets[identifier] === true,
+
+    /**
+     * @param {string} identifier Identifier of the downloaded asset
+     */
+    markAssetDownloaded: (identifier) => {
+      snapshot.assets[identifier] = true;
+      scheduleSave();
+    },
+
+    /**
+     * Persist all pending state changes immediately
+     * @returns {Promise<void>} A promise which resolves once the state has been written
+     */
+    flush,
+  };
+};
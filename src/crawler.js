@@ -1,41 +1,314 @@
-import axios from 'axios';
-import axiosRetry from 'axios-retry';
-import { NoResponseError, UnsuccessfulResponseError } from './errors.js';
+import { EventEmitter } from 'node:events';
+import { CacheMissError, RobotsDisallowedError } from './errors.js';
+import { createScheduler } from './scheduler.js';
+import { createHttpClient } from './httpClient.js';
+import { createHttpCache, getConditionalHeaders } from './httpCache.js';
+import logger from './logger.js';
+import { createProxyPool } from './proxyPool.js';
+import { createRobotsPolicy } from './robots.js';
 
-axiosRetry(axios, { retries: 3 });
+// User-Agent of the crawler, whose product token selects the robots.txt rules
+export const DEFAULT_USER_AGENT = 'web-scraping-demo/1.0';
+// Contact address sent along with the User-Agent so that site owners can reach us
+export const DEFAULT_CONTACT =
+  'https://github.com/shanewolff/web-scraping-demo';
+
+// Emits a page:fetched event with the URL of each loaded HTML page and whether
+// it was served from the cache, and a request:attempted event after each
+// attempt of a request with its duration, status code, size and error
+export const crawlerEvents = new EventEmitter();
+
+// Time in milliseconds after which a robots.txt file is read again
+export const DEFAULT_ROBOTS_TXT_TTL_MS = 24 * 60 * 60 * 1_000;
+
+// Identity of the crawler, the hosts whose robots.txt is ignored and how
+// long the robots.txt files are cached
+let crawlPolicy = {
+  userAgent: DEFAULT_USER_AGENT,
+  contact: DEFAULT_CONTACT,
+  ignoreRobotsTxtHosts: [],
+  robotsTxtTtlMs: DEFAULT_ROBOTS_TXT_TTL_MS,
+};
+// Crawl policies of the robots.txt files keyed by origin, along with the time
+// at which they expire
+let robotsPolicies = new Map();
+// Crawl delays in milliseconds requested by the robots.txt files keyed by host
+const crawlDelays = new Map();
+
+// Shared scheduler so that every phase of a job respects one politeness budget
+let scheduler = createScheduler({ hostIntervals: crawlDelays });
+
+/**
+ * Replace the shared request scheduler used by all requests of the crawler
+ * @param {Object} options Scheduler options
+ * @param {number} [options.maxConcurrency] Maximum number of requests in flight at once
+ * @param {number} [options.requestsPerSecond] Maximum number of requests per second for a single host
+ * @param {number} [options.jitterMs] Upper bound of a random delay added before each request
+ */
+export const configureScheduler = (options) => {
+  // Crawl delays of the robots.txt files read so far keep applying
+  scheduler = createScheduler({ ...options, hostIntervals: crawlDelays });
+};
+
+/**
+ * Build the headers which identify the crawler to the sites it requests
+ * @returns {Object} The User-Agent header along with the contact address, and a From header if the
+ * contact address is an email address
+ */
+const getIdentityHeaders = () => {
+  const { userAgent, contact } = crawlPolicy;
+  if (!contact) {
+    return { 'User-Agent': userAgent };
+  }
+  return {
+    'User-Agent': `${userAgent} (+${contact})`,
+    ...(/^[^\s@:/]+@[^\s@]+$/.test(contact) ? { From: contact } : {}),
+  };
+};
+
+// Options of the shared HTTP client
+let httpClientOptions = {};
+
+/**
+ * Create an HTTP client whose attempts all go through the shared scheduler
+ * and which identifies itself with the configured User-Agent
+ * @returns {Object} An HTTP client object
+ */
+const createScheduledHttpClient = () => {
+  const {
+    headers = {},
+    cookies = '',
+    proxyUrls = [],
+    noProxyHosts = [],
+    proxyCooldownMs,
+    keepAlive = true,
+  } = httpClientOptions;
+  return createHttpClient({
+    ...httpClientOptions,
+    headers: {
+      ...headers,
+      ...(cookies ? { Cookie: cookies } : {}),
+      // The identity of the crawler cannot be overridden by custom headers
+      ...getIdentityHeaders(),
+    },
+    proxyPool:
+      proxyUrls.length > 0
+        ? createProxyPool(proxyUrls, {
+            noProxyHosts,
+            cooldownMs: proxyCooldownMs,
+            keepAlive,
+          })
+        : null,
+    schedule: (url, task) => scheduler.schedule(url, task),
+    onAttempt: (attempt) => crawlerEvents.emit('request:attempted', attempt),
+  });
+};
+
+// Shared HTTP client which retries transient failures
+let httpClient = createScheduledHttpClient();
+
+/**
+ * Replace the shared HTTP client used by all requests of the crawler
+ * @param {Object} options HTTP client options
+ * @param {number} [options.retries] Maximum number of retries of a request
+ * @param {number} [options.timeoutMs] Timeout of each attempt in milliseconds
+ * @param {number} [options.baseDelayMs] Delay in milliseconds of the first retry before jitter
+ * @param {number} [options.maxDelayMs] Maximum delay in milliseconds between two attempts
+ * @param {Object} [options.headers] Custom headers sent with every request
+ * @param {string} [options.cookies] Cookies sent with every request, as in name=value; other=value
+ * @param {string[]} [options.proxyUrls] URLs of the HTTP, HTTPS or SOCKS proxies which are used in turn
+ * @param {string[]} [options.noProxyHosts] Hosts which are requested without a proxy
+ * @param {number} [options.proxyCooldownMs] Time in milliseconds for which a failing proxy is not used
+ * @param {boolean} [options.keepAlive] Whether connections are kept open to be reused by later requests
+ */
+export const configureHttpClient = (options) => {
+  httpClientOptions = options;
+  httpClient = createScheduledHttpClient();
+};
+
+/**
+ * Configure how the crawler identifies itself and which robots.txt files it
+ * honours. The robots.txt files read so far are read again on the next request.
+ * @param {Object} options Crawl policy options
+ * @param {string} [options.userAgent] User-Agent of the crawler, such as web-scraping-demo/1.0
+ * @param {string} [options.contact] Email address or URL sent along with the User-Agent, or an empty string
+ * to send none
+ * @param {string[]} [options.ignoreRobotsTxtHosts] Hosts of sites we own, whose robots.txt is not honoured
+ * @param {number} [options.robotsTxtTtlMs] Time in milliseconds after which a robots.txt file is read again
+ */
+export const configureCrawlPolicy = ({
+  userAgent = DEFAULT_USER_AGENT,
+  contact = DEFAULT_CONTACT,
+  ignoreRobotsTxtHosts = [],
+  robotsTxtTtlMs = DEFAULT_ROBOTS_TXT_TTL_MS,
+}) => {
+  crawlPolicy = { userAgent, contact, ignoreRobotsTxtHosts, robotsTxtTtlMs };
+  robotsPolicies = new Map();
+  crawlDelays.clear();
+  httpClient = createScheduledHttpClient();
+};
+
+/**
+ * Read the robots.txt file of a site and create its crawl policy. A missing
+ * file allows every URL while an unreachable file disallows every URL, as
+ * robots.txt consumers are expected to do.
+ * @param {string} origin Origin of the site, such as http://books.toscrape.com
+ * @returns {Promise<{policy: {isAllowed: function(string): boolean, crawlDelay: number|null}, failed: boolean}>}
+ * A promise which resolves the crawl policy of the site and whether the robots.txt file could not be read
+ */
+const loadRobotsPolicy = async (origin) => {
+  const { host, hostname } = new URL(origin);
+  const { userAgent, ignoreRobotsTxtHosts } = crawlPolicy;
+  if (
+    ignoreRobotsTxtHosts.includes(host) ||
+    ignoreRobotsTxtHosts.includes(hostname)
+  ) {
+    logger.warn(
+      `The robots.txt of ${origin} is ignored since ${host} is declared as a site we own`
+    );
+    return { policy: createRobotsPolicy('', userAgent), failed: false };
+  }
+  const robotsTxtUrl = new URL('/robots.txt', origin).href;
+  let policy;
+  try {
+    const response = await httpClient.get(robotsTxtUrl, {
+      responseType: 'text',
+      acceptStatus: (status) => status < 500,
+    });
+    policy = createRobotsPolicy(
+      response.status >= 200 && response.status < 300 ? response.data : '',
+      userAgent
+    );
+  } catch (error) {
+    logger.warn(
+      `${error.message}, hence every URL of ${origin} is disallowed`,
+      {
+        error,
+      }
+    );
+    return {
+      policy: createRobotsPolicy('User-agent: *\nDisallow: /', userAgent),
+      failed: true,
+    };
+  }
+  if (policy.crawlDelay !== null) {
+    crawlDelays.set(host, policy.crawlDelay * 1_000);
+    logger.info(
+      `Requests to ${host} are spaced out by the crawl delay of ${policy.crawlDelay} s of its robots.txt`
+    );
+  }
+  return { policy, failed: false };
+};
+
+/**
+ * Check that the robots.txt file of the site allows a request to the URL
+ * @param {string} url URL of the request
+ * @returns {Promise<void>} A promise which resolves if the request is allowed
+ * @throws {RobotsDisallowedError} A robots disallowed error if the robots.txt file disallows the URL
+ */
+const checkRobotsPolicy = async (url) => {
+  const { origin } = new URL(url);
+  const policies = robotsPolicies;
+  let entry = policies.get(origin);
+  // Load each robots.txt file once, even for concurrent requests, and again
+  // once it expires
+  if (!entry || entry.expiresAt <= Date.now()) {
+    const loading = { result: loadRobotsPolicy(origin), expiresAt: Infinity };
+    policies.set(origin, loading);
+    loading.result.then(({ failed }) => {
+      loading.expiresAt = Date.now() + crawlPolicy.robotsTxtTtlMs;
+      // A robots.txt file which could not be read is read again by the next request
+      if (failed && policies.get(origin) === loading) {
+        policies.delete(origin);
+      }
+    });
+    entry = loading;
+  }
+  if (!(await entry.result).policy.isAllowed(url)) {
+    throw new RobotsDisallowedError(url);
+  }
+};
+
+// Optional on-disk cache of HTML responses
+let httpCache = null;
+// Whether HTML responses are served from the cache only
+let offline = false;
+
+/**
+ * Enable or disable the on-disk HTML response cache
+ * @param {Object} options Cache options
+ * @param {string|null} options.directory The cache directory or null to disable caching
+ * @param {boolean} [options.offline] Whether responses are served from the cache only, without any request
+ */
+export const configureCache = ({ directory, offline: offlineMode = false }) => {
+  httpCache = directory ? createHttpCache(directory) : null;
+  offline = Boolean(httpCache) && offlineMode;
+};
+
+/**
+ * @returns {boolean} True if the crawler serves responses from the cache only
+ */
+export const isOffline = () => offline;
 
 /**
  * Load the  HTML page from the URL and return the HTML content.
  * @param {string} url URL of the HTML page
- * @returns {Promise<string>} HTML content string if status is 200
- * @throws {UnsuccessfulResponseError|NoResponseError} Otherwise
+ * @returns {Promise<string>} HTML content string if status is 2xx
+ * @throws {NetworkError|CacheMissError|RobotsDisallowedError} A network error of the HTTP client, a cache miss
+ * error in offline mode or a robots disallowed error if the robots.txt file of the site disallows the URL
  */
 export const getHtmlResponse = async (url) => {
-  try {
-    const response = await axios.get(url);
-    if (response.status === 200) {
-      return response.data;
+  const cacheEntry = httpCache ? await httpCache.read(url) : null;
+  // No request is issued in offline mode, hence robots.txt does not apply
+  if (offline) {
+    if (cacheEntry) {
+      crawlerEvents.emit('page:fetched', { url, fromCache: true });
+      return cacheEntry.body;
     }
-    throw new UnsuccessfulResponseError(url);
-  } catch (error) {
-    throw new NoResponseError(url);
+    throw new CacheMissError(url);
   }
+  await checkRobotsPolicy(url);
+  const response = await httpClient.get(url, {
+    // Revalidate the cached response instead of downloading it again
+    headers: getConditionalHeaders(cacheEntry),
+    acceptStatus: (status) =>
+      (status >= 200 && status < 300) || (status === 304 && !!cacheEntry),
+  });
+  if (response.status === 304) {
+    crawlerEvents.emit('page:fetched', { url, fromCache: true });
+    return cacheEntry.body;
+  }
+  if (httpCache) {
+    try {
+      await httpCache.write(url, {
+        body: response.data,
+        etag: response.headers.etag,
+        lastModified: response.headers['last-modified'],
+      });
+    } catch (error) {
+      // A failing cache must not fail the request
+      logger.warn(error.message, { url, error });
+    }
+  }
+  crawlerEvents.emit('page:fetched', { url, fromCache: false });
+  return response.data;
 };
 
 /**
  * Download a readable stream of the asset object denoted by the URL
  * @param assetUrl URL of the asset to download
- * @returns {Promise<ReadableStream>} A readable stream of data of the asset
- * @throws {UnsuccessfulResponseError|NoResponseError} Otherwise
+ * @returns {Promise<{stream: ReadableStream, contentType: string|undefined, contentLength: number|null}>}
+ * A readable stream of data of the asset along with its declared content type and length
+ * @throws {NetworkError} A network error of the HTTP client, such as a robots disallowed error if the
+ * robots.txt file of the site disallows the URL
  */
 export const getAssetStream = async (assetUrl) => {
-  try {
-    const response = await axios.get(assetUrl, { responseType: 'stream' });
-    if (response.status === 200) {
-      return response.data;
-    }
-    throw new UnsuccessfulResponseError(assetUrl);
-  } catch (error) {
-    throw new NoResponseError(assetUrl);
-  }
+  await checkRobotsPolicy(assetUrl);
+  const response = await httpClient.get(assetUrl, { responseType: 'stream' });
+  const contentLength = Number(response.headers['content-length']);
+  return {
+    stream: response.data,
+    contentType: response.headers['content-type'],
+    contentLength: Number.isInteger(contentLength) ? contentLength : null,
+  };
 };
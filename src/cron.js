@@ -0,0 +1,196 @@
+import { InvalidArgumentError } from './errors.js';
+
+// Fields of a cron expression with their ranges, the seconds being optional
+const CRON_FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: [
+      'jan',
+      'feb',
+      'mar',
+      'apr',
+      'may',
+      'jun',
+      'jul',
+      'aug',
+      'sep',
+      'oct',
+      'nov',
+      'dec',
+    ],
+  },
+  // Both 0 and 7 stand for Sunday
+  {
+    name: 'day of week',
+    min: 0,
+    max: 7,
+    names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+  },
+];
+
+// Shorthands of common schedules
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Number of years searched for the next matching time, since an expression
+// such as 0 0 30 2 * never matches
+const MAX_SEARCH_YEARS = 8;
+
+/**
+ * Parse a value of a cron field, either a number or a name
+ * @param {string} text The value
+ * @param {Object} field The cron field
+ * @returns {number} The parsed value
+ * @throws {InvalidArgumentError} An invalid argument error if the value is not valid for the field
+ */
+const parseFieldValue = (text, field) => {
+  const nameIndex = field.names?.indexOf(text.toLowerCase()) ?? -1;
+  const value =
+    nameIndex === -1
+      ? /^\d+$/.test(text)
+        ? Number(text)
+        : NaN
+      : nameIndex + (field.name === 'month' ? 1 : 0);
+  if (!(value >= field.min && value <= field.max)) {
+    throw new InvalidArgumentError(
+      `Invalid ${field.name} in the cron expression: ${text}`
+    );
+  }
+  return value;
+};
+
+/**
+ * Parse a field of a cron expression, a comma separated list of values,
+ * ranges and steps such as 1,15, 9-17, 0-30/5 or a star with a step
+ * @param {string} text The field
+ * @param {Object} field The cron field
+ * @returns {Set<number>} The values matching the field
+ * @throws {InvalidArgumentError} An invalid argument error if the field is not valid
+ */
+const parseField = (text, field) => {
+  const values = new Set();
+  text.split(',').forEach((part) => {
+    const [range, stepText, ...rest] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (rest.length > 0 || !Number.isInteger(step) || step < 1) {
+      throw new InvalidArgumentError(
+        `Invalid ${field.name} in the cron expression: ${part}`
+      );
+    }
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [startText, endText, ...extra] = range.split('-');
+      if (extra.length > 0) {
+        throw new InvalidArgumentError(
+          `Invalid ${field.name} in the cron expression: ${part}`
+        );
+      }
+      start = parseFieldValue(startText, field);
+      // A single value with a step, such as 5/15, runs up to the end of the range
+      end =
+        endText === undefined
+          ? stepText === undefined
+            ? start
+            : field.max
+          : parseFieldValue(endText, field);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+  return values;
+};
+
+/**
+ * Parse a cron expression with 5 fields (minute, hour, day of month, month
+ * and day of week) or 6 fields starting with the second, or a macro such as
+ * @daily. As with cron, a time matches either restricted day field when both
+ * the day of month and the day of week are restricted. Times are local times.
+ * @param {string} expression The cron expression, such as 0 3 * * * for 3 AM every day
+ * @returns {{next: function(Date): Date}} A cron schedule object
+ * @throws {InvalidArgumentError} An invalid argument error if the expression is not valid
+ */
+export const parseCronExpression = (expression) => {
+  const text = expression.trim();
+  const fieldTexts = (CRON_MACROS[text.toLowerCase()] ?? text).split(/\s+/);
+  if (fieldTexts.length !== 5 && fieldTexts.length !== 6) {
+    throw new InvalidArgumentError(
+      `Cron expression must have 5 or 6 fields: ${expression}`
+    );
+  }
+  // Expressions without seconds run at the start of the minute
+  const fields = fieldTexts.length === 5 ? ['0', ...fieldTexts] : fieldTexts;
+  const [seconds, minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map(
+    (fieldText, index) => parseField(fieldText, CRON_FIELDS[index])
+  );
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+  // Day fields starting with * do not restrict the day, such as */2
+  const isDayOfMonthRestricted = !fields[3].startsWith('*');
+  const isDayOfWeekRestricted = !fields[5].startsWith('*');
+
+  /**
+   * Check whether the day of a date matches the day fields
+   * @param {Date} date The date
+   * @returns {boolean} True if the day matches
+   */
+  const matchesDay = (date) => {
+    const matchesDayOfMonth = daysOfMonth.has(date.getDate());
+    const matchesDayOfWeek = daysOfWeek.has(date.getDay());
+    if (isDayOfMonthRestricted && isDayOfWeekRestricted) {
+      return matchesDayOfMonth || matchesDayOfWeek;
+    }
+    return matchesDayOfMonth && matchesDayOfWeek;
+  };
+
+  return {
+    /**
+     * Find the next time matching the expression
+     * @param {Date} after The time after which to search
+     * @returns {Date} The next matching time, after the given time
+     * @throws {InvalidArgumentError} An invalid argument error if no time matches the expression
+     */
+    next: (after) => {
+      const date = new Date(after);
+      date.setMilliseconds(0);
+      date.setSeconds(date.getSeconds() + 1);
+      const lastYear = date.getFullYear() + MAX_SEARCH_YEARS;
+      // Move to the start of the next month, day, hour or minute until each field matches
+      while (date.getFullYear() <= lastYear) {
+        if (!months.has(date.getMonth() + 1)) {
+          date.setMonth(date.getMonth() + 1, 1);
+          date.setHours(0, 0, 0);
+        } else if (!matchesDay(date)) {
+          date.setDate(date.getDate() + 1);
+          date.setHours(0, 0, 0);
+        } else if (!hours.has(date.getHours())) {
+          date.setHours(date.getHours() + 1, 0, 0);
+        } else if (!minutes.has(date.getMinutes())) {
+          date.setMinutes(date.getMinutes() + 1, 0);
+        } else if (!seconds.has(date.getSeconds())) {
+          date.setSeconds(date.getSeconds() + 1);
+        } else {
+          return date;
+        }
+      }
+      throw new InvalidArgumentError(
+        `Cron expression never matches: ${expression}`
+      );
+    },
+  };
+};
@@ -0,0 +1,162 @@
+import { EventEmitter } from 'node:events';
+import * as path from 'path';
+import { readJsonFile } from './commonUtils.js';
+import { parseCronExpression } from './cron.js';
+import logger, { runWithRunLog } from './logger.js';
+import { createScraper } from './scraper.js';
+
+// Longest delay a timer supports, beyond which the wait is split
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Check whether the last run of the data directory was stopped before it
+ * completed, such as by a shutdown, so that the next run resumes it
+ * @param {string} dataDir Directory in which data is persisted
+ * @returns {Promise<boolean>} A promise which resolves true if the last run was aborted
+ */
+const wasInterrupted = async (dataDir) => {
+  try {
+    const summary = await readJsonFile(path.join(dataDir, 'run-summary.json'));
+    return summary.status === 'aborted';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Create a daemon which runs the scraping job on a cron schedule until it is
+ * stopped. A run is skipped while the previous one is still running. Stopping
+ * the daemon waits for the running job to complete for a grace period, after
+ * which the job is aborted and its crawl state saved, so that the next run
+ * resumes it.
+ * @param {Object} options Daemon options along with the options of the scraping jobs, such as
+ * the data directory and the number of snapshots to keep
+ * @param {string} options.schedule Cron expression of the runs, such as 0 3 * * * for 3 AM every day
+ * @param {number} [options.shutdownTimeoutMs] Time for which a running job may complete once the daemon is
+ * stopped before it is aborted
+ * @returns {EventEmitter} A daemon, emitting run:scheduled, run:skipped, run:started, run:completed and
+ * run:failed events, with a run function which runs the daemon until it is stopped and a stop function
+ * @throws {InvalidArgumentError} An invalid argument error if the schedule is not a valid cron expression
+ * or never matches
+ */
+export const createDaemon = ({
+  schedule,
+  shutdownTimeoutMs = 30_000,
+  ...scraperOptions
+}) => {
+  const cron = parseCronExpression(schedule);
+  // A schedule such as 0 0 30 2 * is only found to never match when looking
+  // for its next time, which must fail here rather than in a timer callback
+  cron.next(new Date());
+  const daemon = new EventEmitter();
+  const dataDir = scraperOptions.dataDir ?? 'data';
+  // Reason with which a job still running after the grace period is aborted
+  const shutdownReason = new Error('Scraping daemon stopped');
+  let timer = null;
+  // Job and promise of the run in progress
+  let currentJob = null;
+  let currentRun = null;
+  let stopping = false;
+  let resolveStopped;
+  const stopped = new Promise((resolve) => {
+    resolveStopped = resolve;
+  });
+
+  /**
+   * Run the scraping job once, resuming the last run if it was interrupted
+   * @returns {Promise<void>} A promise which resolves once the run is over
+   */
+  const runJob = () =>
+    runWithRunLog(async (runId) => {
+      const resume = await wasInterrupted(dataDir);
+      currentJob = createScraper({ ...scraperOptions, resume });
+      daemon.emit('run:started', { runId, resume });
+      try {
+        await currentJob.run();
+        daemon.emit('run:completed', { runId });
+      } catch (error) {
+        if (error === shutdownReason) {
+          logger.warn(
+            'Scraping run stopped by the shutdown, the next run resumes it'
+          );
+        } else {
+          logger.error(error.message, { error });
+        }
+        daemon.emit('run:failed', { runId, error });
+      } finally {
+        currentJob = null;
+      }
+    });
+
+  /**
+   * Wait for the next time of the schedule, then start a run unless the
+   * previous one is still running
+   * @param {Date} after The time after which the next run is scheduled
+   */
+  const scheduleNextRun = (after) => {
+    const nextRunAt = cron.next(after);
+    logger.info(`Next scraping run scheduled at ${nextRunAt.toISOString()}`);
+    daemon.emit('run:scheduled', { at: nextRunAt });
+    const wait = () => {
+      const delay = nextRunAt.getTime() - Date.now();
+      if (delay > 0) {
+        timer = setTimeout(wait, Math.min(delay, MAX_TIMER_DELAY));
+        return;
+      }
+      if (currentRun) {
+        logger.warn(
+          'Scraping run skipped since the previous run is still running'
+        );
+        daemon.emit('run:skipped', { at: nextRunAt });
+      } else {
+        currentRun = runJob().finally(() => {
+          currentRun = null;
+        });
+      }
+      // Times missed while the process was suspended are not caught up
+      scheduleNextRun(new Date(Math.max(nextRunAt.getTime(), Date.now())));
+    };
+    wait();
+  };
+
+  /**
+   * Run the daemon until it is stopped
+   * @returns {Promise<void>} A promise which resolves once the daemon is stopped
+   */
+  daemon.run = () => {
+    logger.info(`Scraping daemon started with the schedule ${schedule}`);
+    scheduleNextRun(new Date());
+    return stopped;
+  };
+
+  /**
+   * Stop the daemon: no further run is started and the running job is given
+   * the grace period to complete before it is aborted. Stopping the daemon
+   * again aborts the running job at once.
+   * @returns {Promise<void>} A promise which resolves once the daemon is stopped
+   */
+  daemon.stop = async () => {
+    clearTimeout(timer);
+    if (stopping) {
+      currentJob?.abort(shutdownReason);
+      return stopped;
+    }
+    stopping = true;
+    if (currentRun) {
+      logger.info(
+        `Waiting up to ${shutdownTimeoutMs} ms for the running job to complete`
+      );
+      const abortTimer = setTimeout(
+        () => currentJob?.abort(shutdownReason),
+        shutdownTimeoutMs
+      );
+      await currentRun;
+      clearTimeout(abortTimer);
+    }
+    logger.info('Scraping daemon stopped');
+    resolveStopped();
+    return stopped;
+  };
+
+  return daemon;
+};
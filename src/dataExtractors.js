@@ -1,4 +1,5 @@
 import { bookPageSelectors } from './selectors.js';
+import { parseCategoryId } from './normalizers.js';
 import {
   BookCategoryNotFoundError,
   BookDescriptionNotFoundError,
@@ -11,22 +12,42 @@ import {
 /**
  * Extract book category from the book details page
  * @param {function} $ Cheerio load function object
+ * @param {string} bookPageUrl Current book details page URL
  * @returns {string} Book category
  * @throws {BookCategoryNotFoundError} A new book category not found error if category breadcrumb not found
  */
 export const extractBookCategory = ($, bookPageUrl) => {
   // Select the breadcrumb before the last one
   const $category = $(bookPageSelectors.breadcrumbs).eq(-2);
-  if (!$category) {
+  if ($category.length === 0) {
     throw new BookCategoryNotFoundError(bookPageUrl);
   }
   // Return the text content of the selected breadcrumb
   return $category.text().trim();
 };
 
+/**
+ * Extract the stable ID of the book category from the link of the category breadcrumb
+ * @param {function} $ Cheerio load function object
+ * @param {string} bookPageUrl Current book details page URL
+ * @returns {number} Book category ID
+ * @throws {BookCategoryNotFoundError} A new book category not found error if the category link is not found
+ */
+export const extractBookCategoryId = ($, bookPageUrl) => {
+  const href = $(bookPageSelectors.breadcrumbs).eq(-2).find('a').attr('href');
+  const categoryId = href
+    ? parseCategoryId(new URL(href, bookPageUrl).pathname)
+    : null;
+  if (categoryId === null) {
+    throw new BookCategoryNotFoundError(bookPageUrl);
+  }
+  return categoryId;
+};
+
 /**
  * Extract book title from the book details page
  * @param {function} $ Cheerio load function object
+ * @param {string} bookPageUrl Current book details page URL
  * @returns {string} Book title
  * @throws {BookTitleNotFoundError} A new book title not found error if the title element could not be located
  */
@@ -43,9 +64,11 @@ export const extractBookTitle = ($, bookPageUrl) =>
 /**
  * Extract book rating from the book details page
  * @param {function} $ Cheerio load function object
+ * @param {string} bookPageUrl Current book details page URL
  * @returns {string} Book rating
+ * @throws {BookRatingNotFoundError} A new book rating not found error if the rating element could not be located
  */
-export const extractBookRating = ($) => {
+export const extractBookRating = ($, bookPageUrl) => {
   try {
     // Return the star rating from the class name applied to star rating element
     return $(bookPageSelectors.rating)
@@ -62,50 +85,53 @@ export const extractBookRating = ($) => {
 /**
  * Extract the book description from the book details page
  * @param {function} $ Cheerio load function object
+ * @param {string} bookPageUrl Current book details page URL
  * @returns {string} Book description
+ * @throws {BookDescriptionNotFoundError} A new book description not found error if the description element could not be located
  */
-export const extractBookDescription = ($) => {
-  try {
-    // Return the text content of the selected description element
-    return $(bookPageSelectors.description).text().trim();
-  } catch (error) {
+export const extractBookDescription = ($, bookPageUrl) => {
+  const $description = $(bookPageSelectors.description);
+  if ($description.length === 0) {
     throw new BookDescriptionNotFoundError(bookPageUrl);
   }
+  // Return the text content of the selected description element
+  return $description.text().trim();
 };
 
 /**
  * Extract book product information from the book details page
  * @param {function} $ Cheerio load function object
+ * @param {string} bookPageUrl Current book details page URL
  * @returns {Object} Book product information
+ * @throws {BookProductInfoNotFoundError} A new book product info not found error if the product info table has no rows
  */
-export const extractBookProductInfo = ($) => {
-  try {
-    // Collect info keys
-    const productInfoKeys = $(bookPageSelectors.productInfoKeys)
-      .toArray()
-      .map((element) => $(element).text().trim());
-    // Collect info data
-    const productInfoData = $(bookPageSelectors.productInfoData)
-      .toArray()
-      .map((element) => $(element).text().trim());
-    // Find the least number of items
-    const items =
-      productInfoKeys.length < productInfoData.length
-        ? productInfoKeys.length
-        : productInfoData.length;
-    const productInfo = [];
-    // Combine keys and data values
-    for (let index = 0; index < items; ++index) {
-      productInfo.push({
-        key: productInfoKeys[index],
-        value: productInfoData[index],
-      });
-    }
-    // Return the book product info object
-    return productInfo;
-  } catch (error) {
+export const extractBookProductInfo = ($, bookPageUrl) => {
+  // Collect info keys
+  const productInfoKeys = $(bookPageSelectors.productInfoKeys)
+    .toArray()
+    .map((element) => $(element).text().trim());
+  // Collect info data
+  const productInfoData = $(bookPageSelectors.productInfoData)
+    .toArray()
+    .map((element) => $(element).text().trim());
+  // Find the least number of items
+  const items =
+    productInfoKeys.length < productInfoData.length
+      ? productInfoKeys.length
+      : productInfoData.length;
+  if (items === 0) {
     throw new BookProductInfoNotFoundError(bookPageUrl);
   }
+  const productInfo = [];
+  // Combine keys and data values
+  for (let index = 0; index < items; ++index) {
+    productInfo.push({
+      key: productInfoKeys[index],
+      value: productInfoData[index],
+    });
+  }
+  // Return the book product info object
+  return productInfo;
 };
 
 /**
@@ -113,10 +139,11 @@ export const extractBookProductInfo = ($) => {
  * @param {function} $ Cheerio load function object
  * @param {string} bookPageUrl Current book details page URL
  * @returns {string} Book image URL
+ * @throws {BookImageURLFoundError} A new book image URL not found error if the image element could not be located
  */
 export const extractBookImageUrl = ($, bookPageUrl) => {
   try {
-    // Return the text content of the selected description element
+    // Return the image source resolved against the book details page URL
     return new URL($(bookPageSelectors.image).attr('src').trim(), bookPageUrl)
       .href;
   } catch (error) {
@@ -3,10 +3,11 @@ class CustomError extends Error {
    * Base custom error class for all errors
    * @param {string} name Name of the error
    * @param {string} message Error message
+   * @param {Error} [cause] The underlying error which caused this error
    * @returns {CustomError} A new custom error object
    */
-  constructor(name, message) {
-    super(message);
+  constructor(name, message, cause) {
+    super(message, cause ? { cause } : undefined);
     this.name = name;
     Error.captureStackTrace(this);
   }
@@ -18,52 +19,291 @@ class NetworkError extends CustomError {
    * @param {string} name Error name
    * @param {string} message Error message
    * @param {string} requestUrl URL of the request issued
+   * @param {number} [attempts] Number of attempts made to issue the request
+   * @param {Error} [cause] The underlying error which caused this error
    * @returns {NetworkError} A new network error object
    */
-  constructor(name, message, requestUrl) {
-    super(name, message);
+  constructor(name, message, requestUrl, attempts = 1, cause) {
+    super(name, message, cause);
     this.requestUrl = requestUrl;
+    this.attempts = attempts;
   }
 }
 
-export class UnsuccessfulResponseError extends NetworkError {
+class ResponseStatusError extends NetworkError {
   /**
-   * Error class for all network responses which are not in 2xx category
+   * Base custom error class for network responses with an unsuccessful status code
+   * @param {string} name Error name
+   * @param {string} requestUrl URL of the request issued
+   * @param {number} statusCode Status code of the last response
+   * @param {number} attempts Number of attempts made to issue the request
+   * @returns {ResponseStatusError} A new response status error object
+   */
+  constructor(name, requestUrl, statusCode, attempts) {
+    super(
+      name,
+      `Unsuccessful network response with status ${statusCode} returned for ${requestUrl} after ${attempts} attempt(s)`,
+      requestUrl,
+      attempts
+    );
+    this.statusCode = statusCode;
+  }
+}
+
+export class UnsuccessfulResponseError extends ResponseStatusError {
+  /**
+   * Error class for network responses which are not in 2xx category and are not worth retrying, such as a 404
    * @param {string} requestUrl URL of the request issued
+   * @param {number} statusCode Status code of the response
+   * @param {number} [attempts] Number of attempts made to issue the request
    * @returns {UnsuccessfulResponseError} A new unsuccessful response error object
    */
-  constructor(requestUrl) {
+  constructor(requestUrl, statusCode, attempts = 1) {
+    super('UnsuccessfulResponseError', requestUrl, statusCode, attempts);
+  }
+}
+
+export class RateLimitedResponseError extends ResponseStatusError {
+  /**
+   * Error class for requests still rate limited with a 429 response after all retries
+   * @param {string} requestUrl URL of the request issued
+   * @param {number} attempts Number of attempts made to issue the request
+   * @returns {RateLimitedResponseError} A new rate limited response error object
+   */
+  constructor(requestUrl, attempts) {
+    super('RateLimitedResponseError', requestUrl, 429, attempts);
+  }
+}
+
+export class ServerErrorResponseError extends ResponseStatusError {
+  /**
+   * Error class for requests still failing with a 5xx response after all retries
+   * @param {string} requestUrl URL of the request issued
+   * @param {number} statusCode Status code of the last response
+   * @param {number} attempts Number of attempts made to issue the request
+   * @returns {ServerErrorResponseError} A new server error response error object
+   */
+  constructor(requestUrl, statusCode, attempts) {
+    super('ServerErrorResponseError', requestUrl, statusCode, attempts);
+  }
+}
+
+export class RequestTimeoutError extends NetworkError {
+  /**
+   * Error class for requests which did not receive a response in time after all retries
+   * @param {string} requestUrl URL of the request issued
+   * @param {number} timeoutMs Timeout of each attempt in milliseconds
+   * @param {number} attempts Number of attempts made to issue the request
+   * @returns {RequestTimeoutError} A new request timeout error object
+   */
+  constructor(requestUrl, timeoutMs, attempts) {
     super(
-      'UnsuccessfulResponseError',
-      `Unsuccessful network response returned for ${requestUrl}`,
-      requestUrl
+      'RequestTimeoutError',
+      `No response received within ${timeoutMs} ms for the request ${requestUrl} after ${attempts} attempt(s)`,
+      requestUrl,
+      attempts
     );
+    this.timeoutMs = timeoutMs;
   }
 }
 
 export class NoResponseError extends NetworkError {
   /**
-   * Error class for all network responses which are classified in 5xx category
+   * Error class for requests which failed without any response, such as refused connections
    * @param {string} requestUrl URL of the request issued
+   * @param {number} [attempts] Number of attempts made to issue the request
+   * @param {Error} [cause] The underlying error which caused this error
    * @returns {NoResponseError} A new no-response error object
    */
-  constructor(requestUrl) {
+  constructor(requestUrl, attempts = 1, cause) {
     super(
       'NoResponseError',
-      `No response received for the request ${requestUrl}`,
+      `No response received for the request ${requestUrl} after ${attempts} attempt(s)`,
+      requestUrl,
+      attempts,
+      cause
+    );
+  }
+}
+
+export class CacheMissError extends NetworkError {
+  /**
+   * Error class for requests which could not be served from the HTTP cache in offline mode
+   * @param {string} requestUrl URL of the request issued
+   * @returns {CacheMissError} A new cache miss error object
+   */
+  constructor(requestUrl) {
+    super(
+      'CacheMissError',
+      `No cached response available for ${requestUrl} in offline mode`,
+      requestUrl
+    );
+  }
+}
+
+export class RobotsDisallowedError extends NetworkError {
+  /**
+   * Error class for requests which were not issued since the robots.txt file of the site disallows them
+   * @param {string} requestUrl URL of the request skipped
+   * @returns {RobotsDisallowedError} A new robots disallowed error object
+   */
+  constructor(requestUrl) {
+    super(
+      'RobotsDisallowedError',
+      `Request to ${requestUrl} skipped since it is disallowed by robots.txt`,
+      requestUrl,
+      0
+    );
+  }
+}
+
+export class AssetIntegrityError extends NetworkError {
+  /**
+   * Error class for downloaded assets which failed an integrity check, such as a truncated download
+   * @param {string} requestUrl URL of the asset
+   * @param {string} reason Reason why the asset is not valid
+   * @returns {AssetIntegrityError} A new asset integrity error object
+   */
+  constructor(requestUrl, reason) {
+    super(
+      'AssetIntegrityError',
+      `Downloaded asset ${requestUrl} is not valid: ${reason}`,
       requestUrl
     );
   }
 }
 
+export class InvalidAssetNameError extends CustomError {
+  /**
+   * Error class for asset identifiers which cannot name a file, such as a scraped UPC with a path separator
+   * @param {string} assetName The file name of the asset without extension
+   * @returns {InvalidAssetNameError} A new invalid asset name error
+   */
+  constructor(assetName) {
+    super(
+      'InvalidAssetNameError',
+      `Asset file name ${JSON.stringify(assetName)} is not a valid file name`
+    );
+    this.assetName = assetName;
+  }
+}
+
 export class FileWriteError extends CustomError {
   /**
    * Error class for unsuccessful file creation
    * @param {string} filePath The file path to be persisted
+   * @param {Error} [cause] The underlying file system error
    * @returns {FileWriteError} A new file persisting error
    */
+  constructor(filePath, cause) {
+    super('FileWriteError', `Data could not be written to ${filePath}`, cause);
+    this.filePath = filePath;
+  }
+}
+
+export class ImageProcessingError extends CustomError {
+  /**
+   * Error class for images which could not be decoded or converted
+   * @param {string} filePath The path of the image file
+   * @param {Error} [cause] The underlying image library error
+   * @returns {ImageProcessingError} A new image processing error
+   */
+  constructor(filePath, cause) {
+    super(
+      'ImageProcessingError',
+      `Image could not be processed from ${filePath}`,
+      cause
+    );
+    this.filePath = filePath;
+  }
+}
+
+export class InvalidArgumentError extends CustomError {
+  /**
+   * Error class for invalid command line arguments
+   * @param {string} message Error message describing the invalid argument
+   * @returns {InvalidArgumentError} A new invalid argument error
+   */
+  constructor(message) {
+    super('InvalidArgumentError', message);
+  }
+}
+
+export class FileReadError extends CustomError {
+  /**
+   * Error class for unsuccessful file reading
+   * @param {string} filePath The file path to be read
+   * @returns {FileReadError} A new file reading error
+   */
   constructor(filePath) {
-    super('FileWriteError', `Data could not be written to ${filePath}`);
+    super('FileReadError', `Data could not be read from ${filePath}`);
+    this.filePath = filePath;
+  }
+}
+
+export class QualityThresholdError extends CustomError {
+  /**
+   * Error class for scraped data failing the data quality threshold
+   * @param {number} failureRate Ratio of invalid records
+   * @param {number} maxFailureRate Maximum ratio of invalid records allowed
+   * @returns {QualityThresholdError} A new quality threshold error
+   */
+  constructor(failureRate, maxFailureRate) {
+    super(
+      'QualityThresholdError',
+      `Ratio of invalid records ${failureRate.toFixed(
+        4
+      )} exceeds the maximum allowed ratio ${maxFailureRate}`
+    );
+    this.failureRate = failureRate;
+    this.maxFailureRate = maxFailureRate;
+  }
+}
+
+export class JobLockedError extends CustomError {
+  /**
+   * Error class for jobs which could not start since another job holds the lock of their data directory
+   * @param {string} filePath The file path of the lock file
+   * @param {number|null} pid ID of the process holding the lock or null if unknown
+   * @returns {JobLockedError} A new job locked error
+   */
+  constructor(filePath, pid) {
+    super(
+      'JobLockedError',
+      `Another job${
+        pid === null ? '' : ` of process ${pid}`
+      } holds the lock at ${filePath}`
+    );
+    this.filePath = filePath;
+    this.pid = pid;
+  }
+}
+
+export class ApiError extends CustomError {
+  /**
+   * Error class for API requests which are answered with an error status, such as a 404 for an unknown book
+   * @param {number} statusCode Status code of the response
+   * @param {string} message Error message sent in the response
+   * @returns {ApiError} A new API error
+   */
+  constructor(statusCode, message) {
+    super('ApiError', message);
+    this.statusCode = statusCode;
+  }
+}
+
+export class InvalidSiteDefinitionError extends CustomError {
+  /**
+   * Error class for site definitions which could not be loaded or are not valid
+   * @param {string} filePath The file path of the site definition
+   * @param {string} reason Reason why the site definition is not valid
+   * @returns {InvalidSiteDefinitionError} A new invalid site definition error
+   */
+  constructor(filePath, reason) {
+    super(
+      'InvalidSiteDefinitionError',
+      `Invalid site definition ${filePath}: ${reason}`
+    );
     this.filePath = filePath;
   }
 }
@@ -0,0 +1,129 @@
+import { RobotsDisallowedError } from './errors.js';
+
+/**
+ * Phases of a job in which a failure may occur:
+ * - discovery: loading a home or catalog page to find the book page URLs
+ * - extraction: loading a book details page or extracting one of its fields
+ * - assets: downloading an asset of a book
+ */
+export const FAILURE_PHASES = ['discovery', 'extraction', 'assets'];
+
+/**
+ * Describe the underlying cause of an error
+ * @param {Error} error The error
+ * @returns {string|null} The message of the innermost cause or null if the error has no cause
+ */
+const describeCause = (error) => {
+  let cause = error.cause;
+  while (cause?.cause) {
+    cause = cause.cause;
+  }
+  return cause ? cause.message ?? String(cause) : null;
+};
+
+/**
+ * Tell whether an error means that the work was skipped on purpose rather
+ * than failed, such as a URL disallowed by robots.txt, which is not retried
+ * @param {Error} error The error
+ * @returns {boolean} True if the work was skipped
+ */
+export const isSkipped = (error) => error instanceof RobotsDisallowedError;
+
+/**
+ * Get the level at which an error of a page or an asset is logged: skipped
+ * work is logged as a warning, so that it does not fail the run
+ * @param {Error} error The error
+ * @returns {string} The log level, warn or error
+ */
+export const getFailureLevel = (error) => (isSkipped(error) ? 'warn' : 'error');
+
+/**
+ * Create a failure manifest which collects the errors of a job grouped by
+ * error class, so that the failed work can be identified and run again. The
+ * skipped work is listed apart, since running it again would skip it again.
+ * @param {function({phase: string, url: string, error: Error}): void} [onFailure] Function called with
+ * each added error along with its details, such as the listener of the error events of a scraper
+ * @returns {{add: function(string, string, Error, Object=): void, carryOver: function(string, Object): void,
+ * readonly size: number, summarize: function(): Object}} A failure manifest object
+ */
+export const createFailureManifest = (onFailure) => {
+  // Failures keyed by the name of the error class
+  const errors = {};
+  const skipped = [];
+  let size = 0;
+
+  return {
+    /**
+     * Add an error to the manifest
+     * @param {string} phase Phase of the job in which the error occurred, one of FAILURE_PHASES
+     * @param {string} url URL of the page or asset which failed
+     * @param {Error} error The error
+     * @param {Object} [details] Details needed to retry the failed work, such as the identifier of an asset
+     */
+    add: (phase, url, error, details = {}) => {
+      if (isSkipped(error)) {
+        skipped.push({ url, phase, ...details, message: error.message });
+        return;
+      }
+      errors[error.name] ??= [];
+      errors[error.name].push({
+        url,
+        phase,
+        ...details,
+        message: error.message,
+        cause: describeCause(error),
+      });
+      ++size;
+      onFailure?.({ phase, url, ...details, error });
+    },
+
+    /**
+     * Add a failure of a previous run which was not attempted again, as it was recorded
+     * @param {string} name Name of the error class of the failure
+     * @param {Object} failure The failure, as listed by a failure manifest summary
+     */
+    carryOver: (name, failure) => {
+      errors[name] ??= [];
+      errors[name].push(failure);
+      ++size;
+    },
+
+    /**
+     * @returns {number} Number of errors in the manifest, without the skipped work
+     */
+    get size() {
+      return size;
+    },
+
+    /**
+     * Summarize the manifest as machine-readable JSON convertible data
+     * @returns {Object} The failure manifest summary
+     */
+    summarize: () => ({
+      generatedAt: new Date().toISOString(),
+      totalFailures: size,
+      errors,
+      skipped,
+    }),
+  };
+};
+
+/**
+ * List the failures of a failure manifest summary which occurred in a phase
+ * @param {Object} summary Failure manifest summary, as persisted by a previous run
+ * @param {string} phase Phase of the job, one of FAILURE_PHASES
+ * @returns {Object[]} A list of failures of the phase
+ */
+export const listFailures = (summary, phase) =>
+  Object.values(summary.errors ?? {})
+    .flat()
+    .filter((failure) => failure.phase === phase);
+
+/**
+ * List the work of a failure manifest summary which was skipped in a phase
+ * @param {Object} summary Failure manifest summary, as persisted by a previous run
+ * @param {string} phase Phase of the job, one of FAILURE_PHASES
+ * @returns {Object[]} A list of skipped work of the phase
+ */
+export const listSkipped = (summary, phase) =>
+  (summary.skipped ?? []).filter((entry) => entry.phase === phase);
@@ -0,0 +1,82 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import * as path from 'path';
+import { FileWriteError } from './errors.js';
+
+/**
+ * Create an on-disk HTTP response cache keyed by request URL
+ * @param {string} directory The directory in which cached responses are stored
+ * @returns {{read: function(string): Promise<Object|null>, write: function(string, Object): Promise<void>}}
+ * A cache object to read and write cache entries
+ */
+export const createHttpCache = (directory) => {
+  // Map the URL to a file name which is safe on every file system
+  const getEntryFilePath = (url) =>
+    path.resolve(
+      directory,
+      `${createHash('sha1').update(url).digest('hex')}.json`
+    );
+
+  return {
+    /**
+     * Read the cache entry of the URL
+     * @param {string} url URL of the cached response
+     * @returns {Promise<{url: string, body: string, etag: string|null, lastModified: string|null, storedAt: string}|null>}
+     * A promise which resolves the cache entry or null if the URL is not cached
+     */
+    read: async (url) => {
+      try {
+        const entry = JSON.parse(await readFile(getEntryFilePath(url), 'utf8'));
+        // Guard against hash collisions
+        return entry.url === url ? entry : null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /**
+     * Store the response body of the URL along with its validators
+     * @param {string} url URL of the response
+     * @param {{body: string, etag?: string, lastModified?: string}} response The response to cache
+     * @returns {Promise<void>} A promise which resolves once the entry is stored
+     * @throws {FileWriteError} A file write error if the entry could not be stored
+     */
+    write: async (url, { body, etag, lastModified }) => {
+      const filePath = getEntryFilePath(url);
+      const tempFilePath = `${filePath}.tmp`;
+      try {
+        await mkdir(directory, { recursive: true });
+        await writeFile(
+          tempFilePath,
+          JSON.stringify({
+            url,
+            body,
+            etag: etag ?? null,
+            lastModified: lastModified ?? null,
+            storedAt: new Date().toISOString(),
+          }),
+          'utf8'
+        );
+        await rename(tempFilePath, filePath);
+      } catch (error) {
+        throw new FileWriteError(filePath, error);
+      }
+    },
+  };
+};
+
+/**
+ * Build the conditional request headers to revalidate a cache entry
+ * @param {Object|null} entry The cache entry of the requested URL
+ * @returns {Object} Request headers with the validators of the entry
+ */
+export const getConditionalHeaders = (entry) => {
+  const headers = {};
+  if (entry?.etag) {
+    headers['If-None-Match'] = entry.etag;
+  }
+  if (entry?.lastModified) {
+    headers['If-Modified-Since'] = entry.lastModified;
+  }
+  return headers;
+};
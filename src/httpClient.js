@@ -0,0 +1,209 @@
+import axios from 'axios';
+import { finished } from 'node:stream/promises';
+import {
+  NoResponseError,
+  RateLimitedResponseError,
+  RequestTimeoutError,
+  ServerErrorResponseError,
+  UnsuccessfulResponseError,
+} from './errors.js';
+import { createAgents } from './proxyPool.js';
+import { sleep } from './scheduler.js';
+
+/**
+ * Check whether a response status is worth retrying
+ * @param {number} status Status code of the response
+ * @returns {boolean} True for 429 Too Many Requests and 5xx server errors
+ */
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+/**
+ * Parse the delay requested by a Retry-After header
+ * @param {string|undefined} value Value of the Retry-After header, in seconds or as an HTTP date
+ * @returns {number|null} The delay in milliseconds or null if the header is missing or invalid
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1_000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Compute the exponential backoff delay of a retry with full jitter
+ * @param {number} attempt Number of the failed attempt, starting at 1
+ * @param {number} baseDelayMs Delay in milliseconds of the first retry before jitter
+ * @param {number} maxDelayMs Maximum delay in milliseconds
+ * @returns {number} The delay in milliseconds
+ */
+export const getBackoffDelay = (attempt, baseDelayMs, maxDelayMs) =>
+  Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+
+/**
+ * Get the size of a successful response body: the length of a loaded body or
+ * the declared Content-Length of a streamed body
+ * @param {Object} response The axios response
+ * @returns {number} The size of the response body in bytes
+ */
+const getResponseSize = (response) =>
+  typeof response.data === 'string'
+    ? Buffer.byteLength(response.data)
+    : Number(response.headers['content-length']) || 0;
+
+/**
+ * Create an HTTP client which retries failed requests with exponential
+ * backoff. Responses with 429 and 5xx status codes, timeouts and network
+ * errors are retried, honoring the Retry-After header, while other 4xx
+ * responses fail at once.
+ * @param {Object} [options] HTTP client options
+ * @param {number} [options.retries] Maximum number of retries of a request
+ * @param {number} [options.timeoutMs] Timeout of each attempt in milliseconds
+ * @param {number} [options.baseDelayMs] Delay in milliseconds of the first retry before jitter
+ * @param {number} [options.maxDelayMs] Maximum delay in milliseconds between two attempts
+ * @param {Object} [options.headers] Headers sent with every request, such as the User-Agent
+ * @param {boolean} [options.keepAlive] Whether connections are kept open to be reused by later requests
+ * @param {Object|null} [options.proxyPool] Proxy pool which selects the proxy of each attempt, or null to
+ * connect directly
+ * @param {function(string, function(): Promise<*>): Promise<*>} [options.schedule] Function which runs each
+ * attempt, such as the schedule function of a request scheduler
+ * @param {function(Object): void} [options.onAttempt] Function called after each attempt with its URL, number,
+ * duration in milliseconds until the response, or its headers when streamed, status code, response size in bytes and network error
+ * @returns {{get: function(string, Object=): Promise<Object>}} An HTTP client object
+ */
+export const createHttpClient = ({
+  retries = 3,
+  timeoutMs = 30_000,
+  baseDelayMs = 500,
+  maxDelayMs = 30_000,
+  headers: defaultHeaders = {},
+  keepAlive = true,
+  proxyPool = null,
+  schedule = (url, task) => task(),
+  onAttempt = null,
+} = {}) => {
+  // A dedicated instance keeps the settings off the global axios instance,
+  // and proxies are only used through the proxy pool
+  const instance = axios.create({
+    validateStatus: () => true,
+    headers: defaultHeaders,
+    proxy: false,
+  });
+  const directAgents = createAgents(null, keepAlive);
+
+  // Issue a single attempt of the request through the schedule function and
+  // record how long it took, without the time spent waiting for a slot
+  const send = (url, config, timing) =>
+    new Promise((resolve, reject) => {
+      schedule(url, async () => {
+        // Select the proxy of each attempt, so that a retry may use another one
+        const proxy = proxyPool?.select(url) ?? null;
+        const { httpAgent, httpsAgent } = proxy ?? directAgents;
+        const start = performance.now();
+        let response;
+        try {
+          response = await instance.get(url, {
+            ...config,
+            httpAgent,
+            httpsAgent,
+          });
+        } catch (error) {
+          proxyPool?.reportFailure(proxy, error);
+          throw error;
+        } finally {
+          timing.durationMs = performance.now() - start;
+        }
+        proxyPool?.reportSuccess(proxy);
+        resolve(response);
+        // Hold the slot of a streamed response until its body has been consumed
+        if (config.responseType === 'stream') {
+          await finished(response.data).catch(() => {});
+        }
+      }).catch(reject);
+    });
+
+  return {
+    /**
+     * Send a GET request, retrying it on transient failures
+     * @param {string} url URL of the request
+     * @param {Object} [options] Request options
+     * @param {Object} [options.headers] Request headers
+     * @param {string} [options.responseType] Axios response type, such as stream
+     * @param {number} [options.timeoutMs] Timeout of each attempt in milliseconds, overriding the client timeout
+     * @param {function(number): boolean} [options.acceptStatus] Function which decides whether a
+     * response status is successful (default: 2xx)
+     * @returns {Promise<Object>} A promise which resolves the axios response
+     * @throws {UnsuccessfulResponseError|RateLimitedResponseError|ServerErrorResponseError|RequestTimeoutError|NoResponseError}
+     * A network error with the status code and the number of attempts if the request did not succeed
+     */
+    get: async (
+      url,
+      {
+        headers,
+        responseType,
+        timeoutMs: requestTimeoutMs = timeoutMs,
+        acceptStatus = (status) => status >= 200 && status < 300,
+      } = {}
+    ) => {
+      for (let attempt = 1; ; ++attempt) {
+        const timing = {};
+        let response;
+        let error = null;
+        try {
+          response = await send(
+            url,
+            { headers, responseType, timeout: requestTimeoutMs },
+            timing
+          );
+        } catch (requestError) {
+          error =
+            requestError.code === 'ECONNABORTED' ||
+            requestError.code === 'ETIMEDOUT'
+              ? new RequestTimeoutError(url, requestTimeoutMs, attempt)
+              : new NoResponseError(url, attempt, requestError);
+        }
+        if (response && !acceptStatus(response.status)) {
+          // Release the connection of an unused streamed response
+          if (responseType === 'stream') {
+            response.data.destroy();
+          }
+          if (!isRetryableStatus(response.status)) {
+            error = new UnsuccessfulResponseError(
+              url,
+              response.status,
+              attempt
+            );
+          } else if (response.status === 429) {
+            error = new RateLimitedResponseError(url, attempt);
+          } else {
+            error = new ServerErrorResponseError(url, response.status, attempt);
+          }
+        }
+        onAttempt?.({
+          url,
+          attempt,
+          durationMs: timing.durationMs ?? 0,
+          status: response?.status ?? null,
+          bytes: response && !error ? getResponseSize(response) : 0,
+          error,
+        });
+        if (!error) {
+          return response;
+        }
+        if (error instanceof UnsuccessfulResponseError || attempt > retries) {
+          throw error;
+        }
+        // Wait as long as the server asks for, up to the maximum delay
+        const retryAfter = parseRetryAfter(response?.headers['retry-after']);
+        await sleep(
+          retryAfter !== null
+            ? Math.min(retryAfter, maxDelayMs)
+            : getBackoffDelay(attempt, baseDelayMs, maxDelayMs)
+        );
+      }
+    },
+  };
+};
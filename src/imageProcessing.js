@@ -0,0 +1,220 @@
+import { randomUUID } from 'node:crypto';
+import { readFile, rename, rm, stat } from 'node:fs/promises';
+import * as path from 'path';
+import sharp from 'sharp';
+import { ImageProcessingError, InvalidArgumentError } from './errors.js';
+
+// File extensions of the formats which derived images can be encoded in
+const VARIANT_FORMAT_EXTENSIONS = {
+  webp: '.webp',
+  avif: '.avif',
+  jpeg: '.jpg',
+  png: '.png',
+};
+
+// Names of the formats which derived images can be encoded in
+export const IMAGE_VARIANT_FORMATS = Object.keys(VARIANT_FORMAT_EXTENSIONS);
+
+// Maximum number of differing bits between the perceptual hashes of two images
+// considered to be the same picture, such as a resized or re-encoded copy
+export const SIMILAR_IMAGE_MAX_DISTANCE = 5;
+
+/**
+ * Parse a comma separated list of derived images such as "200:webp,400:jpeg",
+ * where each item is the maximum width in pixels and the format of an image
+ * @param {string} text List of derived images
+ * @returns {{width: number, format: string}[]} A list of image variants
+ * @throws {InvalidArgumentError} An invalid argument error if an item is not a width and a supported format
+ */
+export const parseImageVariants = (text) =>
+  text
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item !== '')
+    .map((item) => {
+      const match = item.match(/^(\d+):(\w+)$/);
+      if (
+        !match ||
+        Number(match[1]) === 0 ||
+        !Object.hasOwn(VARIANT_FORMAT_EXTENSIONS, match[2])
+      ) {
+        throw new InvalidArgumentError(
+          `Image variant ${item} must be a width and one of the ${IMAGE_VARIANT_FORMATS.join(
+            ', '
+          )} formats, such as 200:webp`
+        );
+      }
+      return { width: Number(match[1]), format: match[2] };
+    });
+
+/**
+ * Compute the difference hash of an image: the image is shrunk to 9x8 grey
+ * pixels and each bit tells whether a pixel is brighter than its right
+ * neighbour. Resized or re-encoded copies of a picture get the same or a
+ * close hash.
+ * @param {sharp.Sharp} image The image
+ * @returns {Promise<string>} A promise which resolves the 64 bit hash as 16 hex digits
+ */
+const computePerceptualHash = async (image) => {
+  const pixels = await image
+    .clone()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  let hash = 0n;
+  for (let row = 0; row < 8; ++row) {
+    for (let column = 0; column < 8; ++column) {
+      const index = row * 9 + column;
+      hash = (hash << 1n) | (pixels[index] > pixels[index + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+/**
+ * Count the differing bits of two perceptual hashes
+ * @param {string} hash A perceptual hash as hex digits
+ * @param {string} otherHash Another perceptual hash as hex digits
+ * @returns {number} The Hamming distance of the hashes
+ */
+export const getHashDistance = (hash, otherHash) => {
+  let difference = BigInt(`0x${hash}`) ^ BigInt(`0x${otherHash}`);
+  let distance = 0;
+  while (difference > 0n) {
+    distance += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return distance;
+};
+
+/**
+ * Find the images which show the same picture as other images
+ * @param {Map<string, string>} hashes Perceptual hashes keyed by image identifier
+ * @param {number} [maxDistance] Maximum Hamming distance of the hashes of the same picture
+ * @returns {Map<string, string[]>} The identifiers of the similar images keyed by image identifier
+ */
+export const findSimilarImages = (
+  hashes,
+  maxDistance = SIMILAR_IMAGE_MAX_DISTANCE
+) => {
+  const entries = [...hashes];
+  return new Map(
+    entries.map(([identifier, hash]) => [
+      identifier,
+      entries
+        .filter(
+          ([otherIdentifier, otherHash]) =>
+            otherIdentifier !== identifier &&
+            getHashDistance(hash, otherHash) <= maxDistance
+        )
+        .map(([otherIdentifier]) => otherIdentifier),
+    ])
+  );
+};
+
+/**
+ * Get the file name of a derived image
+ * @param {string} file File name of the original image
+ * @param {{width: number, format: string}} variant The image variant
+ * @returns {string} The file name of the derived image, such as a897fe39b1053632-200w.webp
+ */
+export const getVariantFileName = (file, { width, format }) =>
+  `${path.basename(file, path.extname(file))}-${width}w${
+    VARIANT_FORMAT_EXTENSIONS[format]
+  }`;
+
+/**
+ * Save a derived image next to the original image. The image is written to a
+ * temporary file first, like downloaded assets are.
+ * @param {sharp.Sharp} image The original image
+ * @param {string} filePath Path of the original image
+ * @param {{width: number, format: string}} variant The image variant
+ * @returns {Promise<{width: number, height: number, format: string, file: string, size: number}>}
+ * A promise which resolves the saved derived image
+ */
+const saveVariant = async (image, filePath, variant) => {
+  const file = getVariantFileName(path.basename(filePath), variant);
+  const variantFilePath = path.join(path.dirname(filePath), file);
+  const tempFilePath = path.join(
+    path.dirname(filePath),
+    `.${file}.${randomUUID()}.tmp`
+  );
+  try {
+    const { width, height, size } = await image
+      .clone()
+      // Images narrower than the variant are converted without being enlarged
+      .resize({ width: variant.width, withoutEnlargement: true })
+      .toFormat(variant.format)
+      .toFile(tempFilePath);
+    await rename(tempFilePath, variantFilePath);
+    return { width, height, format: variant.format, file, size };
+  } catch (error) {
+    await rm(tempFilePath, { force: true });
+    throw error;
+  }
+};
+
+/**
+ * Read the dimensions and the perceptual hash of an image and save its
+ * derived images next to it
+ * @param {string} filePath Path of the image
+ * @param {{width: number, format: string}[]} variants The derived images to save
+ * @returns {Promise<{width: number, height: number, perceptualHash: string, variants: Object[]}>}
+ * A promise which resolves the dimensions and the perceptual hash of the image along with its derived images
+ * @throws {ImageProcessingError} An image processing error if the image could not be decoded or converted
+ */
+export const processImage = async (filePath, variants) => {
+  try {
+    // The file is read at once since the image library caches opened files,
+    // and the EXIF orientation is applied so that derived images are upright
+    const image = sharp(await readFile(filePath)).rotate();
+    const { width, height, orientation } = await image.metadata();
+    // Orientations 5 to 8 swap the width and the height
+    const isRotated = orientation >= 5;
+    const perceptualHash = await computePerceptualHash(image);
+    const savedVariants = [];
+    for (const variant of variants) {
+      savedVariants.push(await saveVariant(image, filePath, variant));
+    }
+    return {
+      width: isRotated ? height : width,
+      height: isRotated ? width : height,
+      perceptualHash,
+      variants: savedVariants,
+    };
+  } catch (error) {
+    throw new ImageProcessingError(filePath, error);
+  }
+};
+
+/**
+ * Check whether the derived images of a processed image are still saved
+ * @param {string} filePath Path of the image
+ * @param {{variants: Object[]}} processedImage The processed image
+ * @param {{width: number, format: string}[]} variants The derived images which should be saved
+ * @returns {Promise<boolean>} A promise which resolves true if the same derived images are saved
+ */
+export const hasSavedVariants = async (filePath, processedImage, variants) => {
+  const savedVariants = processedImage.variants ?? [];
+  if (
+    savedVariants.length !== variants.length ||
+    variants.some(
+      (variant, index) =>
+        savedVariants[index].file !==
+        getVariantFileName(path.basename(filePath), variant)
+    )
+  ) {
+    return false;
+  }
+  try {
+    for (const { file, size } of savedVariants) {
+      if ((await stat(path.join(path.dirname(filePath), file))).size !== size) {
+        return false;
+      }
+    }
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
@@ -0,0 +1,17 @@
+// Public API of the library, which has no side effects on import
+export { createScraper, DEFAULT_BASE_URL } from './scraper.js';
+export { createDaemon } from './daemon.js';
+export { startApiServer } from './api.js';
+export {
+  configureCache,
+  configureCrawlPolicy,
+  configureHttpClient,
+  configureScheduler,
+} from './crawler.js';
+export {
+  combineWriters,
+  createBookDataWriter,
+  OUTPUT_FORMATS,
+} from './writers.js';
+export { enableFileLogging, setConsoleLogging } from './logger.js';
+export * from './errors.js';
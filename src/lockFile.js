@@ -0,0 +1,93 @@
+import { mkdir, open, readFile, rm } from 'node:fs/promises';
+import { hostname } from 'node:os';
+import * as path from 'path';
+import { JobLockedError } from './errors.js';
+import logger from './logger.js';
+
+/**
+ * Check whether a process is running on this host
+ * @param {number} pid ID of the process
+ * @returns {boolean} True if the process is running
+ */
+const isProcessRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // The process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+};
+
+/**
+ * Read the owner of a lock file
+ * @param {string} filePath The file path of the lock file
+ * @returns {Promise<{pid: number, hostname: string, acquiredAt: string}|null>} A promise which resolves
+ * the owner of the lock or null if the lock file could not be read
+ */
+const readLockOwner = async (filePath) => {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Acquire a lock file which prevents two jobs from running at once. The lock
+ * file of a process which is no longer running on this host is taken over.
+ * @param {string} filePath The file path of the lock file
+ * @returns {Promise<function(): Promise<void>>} A promise which resolves a function releasing the lock
+ * @throws {JobLockedError} A job locked error if another running process holds the lock
+ */
+export const acquireLockFile = async (filePath) => {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  for (;;) {
+    try {
+      // Creating the file fails if it exists, hence a single process acquires the lock
+      const file = await open(filePath, 'wx');
+      await file.writeFile(
+        JSON.stringify({
+          pid: process.pid,
+          hostname: hostname(),
+          acquiredAt: new Date().toISOString(),
+        })
+      );
+      await file.close();
+      return () => rm(filePath, { force: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+    const owner = await readLockOwner(filePath);
+    // A lock of another host cannot be checked, hence it is kept
+    if (
+      owner?.hostname !== hostname() ||
+      owner.pid === process.pid ||
+      isProcessRunning(owner.pid)
+    ) {
+      throw new JobLockedError(filePath, owner?.pid ?? null);
+    }
+    logger.warn(
+      `Taking over the lock at ${filePath} of process ${owner.pid} which is no longer running`
+    );
+    await rm(filePath, { force: true });
+  }
+};
+
+/**
+ * Run a task while holding a lock file
+ * @param {string} filePath The file path of the lock file
+ * @param {function(): Promise<*>} task Function which runs the task
+ * @returns {Promise<*>} A promise which resolves the result of the task
+ * @throws {JobLockedError} A job locked error if another running process holds the lock
+ */
+export const withLockFile = async (filePath, task) => {
+  const releaseLock = await acquireLockFile(filePath);
+  try {
+    return await task();
+  } finally {
+    await releaseLock();
+  }
+};
@@ -1,12 +1,65 @@
+import * as path from 'path';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomBytes } from 'node:crypto';
+import { readdir, rm, stat } from 'node:fs/promises';
+import { Writable } from 'node:stream';
 import winston, { format, transports } from 'winston';
 
 const { printf, combine, timestamp, json } = format;
-const { File, Console } = transports;
+const { File, Console, Stream } = transports;
 
-// Define a custom console log format to show level, message, timestamp and metadata
+// Context of the run and of the work being done, such as the URL, the UPC and
+// the phase, which is added to the logs written while doing the work
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Serialize an error with its own fields, such as the requestUrl of a
+ * network error or the filePath of a file error, along with its cause
+ * @param {*} error The error
+ * @param {boolean} [withStack] Whether the stack trace is included
+ * @returns {Object|*} The serialized error, or the value itself if it is not an error
+ */
+export const serializeError = (error, withStack = true) => {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    // Nested objects, such as the request of an HTTP client error, are left out
+    ...Object.fromEntries(
+      Object.entries(error).filter(
+        ([, value]) => value === null || typeof value !== 'object'
+      )
+    ),
+    ...(error.cause === undefined
+      ? {}
+      : { cause: serializeError(error.cause, false) }),
+    ...(withStack ? { stack: error.stack } : {}),
+  };
+};
+
+// Define a format which adds the log context and serializes the error of a log
+const addContext = format((info) => {
+  Object.entries(logContext.getStore() ?? {}).forEach(([key, value]) => {
+    // Metadata given to a log takes precedence over its context
+    info[key] ??= value;
+  });
+  if (info.error instanceof Error) {
+    info.error = serializeError(info.error);
+  }
+  return info;
+});
+
+// Define a custom console log format to show level, message, timestamp and
+// metadata, leaving out the stack traces which the log files keep
 const customConsoleLogFormat = printf(
   ({ level, message, timestamp, ...metadata }) => {
     let logString = `${timestamp} ${level}: ${message}`;
+    if (metadata.error?.stack) {
+      const { stack, ...error } = metadata.error;
+      metadata.error = error;
+    }
     if (metadata && Object.entries(metadata).length !== 0) {
       logString += ` ${JSON.stringify(metadata)}`;
     }
@@ -17,28 +70,226 @@ const customConsoleLogFormat = printf(
 // Define a custom file log format to include timestamp
 const customFileLogFormat = combine(timestamp(), json());
 
-// Define a logger instance
+// Number of error logs written by the process so far
+let errorCount = 0;
+
+// Define a format which counts error logs without altering them
+const countErrors = format((info) => {
+  if (info.level === 'error') {
+    ++errorCount;
+  }
+  return info;
+});
+
+// Define a logger instance, whose logs are written to the console and the log
+// files only once enabled so that importing the library has no side effects.
+// Logs are dropped until then.
 const logger = winston.createLogger({
   level: 'debug',
-  format: json(),
-  // Add two separate transports for combined logs and error logs
+  format: combine(countErrors(), addContext(), json()),
   transports: [
-    new File({
-      filename: 'logs/error.log',
-      level: 'error',
-      format: customFileLogFormat,
+    new Stream({
+      stream: new Writable({
+        objectMode: true,
+        write: (info, encoding, callback) => callback(),
+      }),
     }),
-    new File({ filename: 'logs/combined.log', format: customFileLogFormat }),
   ],
 });
 
-// If the environment is not production, add logs to console as well
-if (process.env.NODE_ENV !== 'production') {
+const consoleTransport = new Console({
+  format: combine(timestamp(), customConsoleLogFormat),
+  // Keep the standard output free for command output
+  stderrLevels: Object.keys(logger.levels),
+});
+
+// Directory of the log files once file logging is enabled
+let logDirectory = null;
+
+/**
+ * Write the logs to the console or stop writing them there
+ * @param {boolean} enabled Whether the logs are written to the console
+ */
+export const setConsoleLogging = (enabled) => {
+  if (enabled && !logger.transports.includes(consoleTransport)) {
+    logger.add(consoleTransport);
+  } else if (!enabled) {
+    logger.remove(consoleTransport);
+  }
+};
+
+/**
+ * Remove the log files of the runs which are older than the retention period
+ * @param {string} directory The directory of the log files of the runs
+ * @param {number} retentionDays Number of days for which the log files are kept
+ * @returns {Promise<void>} A promise which resolves once the old log files are removed
+ */
+const removeExpiredRunLogs = async (directory, retentionDays) => {
+  let fileNames;
+  try {
+    fileNames = await readdir(directory);
+  } catch (error) {
+    // No run has been logged yet
+    return;
+  }
+  const expiresBefore = Date.now() - retentionDays * 86_400_000;
+  for (const fileName of fileNames.filter((name) => name.endsWith('.log'))) {
+    const filePath = path.join(directory, fileName);
+    try {
+      if ((await stat(filePath)).mtimeMs < expiresBefore) {
+        await rm(filePath);
+      }
+    } catch (error) {
+      logger.warn(`Could not remove the expired log file ${filePath}`, {
+        error,
+      });
+    }
+  }
+};
+
+/**
+ * Write the logs to files as well: all logs to combined.log, error logs to
+ * error.log and the logs of each run to runs/<run ID>.log. The combined and
+ * error logs are rotated once they reach the maximum size, while the run logs
+ * are removed once they are older than the retention period.
+ * @param {Object} [options] File logging options
+ * @param {string} [options.directory] The directory in which the log files are created
+ * @param {number} [options.maxSize] Maximum size in bytes of combined.log and error.log before they are rotated
+ * @param {number} [options.maxFiles] Maximum number of rotated files kept for each of them
+ * @param {number} [options.retentionDays] Number of days for which the log files of the runs are kept
+ * @returns {Promise<void>} A promise which resolves once the expired log files of the runs are removed
+ */
+export const enableFileLogging = async ({
+  directory = 'logs',
+  maxSize = 10_485_760,
+  maxFiles = 5,
+  retentionDays = 14,
+} = {}) => {
+  logDirectory = directory;
+  // Add two separate transports for combined logs and error logs
   logger.add(
-    new Console({
-      format: combine(timestamp(), customConsoleLogFormat),
+    new File({
+      filename: path.join(directory, 'error.log'),
+      level: 'error',
+      format: customFileLogFormat,
+      maxsize: maxSize,
+      maxFiles,
+      tailable: true,
+    })
+  );
+  logger.add(
+    new File({
+      filename: path.join(directory, 'combined.log'),
+      format: customFileLogFormat,
+      maxsize: maxSize,
+      maxFiles,
+      tailable: true,
     })
   );
-}
+  await removeExpiredRunLogs(path.join(directory, 'runs'), retentionDays);
+};
+
+/**
+ * Create a unique ID of a run, which sorts in the order the runs started
+ * @returns {string} The run ID, such as 20240131-120000-1a2b3c
+ */
+export const createRunId = () =>
+  `${new Date()
+    .toISOString()
+    .replace(/[-:]|\.\d+Z$/g, '')
+    .replace('T', '-')}-${randomBytes(3).toString('hex')}`;
+
+/**
+ * Get the context added to the logs written by the current work
+ * @returns {{runId: string, url: string, upc: string, phase: string}} The log context, whose fields are
+ * only set within a run or a piece of work
+ */
+export const getLogContext = () => logContext.getStore() ?? {};
+
+/**
+ * Run a task whose logs carry the given context along with the context of
+ * the work it belongs to, including the asynchronous work it starts
+ * @param {{url: string, upc: string, phase: string}} context Fields added to the logs, such as the URL, the
+ * UPC and the phase of the job the task works on
+ * @param {function(): *} task Function which runs the task
+ * @returns {*} The result of the task
+ */
+export const runWithLogContext = (context, task) =>
+  logContext.run({ ...getLogContext(), ...context }, task);
+
+/**
+ * Run a task as a run: its logs carry a new run ID and are written to the log
+ * file of the run as well when file logging is enabled. A task started within
+ * a run, such as a scraping job of a command, continues that run.
+ * @param {function(string): Promise<*>} task Function which runs the task, called with the run ID
+ * @returns {Promise<*>} A promise which resolves the result of the task
+ */
+export const runWithRunLog = async (task) => {
+  const { runId: currentRunId } = getLogContext();
+  if (currentRunId) {
+    return task(currentRunId);
+  }
+  const runId = createRunId();
+  const runTransport = logDirectory
+    ? new File({
+        filename: path.join(logDirectory, 'runs', `${runId}.log`),
+        format: combine(
+          format((info) => (info.runId === runId ? info : false))(),
+          customFileLogFormat
+        ),
+      })
+    : null;
+  if (runTransport) {
+    logger.add(runTransport);
+  }
+  try {
+    return await runWithLogContext({ runId }, () => task(runId));
+  } finally {
+    if (runTransport) {
+      logger.remove(runTransport);
+      runTransport.close?.();
+    }
+  }
+};
+
+/**
+ * Forward the logs of a run to another logger, such as the logger of a
+ * service which embeds the scraper, along with the transports of this logger
+ * @param {{error: function, warn: function, info: function, debug: function}} target The logger to
+ * forward the logs to, called with the message and the metadata of each log
+ * @param {string} [runId] ID of the run whose logs are forwarded, every log being forwarded by default
+ * @returns {function(): void} A function which stops forwarding the logs
+ */
+export const forwardLogs = (target, runId) => {
+  const forwarder = new Stream({
+    format: format((info) =>
+      runId === undefined || info.runId === runId ? info : false
+    )(),
+    stream: new Writable({
+      objectMode: true,
+      write: ({ level, message, ...info }, encoding, callback) => {
+        // Symbol keys of the log are internal to the logging library
+        const metadata = Object.fromEntries(Object.entries(info));
+        const log = target[level] ?? target.info;
+        if (Object.keys(metadata).length > 0) {
+          log.call(target, message, metadata);
+        } else {
+          log.call(target, message);
+        }
+        callback();
+      },
+    }),
+  });
+  logger.add(forwarder);
+  return () => {
+    logger.remove(forwarder);
+  };
+};
+
+/**
+ * Get the number of error logs written by the process so far
+ * @returns {number} Number of error logs
+ */
+export const getErrorCount = () => errorCount;
 
 export default logger;
@@ -0,0 +1,69 @@
+// File extensions of the supported media types
+const MEDIA_TYPE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/svg+xml': '.svg',
+};
+
+// Leading bytes identifying the supported binary media types
+const MAGIC_BYTES = [
+  { mimeType: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  {
+    mimeType: 'image/png',
+    offset: 0,
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { mimeType: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+  // RIFF....WEBP
+  { mimeType: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+  // ....ftypavif
+  {
+    mimeType: 'image/avif',
+    offset: 4,
+    bytes: [0x66, 0x74, 0x79, 0x70, 0x61, 0x76, 0x69, 0x66],
+  },
+];
+
+// Number of leading bytes needed to detect a media type
+export const MAGIC_BYTES_LENGTH = 16;
+
+/**
+ * Detect the media type of a file from its leading bytes
+ * @param {Buffer} head Leading bytes of the file
+ * @returns {string|null} The detected media type or null if it is not recognized
+ */
+const detectMagicBytes = (head) =>
+  MAGIC_BYTES.find(({ offset, bytes }) =>
+    bytes.every((byte, index) => head[offset + index] === byte)
+  )?.mimeType ?? null;
+
+/**
+ * Parse the media type of a Content-Type header, such as "image/jpeg; charset=binary"
+ * @param {string|undefined} contentType Value of the Content-Type header
+ * @returns {string|null} The supported media type or null if it is missing or not supported
+ */
+const parseContentType = (contentType) => {
+  const mimeType = contentType?.split(';')[0].trim().toLowerCase();
+  return Object.hasOwn(MEDIA_TYPE_EXTENSIONS, mimeType ?? '') ? mimeType : null;
+};
+
+/**
+ * Detect the media type of a downloaded file. The leading bytes are trusted
+ * over the Content-Type header, which servers often set to a generic type.
+ * @param {Buffer} head Leading bytes of the file
+ * @param {string|undefined} contentType Value of the Content-Type response header
+ * @returns {string|null} The media type or null if it could not be detected
+ */
+export const detectMediaType = (head, contentType) =>
+  detectMagicBytes(head) ?? parseContentType(contentType);
+
+/**
+ * Get the file extension of a media type
+ * @param {string|null} mimeType Media type
+ * @returns {string|null} The file extension with its leading dot or null if the media type is not supported
+ */
+export const getMediaTypeExtension = (mimeType) =>
+  MEDIA_TYPE_EXTENSIONS[mimeType] ?? null;
@@ -0,0 +1,376 @@
+import { createServer } from 'node:http';
+import { getDuration } from './commonUtils.js';
+
+// Upper bounds in seconds of the buckets of the request latency histogram
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape a Prometheus label value
+ * @param {string} value The label value
+ * @returns {string} The escaped label value
+ */
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+/**
+ * Format the samples of a Prometheus metric along with its help and type
+ * @param {string} name Name of the metric
+ * @param {string} type Type of the metric, such as counter or gauge
+ * @param {string} help Description of the metric
+ * @param {{labels: Object, value: number, suffix: string}[]} samples Samples of the metric with their labels
+ * and an optional suffix of the metric name, such as _bucket
+ * @returns {string} The metric in the Prometheus text format
+ */
+const formatMetric = (name, type, help, samples) =>
+  [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...samples.map(({ labels = {}, value, suffix = '' }) => {
+      const labelText = Object.entries(labels)
+        .map(
+          ([label, labelValue]) => `${label}="${escapeLabelValue(labelValue)}"`
+        )
+        .join(',');
+      return `${name}${suffix}${labelText ? `{${labelText}}` : ''} ${value}`;
+    }),
+  ].join('\n');
+
+/**
+ * Create a collector of the metrics of a scraping run: the progress of each
+ * phase, the latency, size, retries and errors of the requests and the
+ * failures of the job
+ * @returns {Object} A run metrics object
+ */
+export const createRunMetrics = () => {
+  const startedAt = new Date();
+  const start = performance.now();
+  const progress = {
+    urlsDiscovered: 0,
+    discoveryCompleted: false,
+    pagesFetched: 0,
+    pagesFromCache: 0,
+    booksExtracted: 0,
+    assetsSaved: 0,
+  };
+  const requests = {
+    attempts: 0,
+    retries: 0,
+    bytes: 0,
+    // Number of failed attempts keyed by error class
+    errors: {},
+  };
+  // Number of attempts in each latency bucket, the last one being unbounded
+  const latencyCounts = new Array(LATENCY_BUCKETS.length + 1).fill(0);
+  let latencySum = 0;
+  // Number of failures of the job keyed by error class and phase
+  const failures = {};
+
+  /**
+   * @returns {number} Time elapsed since the run started in milliseconds
+   */
+  const getElapsedMs = () => performance.now() - start;
+
+  return {
+    /**
+     * Record a discovered book page URL
+     */
+    recordUrlDiscovered: () => {
+      ++progress.urlsDiscovered;
+    },
+
+    /**
+     * Record that every book page URL was discovered
+     */
+    completeDiscovery: () => {
+      progress.discoveryCompleted = true;
+    },
+
+    /**
+     * Record a loaded HTML page
+     * @param {{fromCache: boolean}} page Whether the page was served from the cache
+     */
+    recordPageFetched: ({ fromCache }) => {
+      ++progress.pagesFetched;
+      if (fromCache) {
+        ++progress.pagesFromCache;
+      }
+    },
+
+    /**
+     * Record an extracted book record
+     */
+    recordBookExtracted: () => {
+      ++progress.booksExtracted;
+    },
+
+    /**
+     * Record a saved asset
+     */
+    recordAssetSaved: () => {
+      ++progress.assetsSaved;
+    },
+
+    /**
+     * Record an attempt of a request
+     * @param {{attempt: number, durationMs: number, bytes: number, error: Error|null}} attempt The number,
+     * duration, response size and error of the attempt
+     */
+    recordAttempt: ({ attempt, durationMs, bytes, error }) => {
+      ++requests.attempts;
+      if (attempt > 1) {
+        ++requests.retries;
+      }
+      requests.bytes += bytes;
+      if (error) {
+        requests.errors[error.name] = (requests.errors[error.name] ?? 0) + 1;
+      }
+      const seconds = durationMs / 1_000;
+      const bucket = LATENCY_BUCKETS.findIndex((bound) => seconds <= bound);
+      ++latencyCounts[bucket === -1 ? LATENCY_BUCKETS.length : bucket];
+      latencySum += seconds;
+    },
+
+    /**
+     * Record a failure of the job
+     * @param {{phase: string, error: Error}} failure The phase and error of the failure
+     */
+    recordFailure: ({ phase, error }) => {
+      failures[error.name] ??= {};
+      failures[error.name][phase] = (failures[error.name][phase] ?? 0) + 1;
+    },
+
+    /**
+     * Get the progress of the run along with the throughput and an estimate
+     * of the remaining time, based on the book page URLs discovered so far
+     * @returns {Object} The progress of the run
+     */
+    getProgress: () => {
+      const elapsedMs = getElapsedMs();
+      const booksPerSecond =
+        elapsedMs > 0 ? (progress.booksExtracted * 1_000) / elapsedMs : 0;
+      const remainingBooks = progress.urlsDiscovered - progress.booksExtracted;
+      return {
+        ...progress,
+        elapsedMs,
+        booksPerSecond,
+        etaMs:
+          booksPerSecond > 0 ? (remainingBooks * 1_000) / booksPerSecond : null,
+      };
+    },
+
+    /**
+     * Summarize the run as machine-readable JSON convertible data
+     * @param {string} status Outcome of the run: completed, failed or aborted
+     * @returns {Object} The run summary
+     */
+    summarize: (status) => {
+      const durationMs = getElapsedMs();
+      return {
+        status,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationMs: Math.round(durationMs),
+        progress: { ...progress },
+        throughput: {
+          booksPerSecond:
+            durationMs > 0 ? (progress.booksExtracted * 1_000) / durationMs : 0,
+          bytesPerSecond:
+            durationMs > 0 ? (requests.bytes * 1_000) / durationMs : 0,
+        },
+        requests: {
+          attempts: requests.attempts,
+          retries: requests.retries,
+          bytesTransferred: requests.bytes,
+          errorsByClass: { ...requests.errors },
+          latency: {
+            count: requests.attempts,
+            sumSeconds: latencySum,
+            // Number of attempts which took at most le seconds
+            buckets: [...LATENCY_BUCKETS, '+Inf'].map((bound, index) => ({
+              le: bound,
+              count: latencyCounts
+                .slice(0, index + 1)
+                .reduce((sum, count) => sum + count, 0),
+            })),
+          },
+        },
+        failuresByClass: structuredClone(failures),
+      };
+    },
+
+    /**
+     * Format the metrics in the Prometheus text exposition format
+     * @returns {string} The metrics text
+     */
+    toPrometheus: () => {
+      let cumulativeCount = 0;
+      return `${[
+        formatMetric(
+          'scraper_urls_discovered_total',
+          'counter',
+          'Number of discovered book page URLs',
+          [{ value: progress.urlsDiscovered }]
+        ),
+        formatMetric(
+          'scraper_pages_fetched_total',
+          'counter',
+          'Number of loaded HTML pages',
+          [
+            {
+              labels: { cache: 'false' },
+              value: progress.pagesFetched - progress.pagesFromCache,
+            },
+            { labels: { cache: 'true' }, value: progress.pagesFromCache },
+          ]
+        ),
+        formatMetric(
+          'scraper_books_extracted_total',
+          'counter',
+          'Number of extracted book records',
+          [{ value: progress.booksExtracted }]
+        ),
+        formatMetric(
+          'scraper_assets_saved_total',
+          'counter',
+          'Number of saved book images',
+          [{ value: progress.assetsSaved }]
+        ),
+        formatMetric(
+          'scraper_http_requests_total',
+          'counter',
+          'Number of request attempts',
+          [{ value: requests.attempts }]
+        ),
+        formatMetric(
+          'scraper_http_retries_total',
+          'counter',
+          'Number of request attempts which retried a failed attempt',
+          [{ value: requests.retries }]
+        ),
+        formatMetric(
+          'scraper_http_response_bytes_total',
+          'counter',
+          'Size of the successful responses in bytes',
+          [{ value: requests.bytes }]
+        ),
+        formatMetric(
+          'scraper_http_request_errors_total',
+          'counter',
+          'Number of failed request attempts by error class',
+          Object.entries(requests.errors).map(([errorClass, value]) => ({
+            labels: { class: errorClass },
+            value,
+          }))
+        ),
+        formatMetric(
+          'scraper_http_request_duration_seconds',
+          'histogram',
+          'Time until the response of request attempts, or its headers when streamed',
+          [
+            ...[...LATENCY_BUCKETS, '+Inf'].map((bound, index) => {
+              cumulativeCount += latencyCounts[index];
+              return {
+                suffix: '_bucket',
+                labels: { le: bound },
+                value: cumulativeCount,
+              };
+            }),
+            { suffix: '_sum', value: latencySum },
+            { suffix: '_count', value: requests.attempts },
+          ]
+        ),
+        formatMetric(
+          'scraper_failures_total',
+          'counter',
+          'Number of failures of the job by error class and phase',
+          Object.entries(failures).flatMap(([errorClass, phases]) =>
+            Object.entries(phases).map(([phase, value]) => ({
+              labels: { class: errorClass, phase },
+              value,
+            }))
+          )
+        ),
+      ].join('\n')}\n`;
+    },
+  };
+};
+
+/**
+ * Describe the progress of a run in a log message
+ * @param {Object} progress The progress of the run
+ * @returns {string} The progress message
+ */
+export const formatProgress = ({
+  urlsDiscovered,
+  discoveryCompleted,
+  pagesFetched,
+  booksExtracted,
+  assetsSaved,
+  booksPerSecond,
+  etaMs,
+}) => {
+  let eta = 'unknown';
+  if (etaMs !== null) {
+    const { hours, minutes, seconds } = getDuration(0, etaMs);
+    // More book page URLs may be discovered while the catalog pages load
+    eta = `${
+      discoveryCompleted ? '' : 'at least '
+    }${hours} hr(s) ${minutes} min(s) and ${seconds} sec(s)`;
+  }
+  return `Progress: ${urlsDiscovered} book page URLs discovered${
+    discoveryCompleted ? '' : ' so far'
+  }, ${pagesFetched} pages fetched, ${booksExtracted} books extracted, ${assetsSaved} assets saved, ${booksPerSecond.toFixed(
+    1
+  )} books/s, ETA ${eta}`;
+};
+
+/**
+ * Start a local HTTP server which exposes the metrics of a run at /metrics in
+ * the Prometheus text format
+ * @param {Object} metrics The run metrics
+ * @param {number} port Port of the server, 0 for a random port
+ * @param {string} [host] Host name the server listens on
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>} A promise which resolves a metrics server
+ * object with the URL of the metrics endpoint and a close function
+ */
+export const startMetricsServer = async (metrics, port, host = '127.0.0.1') => {
+  const server = createServer((request, response) => {
+    let pathname;
+    try {
+      pathname = new URL(request.url, 'http://localhost').pathname;
+    } catch (error) {
+      response.writeHead(400, { 'content-type': 'text/plain' });
+      response.end('Bad Request');
+      return;
+    }
+    if (pathname !== '/metrics') {
+      response.writeHead(404, { 'content-type': 'text/plain' });
+      response.end('Not Found');
+      return;
+    }
+    response.writeHead(200, {
+      'content-type': 'text/plain; version=0.0.4; charset=utf-8',
+    });
+    response.end(metrics.toPrometheus());
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  return {
+    url: `http://${host}:${server.address().port}/metrics`,
+
+    /**
+     * Stop the server
+     * @returns {Promise<void>} A promise which resolves once the server is closed
+     */
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      }),
+  };
+};
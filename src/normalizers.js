@@ -0,0 +1,107 @@
+// Numeric values of the star rating words used by the website
+const RATING_VALUES = { One: 1, Two: 2, Three: 3, Four: 4, Five: 5 };
+
+// ISO 4217 codes of the currency symbols used in prices
+const CURRENCY_CODES = { '£': 'GBP', $: 'USD', '€': 'EUR' };
+
+/**
+ * Parse a price such as "£51.77" into an amount and a currency code
+ * @param {string|undefined} text Price text
+ * @returns {{amount: number|null, currency: string|null}} The parsed price or nulls if the text is not a price
+ */
+export const parsePrice = (text) => {
+  const match = text?.trim().match(/^(\D*?)\s*(\d[\d,]*(?:\.\d+)?)$/);
+  if (!match) {
+    return { amount: null, currency: null };
+  }
+  return {
+    amount: Number(match[2].replaceAll(',', '')),
+    currency: CURRENCY_CODES[match[1].trim()] ?? null,
+  };
+};
+
+/**
+ * Parse an availability text such as "In stock (22 available)"
+ * @param {string|undefined} text Availability text
+ * @returns {{inStock: boolean|null, stockCount: number|null}} The parsed availability or nulls if the text is missing
+ */
+export const parseAvailability = (text) => {
+  if (!text) {
+    return { inStock: null, stockCount: null };
+  }
+  const inStock = /^in stock/i.test(text.trim());
+  const count = text.match(/(\d+)\s+available/i);
+  return {
+    inStock,
+    stockCount: count ? Number(count[1]) : inStock ? null : 0,
+  };
+};
+
+/**
+ * Parse a star rating word such as "Three" into a number from 1 to 5
+ * @param {string|undefined} text Star rating word
+ * @returns {number|null} The numeric rating or null if the word is not a rating
+ */
+export const parseRating = (text) => RATING_VALUES[text] ?? null;
+
+/**
+ * Parse a non-negative integer such as a review count
+ * @param {string|undefined} text Integer text
+ * @returns {number|null} The parsed integer or null if the text is not an integer
+ */
+export const parseCount = (text) =>
+  /^\d+$/.test(text?.trim() ?? '') ? Number(text.trim()) : null;
+
+/**
+ * Parse the stable ID of a category from its URL, such as 2 for
+ * catalogue/category/books/travel_2/index.html
+ * @param {string|undefined} url Category page URL
+ * @returns {number|null} The category ID or null if the URL is not a category page URL
+ */
+export const parseCategoryId = (url) => {
+  const match = url?.match(/\/category\/(?:[^/]+\/)*[^/]+_(\d+)\/[^/]*$/);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Convert a raw book record extracted from the book details page into a typed record.
+ * The raw values are kept under the raw field for auditing and the fields which
+ * could not be extracted are listed under the missingFields field.
+ * @param {Object} record Raw book record with product info key/value pairs
+ * @returns {Object} A typed book record
+ */
+export const normalizeBookRecord = (record) => {
+  const productInfo = Object.fromEntries(
+    (record.productInfo ?? []).map(({ key, value }) => [key, value])
+  );
+  const priceExclTax = parsePrice(productInfo['Price (excl. tax)']);
+  const priceInclTax = parsePrice(productInfo['Price (incl. tax)']);
+  const tax = parsePrice(productInfo.Tax);
+  const { inStock, stockCount } = parseAvailability(productInfo.Availability);
+  return {
+    url: record.url,
+    upc: productInfo.UPC ?? null,
+    title: record.title,
+    category: record.category,
+    categoryId: record.categoryId,
+    rating: parseRating(record.rating),
+    description: record.description,
+    imageUrl: record.imageUrl,
+    // Filled in once the image is downloaded and processed
+    image: null,
+    productType: productInfo['Product Type'] ?? null,
+    currency:
+      priceExclTax.currency ?? priceInclTax.currency ?? tax.currency ?? null,
+    priceExclTax: priceExclTax.amount,
+    priceInclTax: priceInclTax.amount,
+    tax: tax.amount,
+    inStock,
+    stockCount,
+    reviewCount: parseCount(productInfo['Number of reviews']),
+    missingFields: record.missingFields ?? [],
+    raw: {
+      rating: record.rating,
+      productInfo: record.productInfo,
+    },
+  };
+};
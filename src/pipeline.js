@@ -0,0 +1,103 @@
+// Number of items a pipeline stage works on at once unless configured otherwise
+export const DEFAULT_STAGE_CONCURRENCY = 10;
+
+/**
+ * Map the items of an iterable with bounded concurrency and yield the results
+ * in the order of the items. At most `concurrency` items are mapped or waiting
+ * to be consumed at once, hence a slow consumer slows down the source.
+ * @param {AsyncIterable<*>|Iterable<*>} source The items to map
+ * @param {function(*): Promise<*>} mapper Function which maps an item
+ * @param {number} [concurrency] Maximum number of items mapped at once
+ * @returns {AsyncGenerator<*>} An async generator of the mapped items
+ */
+export const mapConcurrently = async function* (
+  source,
+  mapper,
+  concurrency = DEFAULT_STAGE_CONCURRENCY
+) {
+  const iterator =
+    source[Symbol.asyncIterator]?.() ?? source[Symbol.iterator]();
+  // Results of the items in progress in the order of the items
+  const inProgress = [];
+  let done = false;
+  try {
+    for (;;) {
+      while (!done && inProgress.length < Math.max(1, concurrency)) {
+        const next = await iterator.next();
+        if (next.done) {
+          done = true;
+        } else {
+          // Settle at once so that a failure is not reported as unhandled
+          inProgress.push(
+            Promise.resolve()
+              .then(() => mapper(next.value))
+              .then(
+                (value) => ({ value }),
+                (error) => ({ error })
+              )
+          );
+        }
+      }
+      if (inProgress.length === 0) {
+        return;
+      }
+      const result = await inProgress.shift();
+      if (Object.hasOwn(result, 'error')) {
+        throw result.error;
+      }
+      yield result.value;
+    }
+  } finally {
+    // Stop the source if the consumer stops early or a mapper fails
+    if (!done) {
+      await iterator.return?.();
+    }
+  }
+};
+
+/**
+ * Create a task pool which runs background tasks with bounded concurrency.
+ * Adding a task waits for a free slot, hence a producer adding tasks faster
+ * than they complete is slowed down.
+ * @param {number} [concurrency] Maximum number of tasks running at once
+ * @returns {{add: function(function(): Promise<*>): Promise<void>, drain: function(): Promise<void>,
+ * readonly active: number}} A task pool object
+ */
+export const createTaskPool = (concurrency = DEFAULT_STAGE_CONCURRENCY) => {
+  const running = new Set();
+
+  return {
+    /**
+     * Start a task once a slot is free. The task is expected to handle its own errors.
+     * @param {function(): Promise<*>} task Function which runs the task
+     * @returns {Promise<void>} A promise which resolves once the task has started
+     */
+    add: async (task) => {
+      while (running.size >= Math.max(1, concurrency)) {
+        await Promise.race(running);
+      }
+      const promise = Promise.resolve()
+        .then(task)
+        .catch(() => {})
+        .finally(() => running.delete(promise));
+      running.add(promise);
+    },
+
+    /**
+     * Wait for every started task to complete
+     * @returns {Promise<void>} A promise which resolves once no task is running
+     */
+    drain: async () => {
+      while (running.size > 0) {
+        await Promise.all(running);
+      }
+    },
+
+    /**
+     * @returns {number} Number of running tasks
+     */
+    get active() {
+      return running.size;
+    },
+  };
+};
@@ -0,0 +1,131 @@
+/**
+ * Parse the content of a robots.txt file into groups of rules, each applying
+ * to the user agents listed at its start
+ * @param {string} text Content of the robots.txt file
+ * @returns {{userAgents: string[], rules: {allow: boolean, pattern: string}[], crawlDelay: number|null}[]}
+ * A list of groups in the order of the file
+ */
+export const parseRobotsTxt = (text) => {
+  const groups = [];
+  let group = null;
+  for (const line of text.split(/\r?\n|\r/)) {
+    const match = line
+      .replace(/#.*$/, '')
+      .match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+    if (!match) {
+      continue;
+    }
+    const field = match[1].toLowerCase();
+    const value = match[2];
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share the group which follows them
+      if (!group || group.rules.length > 0 || group.crawlDelay !== null) {
+        group = { userAgents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.userAgents.push(value.toLowerCase());
+    } else if (!group) {
+      // Rules before the first user-agent line do not belong to any group
+      continue;
+    } else if (field === 'allow' || field === 'disallow') {
+      // An empty disallow rule allows everything, like no rule at all
+      if (value !== '') {
+        group.rules.push({ allow: field === 'allow', pattern: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const crawlDelay = Number(value);
+      if (value !== '' && Number.isFinite(crawlDelay) && crawlDelay >= 0) {
+        group.crawlDelay = crawlDelay;
+      }
+    }
+  }
+  return groups;
+};
+
+/**
+ * Check whether the path of a URL matches a robots.txt path pattern, where *
+ * matches any sequence of characters and a trailing $ anchors the end of the path
+ * @param {string} pattern The path pattern of a rule
+ * @param {string} urlPath Path and query of the URL
+ * @returns {boolean} True if the pattern matches the start of the path
+ */
+const matchesPattern = (pattern, urlPath) => {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(urlPath);
+};
+
+/**
+ * Normalize the percent-encoding of a path so that encoded and plain
+ * characters compare equal, as in /caf%C3%A9 and /café
+ * @param {string} value A path or a path pattern
+ * @returns {string} The path with every character outside of the ASCII range percent-encoded
+ */
+const normalizeEncoding = (value) => {
+  try {
+    return encodeURI(decodeURI(value));
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Create the crawl policy of a user agent from the content of a robots.txt
+ * file. The rules of the groups naming the product token of the user agent
+ * apply, or else the rules of the * groups. Among the rules matching a URL the
+ * longest one wins, and an allow rule wins over a disallow rule of the same
+ * length.
+ * @param {string} text Content of the robots.txt file
+ * @param {string} userAgent User-Agent of the crawler, such as web-scraping-demo/1.0
+ * @returns {{isAllowed: function(string): boolean, crawlDelay: number|null}} A crawl policy object
+ * with the crawl delay in seconds
+ */
+export const createRobotsPolicy = (text, userAgent) => {
+  const groups = parseRobotsTxt(text);
+  const productToken = userAgent.split(/[/\s]/)[0].toLowerCase();
+  const namedGroups = groups.filter(({ userAgents }) =>
+    userAgents.includes(productToken)
+  );
+  const matchingGroups =
+    namedGroups.length > 0
+      ? namedGroups
+      : groups.filter(({ userAgents }) => userAgents.includes('*'));
+  const rules = matchingGroups
+    .flatMap((group) => group.rules)
+    .map((rule) => ({ ...rule, pattern: normalizeEncoding(rule.pattern) }));
+  const crawlDelays = matchingGroups
+    .map((group) => group.crawlDelay)
+    .filter((crawlDelay) => crawlDelay !== null);
+
+  return {
+    /**
+     * Check whether the crawler may request a URL
+     * @param {string} url URL of the request
+     * @returns {boolean} True if the URL is not disallowed
+     */
+    isAllowed: (url) => {
+      const { pathname, search } = new URL(url);
+      // The robots.txt file itself is always allowed
+      if (pathname === '/robots.txt') {
+        return true;
+      }
+      const urlPath = normalizeEncoding(`${pathname}${search}`);
+      let decidingRule = null;
+      rules.forEach((rule) => {
+        if (
+          matchesPattern(rule.pattern, urlPath) &&
+          (!decidingRule ||
+            rule.pattern.length > decidingRule.pattern.length ||
+            (rule.pattern.length === decidingRule.pattern.length && rule.allow))
+        ) {
+          decidingRule = rule;
+        }
+      });
+      return decidingRule?.allow ?? true;
+    },
+    crawlDelay: crawlDelays.length > 0 ? Math.max(...crawlDelays) : null,
+  };
+};
@@ -0,0 +1,86 @@
+import { AsyncResource } from 'node:async_hooks';
+
+/**
+ * Resolve after the given number of milliseconds
+ * @param {number} ms Number of milliseconds to wait
+ * @returns {Promise<void>} A promise which resolves once the time has elapsed
+ */
+export const sleep = (ms) =>
+  new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+
+/**
+ * Create a request scheduler which bounds the number of in-flight tasks and
+ * spaces out task starts for each host to respect a requests-per-second budget
+ * @param {Object} [options] Scheduler options
+ * @param {number} [options.maxConcurrency] Maximum number of tasks running at once
+ * @param {number} [options.requestsPerSecond] Maximum task starts per second for a single host (0 disables the limit)
+ * @param {number} [options.jitterMs] Upper bound of a random delay added before each task start
+ * @param {Map<string, number>} [options.hostIntervals] Minimum intervals in milliseconds between task starts
+ * requested by hosts, such as a crawl delay, which apply even if the requests-per-second budget allows more
+ * @returns {{schedule: function(string, function(): Promise<*>): Promise<*>, readonly active: number, readonly pending: number}}
+ * A scheduler object
+ */
+export const createScheduler = ({
+  maxConcurrency = 10,
+  requestsPerSecond = 5,
+  jitterMs = 0,
+  hostIntervals = new Map(),
+} = {}) => {
+  // Tasks waiting for a free concurrency slot
+  const queue = [];
+  // Earliest time at which the next task may start for each host
+  const nextStartByHost = new Map();
+  const interval = requestsPerSecond > 0 ? 1_000 / requestsPerSecond : 0;
+  let active = 0;
+
+  // Reserve the next start time of the host and return how long to wait for it
+  const reserveStart = (host) => {
+    const now = Date.now();
+    const start = Math.max(now, nextStartByHost.get(host) ?? now);
+    nextStartByHost.set(
+      host,
+      start + Math.max(interval, hostIntervals.get(host) ?? 0)
+    );
+    return start - now + Math.random() * jitterMs;
+  };
+
+  // Start queued tasks while there are free concurrency slots
+  const drain = () => {
+    while (active < maxConcurrency && queue.length > 0) {
+      const { host, task, resolve, reject } = queue.shift();
+      ++active;
+      sleep(reserveStart(host))
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          --active;
+          drain();
+        });
+    }
+  };
+
+  return {
+    /**
+     * Schedule a task which issues a request to the given URL
+     * @param {string} url URL of the request, used to apply the per-host rate limit
+     * @param {function(): Promise<*>} task A function which performs the request
+     * @returns {Promise<*>} A promise which settles with the outcome of the task
+     */
+    schedule: (url, task) =>
+      new Promise((resolve, reject) => {
+        // Parse the host before the task takes a slot: an invalid URL throws
+        // here, which rejects the returned promise
+        const { host } = new URL(url);
+        // Run the task in the async context of the caller rather than of the
+        // task which freed its slot, so that it logs the context of its work
+        queue.push({ host, task: AsyncResource.bind(task), resolve, reject });
+        drain();
+      }),
+    get active() {
+      return active;
+    },
+    get pending() {
+      return queue.length;
+    },
+  };
+};
@@ -0,0 +1,364 @@
+import { EventEmitter } from 'node:events';
+import * as path from 'path';
+import {
+  executeBookScrapingJob,
+  processImages,
+  recordCategories,
+  recordChanges,
+  writeBookData,
+} from './app.js';
+import { readBookDataFile, SNAPSHOT_FORMATS } from './changeDetection.js';
+import { writeToJsonFile } from './commonUtils.js';
+import { crawlerEvents, isOffline } from './crawler.js';
+import { loadCrawlState } from './crawlState.js';
+import { createFailureManifest } from './failureManifest.js';
+import { withLockFile } from './lockFile.js';
+import logger, { forwardLogs, getLogContext, runWithRunLog } from './logger.js';
+import {
+  createRunMetrics,
+  formatProgress,
+  startMetricsServer,
+} from './metrics.js';
+import { saveSnapshot } from './snapshots.js';
+import { combineWriters, createBookDataWriter } from './writers.js';
+
+// Home page URL of the book scraping website
+export const DEFAULT_BASE_URL = 'http://books.toscrape.com';
+
+// Lock file of the data directory held by the job which writes it
+export const JOB_LOCK_FILE = 'scrape.lock';
+
+/**
+ * Load the crawl state of the data directory
+ * @param {{dataDir: string, baseUrl: string, discovery: Object, resume: boolean}} options The data
+ * directory, the home page URL, the catalog page discovery options and whether to resume the previous run
+ * @param {boolean} [persist] Whether the state changes are persisted, false to leave the checkpoint of
+ * the data directory as it is
+ * @returns {Promise<Object>} A promise which resolves a crawl state object
+ */
+export const loadJobCrawlState = (options, persist = true) =>
+  loadCrawlState(
+    path.join(options.dataDir, 'crawl-state.json'),
+    // A checkpoint only applies to a crawl of the same catalog pages
+    [
+      options.baseUrl,
+      options.discovery.pagination,
+      ...options.discovery.startUrls,
+    ].join(' '),
+    options.resume,
+    persist
+  );
+
+/**
+ * Persist the failure manifest of a job in the data directory
+ * @param {Object} failures Failure manifest of the job
+ * @param {{dataDir: string}} options The data directory
+ * @returns {Promise<void>} A promise which resolves once the manifest is persisted
+ */
+export const writeFailureManifest = async (failures, options) => {
+  const filePath = path.join(options.dataDir, 'failures.json');
+  try {
+    await writeToJsonFile(filePath, failures.summarize());
+    logger.info(
+      `Number of failures: ${failures.size}, persisted to ${filePath}`
+    );
+  } catch (error) {
+    logger.error(error.message, { error });
+  }
+};
+
+/**
+ * Persist the summary of a run in the data directory
+ * @param {Object} metrics Metrics of the run
+ * @param {string} status Outcome of the run: completed, failed or aborted
+ * @param {{dataDir: string, runId: string}} options The data directory and the ID of the run
+ * @returns {Promise<void>} A promise which resolves once the summary is persisted
+ */
+export const writeRunSummary = async (metrics, status, options) => {
+  const filePath = path.join(options.dataDir, 'run-summary.json');
+  try {
+    await writeToJsonFile(filePath, {
+      runId: options.runId,
+      ...metrics.summarize(status),
+    });
+    logger.info(`Run summary persisted to ${filePath}`);
+  } catch (error) {
+    logger.error(error.message, { error });
+  }
+};
+
+/**
+ * Create a book scraping job which can be embedded in other programs. The
+ * job runs like the scrape command, emitting an event for each loaded page,
+ * extracted book, saved image and failure. Each job receives the events of
+ * its own runs only, while all jobs share the request scheduler, the HTTP
+ * client and the settings of the crawler, such as its proxies and User-Agent.
+ * @param {Object} [options] Scraping options
+ * @param {string} [options.baseUrl] Home page URL of the website
+ * @param {string} [options.dataDir] Directory in which data is persisted
+ * @param {string[]} [options.formats] Output formats of the book data, such as json and csv
+ * @param {{write: function(Object): Promise<void>, close: function(): Promise<void>}[]} [options.sinks]
+ * Writers which receive each record as it is extracted, along with the output files of the formats
+ * @param {{pagination: string, startUrls: string[]}} [options.discovery] Catalog page discovery options
+ * @param {number} [options.maxConcurrency] Maximum number of pages and images processed at once by each stage
+ * @param {number} [options.maxFailureRate] Maximum ratio of invalid book records before the job fails
+ * @param {boolean} [options.resume] Whether to continue from the checkpoint of an interrupted run
+ * @param {boolean} [options.skipAssets] Whether to skip downloading the book images
+ * @param {boolean} [options.processImages] Whether to process the downloaded book images
+ * @param {{width: number, format: string}[]} [options.imageVariants] The derived images of processed images
+ * @param {Object} [options.logger] Logger which receives the logs of the job instead of the console and log
+ * files, such as console or the logger of the embedding service
+ * @param {AbortSignal} [options.signal] Signal which stops the job, like the abort function does
+ * @param {number} [options.progressIntervalMs] Interval between the progress logs, 0 to disable them
+ * @param {number|null} [options.metricsPort] Port of the Prometheus metrics endpoint served while the job
+ * runs, 0 for a random port and null to disable it
+ * @param {number} [options.keepSnapshots] Number of snapshots of successful runs kept in the snapshots
+ * directory, the last one being linked as latest, 0 to disable them
+ * @returns {EventEmitter} A scraping job, emitting url:discovered, discovery:completed, page:fetched,
+ * request:attempted, book:extracted, asset:saved, metrics:listening, snapshot:saved and error events, with a run function
+ * which runs the job, a getProgress function which reports its progress and an abort function which stops it
+ */
+export const createScraper = ({
+  baseUrl = DEFAULT_BASE_URL,
+  dataDir = 'data',
+  formats = ['json'],
+  sinks = [],
+  discovery = { pagination: 'pageCount', startUrls: [] },
+  maxConcurrency = 10,
+  maxFailureRate = 0.01,
+  resume = false,
+  skipAssets = false,
+  processImages: shouldProcessImages = false,
+  imageVariants = [],
+  logger: targetLogger = null,
+  signal,
+  progressIntervalMs = 10_000,
+  metricsPort = null,
+  keepSnapshots = 0,
+} = {}) => {
+  const job = new EventEmitter();
+  let running = null;
+  // Controller of the run in progress, created for each run so that an
+  // aborted run does not stop the later ones
+  let abortController = null;
+  // Metrics of the run in progress
+  let currentMetrics = null;
+
+  /**
+   * Run the job once: scrape the book data, download the images and record
+   * the changes, the categories and the failures in the data directory
+   * @param {string} runId ID of the run, which the logs of the run carry
+   * @param {AbortSignal} jobSignal Signal which stops the run
+   * @returns {Promise<Object[]>} A promise which resolves the scraped book data
+   */
+  const run = async (runId, jobSignal) => {
+    const stopForwardingLogs = targetLogger
+      ? forwardLogs(targetLogger, runId)
+      : null;
+    // Forward the crawler events of the run to the listeners of the job,
+    // leaving out the events of the other jobs of the process
+    const crawlerListeners = Object.fromEntries(
+      ['page:fetched', 'request:attempted'].map((event) => [
+        event,
+        (data) => {
+          if (getLogContext().runId === runId) {
+            job.emit(event, data);
+          }
+        },
+      ])
+    );
+    Object.entries(crawlerListeners).forEach(([event, listener]) =>
+      crawlerEvents.on(event, listener)
+    );
+    // The metrics of the run are collected from the job events
+    const metrics = createRunMetrics();
+    currentMetrics = metrics;
+    const metricsListeners = {
+      'url:discovered': metrics.recordUrlDiscovered,
+      'discovery:completed': metrics.completeDiscovery,
+      'page:fetched': metrics.recordPageFetched,
+      'request:attempted': metrics.recordAttempt,
+      'book:extracted': metrics.recordBookExtracted,
+      'asset:saved': metrics.recordAssetSaved,
+    };
+    Object.entries(metricsListeners).forEach(([event, listener]) =>
+      job.on(event, listener)
+    );
+    // Failures are reported as error events unless no one listens, which
+    // would otherwise throw
+    const failures = createFailureManifest((failure) => {
+      metrics.recordFailure(failure);
+      if (job.listenerCount('error') > 0) {
+        job.emit('error', failure);
+      }
+    });
+    const progressTimer =
+      progressIntervalMs > 0
+        ? setInterval(
+            () => logger.info(formatProgress(metrics.getProgress())),
+            progressIntervalMs
+          )
+        : null;
+    let metricsServer = null;
+    let status = 'failed';
+    try {
+      if (metricsPort !== null) {
+        metricsServer = await startMetricsServer(metrics, metricsPort);
+        logger.info(`Metrics served at ${metricsServer.url}`);
+        job.emit('metrics:listening', { url: metricsServer.url });
+      }
+      jobSignal.throwIfAborted();
+      const crawlState = await loadJobCrawlState({
+        dataDir,
+        baseUrl,
+        discovery,
+        resume,
+      });
+      // The JSON or NDJSON output of the previous run is the snapshot to
+      // detect changes against
+      const snapshotFormat = SNAPSHOT_FORMATS.find((format) =>
+        formats.includes(format)
+      );
+      if (!snapshotFormat) {
+        logger.info(
+          `Change detection disabled since neither of the ${SNAPSHOT_FORMATS.join(
+            ', '
+          )} formats is written`
+        );
+      }
+      const previousBookData = snapshotFormat
+        ? await readBookDataFile(
+            path.join(dataDir, `book-data.${snapshotFormat}`)
+          ).catch(() => null)
+        : null;
+      // The output files are created once the previous snapshot is read
+      const writer = combineWriters([
+        await createBookDataWriter(dataDir, formats),
+        ...sinks,
+      ]);
+      // Assets are not cached, hence they can only be downloaded when online
+      if (!skipAssets && isOffline()) {
+        logger.info('Book data asset download job skipped in offline mode');
+      }
+      let bookData;
+      try {
+        bookData = await executeBookScrapingJob(baseUrl, writer, crawlState, {
+          qualityReportFilePath: path.join(dataDir, 'quality-report.json'),
+          maxFailureRate,
+          discovery,
+          failures,
+          // Images are downloaded while the book pages are scraped
+          assetDirectory:
+            skipAssets || isOffline() ? null : path.join(dataDir, 'assets'),
+          concurrency: maxConcurrency,
+          events: job,
+          signal: jobSignal,
+        });
+      } catch (error) {
+        // The outputs of the previous run are kept, while the crawl state
+        // keeps the records of a stopped job for the next run to resume
+        if (jobSignal.aborted) {
+          logger.warn('Book data scraping job stopped');
+        }
+        throw error;
+      }
+      if (snapshotFormat) {
+        await recordChanges(previousBookData, bookData, dataDir, {
+          failures,
+          startUrls: discovery.startUrls,
+        });
+      }
+      await recordCategories(baseUrl, bookData, dataDir, {
+        failures,
+        concurrency: maxConcurrency,
+        startUrls: discovery.startUrls,
+      });
+      // Images saved by a previous run are processed even when offline
+      if (!skipAssets && shouldProcessImages) {
+        await processImages(
+          bookData,
+          path.join(dataDir, 'assets'),
+          imageVariants,
+          failures
+        );
+        // Persist the book data again along with the processed images
+        await writeBookData(
+          bookData,
+          await createBookDataWriter(dataDir, formats)
+        );
+      }
+      status = 'completed';
+      return bookData;
+    } finally {
+      clearInterval(progressTimer);
+      // Record the failures even if the job failed the quality threshold
+      await writeFailureManifest(failures, { dataDir });
+      await writeRunSummary(metrics, jobSignal.aborted ? 'aborted' : status, {
+        dataDir,
+        runId,
+      });
+      if (status === 'completed' && !jobSignal.aborted && keepSnapshots > 0) {
+        try {
+          const directory = await saveSnapshot(dataDir, runId, keepSnapshots);
+          job.emit('snapshot:saved', { runId, directory });
+        } catch (error) {
+          logger.error(error.message, { error });
+        }
+      }
+      await metricsServer?.close();
+      Object.entries(metricsListeners).forEach(([event, listener]) =>
+        job.off(event, listener)
+      );
+      Object.entries(crawlerListeners).forEach(([event, listener]) =>
+        crawlerEvents.off(event, listener)
+      );
+      stopForwardingLogs?.();
+      currentMetrics = null;
+    }
+  };
+
+  /**
+   * Run the job, or wait for the current run if the job is already running.
+   * The job holds the lock file of the data directory while it runs.
+   * @returns {Promise<Object[]>} A promise which resolves the scraped book data
+   * @throws {QualityThresholdError} A quality threshold error if too many records are invalid
+   * @throws {JobLockedError} A job locked error if another job is writing the data directory
+   * @throws {*} The abort reason if the job was stopped
+   */
+  job.run = () => {
+    if (!running) {
+      abortController = new AbortController();
+      const jobSignal = signal
+        ? AbortSignal.any([signal, abortController.signal])
+        : abortController.signal;
+      // A job run by a command continues the run of the command
+      running = runWithRunLog((runId) =>
+        withLockFile(path.join(dataDir, JOB_LOCK_FILE), () =>
+          run(runId, jobSignal)
+        )
+      ).finally(() => {
+        running = null;
+        abortController = null;
+      });
+    }
+    return running;
+  };
+
+  /**
+   * Get the progress of the run in progress
+   * @returns {Object|null} The progress of the run, as logged while it runs, or null if the job is not running
+   */
+  job.getProgress = () =>
+    running && currentMetrics ? currentMetrics.getProgress() : null;
+
+  /**
+   * Stop the run in progress. Pages and images which are being loaded are
+   * completed and the crawl state is saved, so that a later run can resume it.
+   * @param {*} [reason] The reason why the job is stopped, which the run rejects with
+   */
+  job.abort = (reason) => {
+    abortController?.abort(reason);
+  };
+
+  return job;
+};
@@ -1,34 +1,51 @@
 import * as cheerio from 'cheerio';
 import { getHtmlResponse } from './crawler.js';
-import logger from './logger.js';
-import { bookAnchorSelector, paginationSelector } from './selectors.js';
+import logger, { runWithLogContext } from './logger.js';
+import {
+  bookAnchorSelector,
+  nextPageSelector,
+  paginationSelector,
+} from './selectors.js';
 import {
   extractBookCategory,
+  extractBookCategoryId,
   extractBookDescription,
   extractBookImageUrl,
   extractBookProductInfo,
   extractBookRating,
   extractBookTitle,
 } from './dataExtractors.js';
+import { rm } from 'node:fs/promises';
 import * as path from 'path';
 import { downloadAsset } from './commonUtils.js';
+import { loadAssetManifest } from './assetManifest.js';
+import { getFailureLevel } from './failureManifest.js';
 import { CatalogPageCountNotFoundError } from './errors.js';
+import { hasSavedVariants, processImage } from './imageProcessing.js';
+import { mapConcurrently } from './pipeline.js';
+import { normalizeBookRecord } from './normalizers.js';
 
 /**
  * Given the base URL of the website to scrape, the catalog page URLs are
  * constructed by identifying the number of catalog pages
  * @param {string} baseUrl Base URL of the scraping website
+ * @param {Object} [failures] Failure manifest used to record the pages which could not be loaded
  * @returns {Promise<string[]|null>} A promise which resolves a list of
  * catalog page URLs or null if base URL loading fails
  * @throws {CatalogPageCountNotFoundError} A new catalog page count not found error if data is not found
  */
-export const constructCatalogPageUrls = async (baseUrl) => {
+export const constructCatalogPageUrls = async (baseUrl, failures) => {
   let $;
   try {
     // Load the home page HTML content with Cheerio
     $ = cheerio.load(await getHtmlResponse(baseUrl));
   } catch (error) {
-    logger.error(error.message);
+    logger.log(getFailureLevel(error), error.message, {
+      phase: 'discovery',
+      url: baseUrl,
+      error,
+    });
+    failures?.add('discovery', baseUrl, error);
     return null;
   }
 
@@ -54,20 +71,55 @@ export const constructCatalogPageUrls = async (baseUrl) => {
 };
 
 /**
- * Construct all book details page links available within a given catalog page
- * @param {string} catalogPageUrl URL of the catalog page
- * @param {string} baseUrl URL of the home page
- * @returns {Promise<string[]>} A promise which resolves a list of book page URLs or an empty list if fails
+ * Discover catalog page URLs by following the next page links from a start
+ * page until no next link remains. The book details page links found on the
+ * way are recorded in the crawl state so that the pages are not loaded again.
+ * @param {string} startUrl URL of the first catalog page, such as a category page
+ * @param {Object} [crawlState] Crawl state used to record the book page URLs of visited catalog pages
+ * @param {Object} [failures] Failure manifest used to record the pages which could not be loaded
+ * @returns {Promise<string[]>} A promise which resolves a list of unique catalog page URLs
  */
-const constructBookPageUrlsInCatalogPage = async (catalogPageUrl, baseUrl) => {
-  let $;
-  try {
-    // Load catalog page with Cheerio
-    $ = cheerio.load(await getHtmlResponse(catalogPageUrl));
-  } catch (error) {
-    logger.error(error.message);
-    return [];
+export const discoverCatalogPageUrls = async (
+  startUrl,
+  crawlState,
+  failures
+) => {
+  const catalogPageUrls = [];
+  let catalogPageUrl = new URL(startUrl).href;
+  // Stop at a page already visited to guard against pagination loops
+  while (catalogPageUrl && !catalogPageUrls.includes(catalogPageUrl)) {
+    let $;
+    try {
+      $ = cheerio.load(await getHtmlResponse(catalogPageUrl));
+    } catch (error) {
+      logger.log(getFailureLevel(error), error.message, {
+        phase: 'discovery',
+        url: catalogPageUrl,
+        error,
+      });
+      failures?.add('discovery', catalogPageUrl, error);
+      break;
+    }
+    catalogPageUrls.push(catalogPageUrl);
+    crawlState?.setCatalogPage(
+      catalogPageUrl,
+      parseBookPageUrls($, catalogPageUrl)
+    );
+    const nextPageHref = $(nextPageSelector).first().attr('href');
+    catalogPageUrl = nextPageHref
+      ? new URL(nextPageHref, catalogPageUrl).href
+      : null;
   }
+  return catalogPageUrls;
+};
+
+/**
+ * Parse all book details page links of a loaded catalog page
+ * @param {function} $ Cheerio load function object of the catalog page
+ * @param {string} catalogPageUrl URL of the catalog page
+ * @returns {string[]} A list of book page URLs
+ */
+const parseBookPageUrls = ($, catalogPageUrl) => {
   const { urls, errors } = $(bookAnchorSelector)
     .toArray()
     .reduce(
@@ -75,7 +127,8 @@ const constructBookPageUrlsInCatalogPage = async (catalogPageUrl, baseUrl) => {
       (result, element) => {
         const elementHref = $(element).attr('href');
         if (elementHref) {
-          result.urls.push(new URL(`catalogue/${elementHref}`, baseUrl).href);
+          // Links are relative to the catalog page they are found on
+          result.urls.push(new URL(elementHref, catalogPageUrl).href);
         } else {
           ++result.errors;
         }
@@ -86,23 +139,64 @@ const constructBookPageUrlsInCatalogPage = async (catalogPageUrl, baseUrl) => {
 
   if (errors > 0) {
     logger.warn(
-      `${errors} URL(s) could not be found on ${catalogPageUrl} due to href attribute not found`
+      `${errors} URL(s) could not be found on ${catalogPageUrl} due to href attribute not found`,
+      { phase: 'discovery', url: catalogPageUrl }
     );
   }
   return urls;
 };
 
+/**
+ * Construct all book details page links available within a given catalog page
+ * @param {string} catalogPageUrl URL of the catalog page
+ * @param {Object} [crawlState] Crawl state used to skip and record finished catalog pages
+ * @param {Object} [failures] Failure manifest used to record the pages which could not be loaded
+ * @returns {Promise<string[]>} A promise which resolves a list of book page URLs or an empty list if fails
+ */
+const constructBookPageUrlsInCatalogPage = async (
+  catalogPageUrl,
+  crawlState,
+  failures
+) => {
+  // Reuse the book page URLs of a catalog page crawled by a previous run
+  const crawledUrls = crawlState?.getCatalogPage(catalogPageUrl);
+  if (crawledUrls) {
+    return crawledUrls;
+  }
+  let $;
+  try {
+    // Load catalog page with Cheerio
+    $ = cheerio.load(await getHtmlResponse(catalogPageUrl));
+  } catch (error) {
+    logger.log(getFailureLevel(error), error.message, {
+      phase: 'discovery',
+      url: catalogPageUrl,
+      error,
+    });
+    failures?.add('discovery', catalogPageUrl, error);
+    return [];
+  }
+  const urls = parseBookPageUrls($, catalogPageUrl);
+  crawlState?.setCatalogPage(catalogPageUrl, urls);
+  return urls;
+};
+
 /**
  * Construct all book details page links available on all catalog pages
  * @param {string[]} catalogPageUrls A list of catalog page URLs
- * @param {string} baseUrl The URL of the home page
+ * @param {Object} [crawlState] Crawl state used to skip and record finished catalog pages
+ * @param {Object} [failures] Failure manifest used to record the pages which could not be loaded
  * @returns {Promise<string[]>} A promise which resolves a list of all available book details page URLs
  */
-export const constructAllBookPageUrls = async (catalogPageUrls, baseUrl) =>
+export const constructAllBookPageUrls = async (
+  catalogPageUrls,
+  crawlState,
+  failures
+) =>
   (
     await Promise.allSettled(
       catalogPageUrls.map((url) =>
-        constructBookPageUrlsInCatalogPage(url, baseUrl)
+        constructBookPageUrlsInCatalogPage(url, crawlState, failures)
       )
     )
   )
@@ -115,71 +209,340 @@ export const constructAllBookPageUrls = async (catalogPageUrls, baseUrl) =>
     );
 
 /**
- * Construct an object with all book details by calling parsing functions
+ * Stream the book details page URLs listed on the catalog pages as soon as
+ * each catalog page is loaded, skipping the URLs listed more than once
+ * @param {string[]} catalogPageUrls A list of catalog page URLs
+ * @param {Object} [crawlState] Crawl state used to skip and record finished catalog pages
+ * @param {Object} [failures] Failure manifest used to record the pages which could not be loaded
+ * @param {number} [concurrency] Maximum number of catalog pages loaded at once
+ * @returns {AsyncGenerator<string>} An async generator of book details page URLs
+ */
+export const streamBookPageUrls = async function* (
+  catalogPageUrls,
+  crawlState,
+  failures,
+  concurrency
+) {
+  const seenUrls = new Set();
+  const bookPageUrlLists = mapConcurrently(
+    catalogPageUrls,
+    (url) => constructBookPageUrlsInCatalogPage(url, crawlState, failures),
+    concurrency
+  );
+  for await (const bookPageUrls of bookPageUrlLists) {
+    for (const url of bookPageUrls) {
+      if (!seenUrls.has(url)) {
+        seenUrls.add(url);
+        yield url;
+      }
+    }
+  }
+};
+
+// Extractors of the book details keyed by the field they extract
+const bookFieldExtractors = {
+  category: extractBookCategory,
+  categoryId: extractBookCategoryId,
+  title: extractBookTitle,
+  rating: extractBookRating,
+  description: extractBookDescription,
+  productInfo: extractBookProductInfo,
+  imageUrl: extractBookImageUrl,
+};
+
+/**
+ * Construct an object with all book details by calling parsing functions.
+ * A field which could not be extracted is set to null and listed in the
+ * missing fields of the object instead of failing the whole book.
  * @param {function} $ Cheerio load function object
  * @param {string} bookPageUrl Current book details page URL
- * @returns {Object} An object containing all book details
+ * @returns {{record: Object, errors: Error[]}} An object containing all book details and the extraction errors
  */
 const parseBookInfo = ($, bookPageUrl) => {
-  return {
-    url: bookPageUrl,
-    category: extractBookCategory($, bookPageUrl),
-    title: extractBookTitle($, bookPageUrl),
-    rating: extractBookRating($),
-    description: extractBookDescription($),
-    productInfo: extractBookProductInfo($),
-    imageUrl: extractBookImageUrl($, bookPageUrl),
-  };
+  const record = { url: bookPageUrl, missingFields: [] };
+  const errors = [];
+  Object.entries(bookFieldExtractors).forEach(([field, extract]) => {
+    try {
+      record[field] = extract($, bookPageUrl);
+    } catch (error) {
+      record[field] = null;
+      record.missingFields.push(field);
+      errors.push(error);
+    }
+  });
+  return { record, errors };
 };
 
 /**
  * Extract the book details from a given book page URL
  * @param {string} bookPageUrl URL of the book details page
- * @returns {Promise<Object|null>} A promise which resolves an object containing
- * book details or null if URL is not accessible
+ * @param {Object} [crawlState] Crawl state used to skip and record extracted books
+ * @param {Object} [failures] Failure manifest used to record the pages and fields which could not be extracted
+ * @returns {Promise<Object|null>} A promise which resolves a typed object containing
+ * book details, possibly partial, or null if URL is not accessible
  */
-export const extractBookInfo = async (bookPageUrl) => {
+export const extractBookInfo = async (bookPageUrl, crawlState, failures) => {
+  // Reuse the book details extracted by a previous run
+  const extractedRecord = crawlState?.getRecord(bookPageUrl);
+  if (extractedRecord) {
+    return extractedRecord;
+  }
   let $;
   try {
     // Load book page with Cheerio
     $ = cheerio.load(await getHtmlResponse(bookPageUrl));
   } catch (error) {
-    logger.error(error.message);
+    logger.log(getFailureLevel(error), error.message, {
+      phase: 'extraction',
+      url: bookPageUrl,
+      error,
+    });
+    failures?.add('extraction', bookPageUrl, error);
     return null;
   }
-  // Return book page details by parsing HTML response
-  return parseBookInfo($, bookPageUrl);
+  // Parse book page details from HTML response and convert them to typed values
+  const { record, errors } = parseBookInfo($, bookPageUrl);
+  // The UPC is only parsed from the product info once normalized
+  const bookInfo = normalizeBookRecord(record);
+  errors.forEach((error) => {
+    logger.warn(error.message, {
+      phase: 'extraction',
+      url: bookPageUrl,
+      upc: bookInfo.upc,
+      error,
+    });
+    failures?.add('extraction', bookPageUrl, error);
+  });
+  // Partial records are extracted again by the next run
+  if (errors.length === 0) {
+    crawlState?.setRecord(bookPageUrl, bookInfo);
+  }
+  return bookInfo;
+};
+
+/**
+ * Stream the book details of book pages in the order of the URLs, extracting
+ * a bounded number of pages at once
+ * @param {AsyncIterable<string>|Iterable<string>} bookPageUrls The book pages to scrape
+ * @param {Object} [crawlState] Crawl state used to skip and record extracted books
+ * @param {Object} [failures] Failure manifest used to record the pages and fields which could not be extracted
+ * @param {number} [concurrency] Maximum number of book pages extracted at once
+ * @returns {AsyncGenerator<Object>} An async generator of book details
+ */
+export const streamBookInfo = async function* (
+  bookPageUrls,
+  crawlState,
+  failures,
+  concurrency
+) {
+  const bookInfoList = mapConcurrently(
+    bookPageUrls,
+    async (url) => {
+      try {
+        return await runWithLogContext({ phase: 'extraction', url }, () =>
+          extractBookInfo(url, crawlState, failures)
+        );
+      } catch (error) {
+        logger.log(getFailureLevel(error), error.message, {
+          phase: 'extraction',
+          url,
+          error,
+        });
+        failures?.add('extraction', url, error);
+        return null;
+      }
+    },
+    concurrency
+  );
+  for await (const bookInfo of bookInfoList) {
+    if (bookInfo) {
+      yield bookInfo;
+    }
+  }
 };
 
 /**
  * Extract the book details from a list of book page URLs
  * @param {string[]} bookPageUrls A list of book pages to scrape
+ * @param {Object} [crawlState] Crawl state used to skip and record extracted books
+ * @param {Object} [failures] Failure manifest used to record the pages and fields which could not be extracted
  * @returns {Promise<Object[]>} A promise which resolves a list of book details for the provided book page URLs
  */
-export const extractAllBookInfo = async (bookPageUrls) =>
-  (
-    await Promise.allSettled(bookPageUrls.map((url) => extractBookInfo(url)))
-  ).reduce((bookInfoList, result) => {
-    if (result.value) {
-      bookInfoList.push(result.value);
+export const extractAllBookInfo = async (
+  bookPageUrls,
+  crawlState,
+  failures
+) => {
+  const bookInfoList = [];
+  for await (const bookInfo of streamBookInfo(
+    bookPageUrls,
+    crawlState,
+    failures
+  )) {
+    bookInfoList.push(bookInfo);
+  }
+  return bookInfoList;
+};
+
+/**
+ * Remove the files of an asset manifest entry, such as an image saved under
+ * another file name before it was downloaded again, with its derived images
+ * @param {string} dataDirectory The directory of the asset
+ * @param {{file: string, image: Object}} entry Asset manifest entry
+ * @returns {Promise<void>} A promise which resolves once the files are removed
+ */
+const removeAssetFiles = async (dataDirectory, entry) => {
+  const files = [
+    entry.file,
+    ...(entry.image?.variants ?? []).map(({ file }) => file),
+  ];
+  for (const file of files) {
+    // Only files of the asset directory are removed
+    const filePath = path.join(dataDirectory, path.basename(file));
+    try {
+      await rm(filePath, { force: true });
+    } catch (error) {
+      logger.warn(`Could not remove the replaced asset file ${filePath}`, {
+        error,
+      });
     }
-    return bookInfoList;
-  }, []);
+  }
+};
+
+/**
+ * Create a downloader of book images which records them in the asset manifest
+ * of the directory. Images saved by a previous run with a matching size and
+ * hash are not downloaded again, while the files of an image saved under
+ * another file name are removed once it is downloaded again.
+ * @param {string} dataDirectory The directory in which the images should be downloaded
+ * @param {Object} [crawlState] Crawl state used to skip and record downloaded images
+ * @returns {Promise<{download: function({url: string, identifier: string}): Promise<Object|null>, save: function(): Promise<void>}>}
+ * A promise which resolves a book image downloader
+ */
+export const createBookImageDownloader = async (dataDirectory, crawlState) => {
+  const manifest = await loadAssetManifest(dataDirectory);
+
+  return {
+    /**
+     * Download a book image unless it is already saved
+     * @param {{url: string, identifier: string}} image URL and identifier of the image, such as the book UPC
+     * @returns {Promise<Object|null>} A promise which resolves the asset manifest entry of the image
+     * or null if a previous run downloaded it without recording it
+     * @throws {NetworkError|AssetIntegrityError|FileWriteError} An error if the image could not be downloaded
+     */
+    download: async ({ url, identifier }) => {
+      // Skip images downloaded by a previous run
+      if (crawlState?.isAssetDownloaded(identifier)) {
+        return manifest.get(identifier) ?? null;
+      }
+      if (
+        manifest.get(identifier)?.url === url &&
+        (await manifest.isSaved(identifier))
+      ) {
+        crawlState?.markAssetDownloaded(identifier);
+        return manifest.get(identifier);
+      }
+      // The URL extension is only used if the media type is not detected
+      const { filePath, ...asset } = await downloadAsset(
+        url,
+        dataDirectory,
+        identifier,
+        path.extname(new URL(url).pathname)
+      );
+      const entry = { url, ...asset };
+      const previousEntry = manifest.get(identifier);
+      if (previousEntry && previousEntry.file !== entry.file) {
+        await removeAssetFiles(dataDirectory, previousEntry);
+      }
+      manifest.set(identifier, entry);
+      crawlState?.markAssetDownloaded(identifier);
+      return entry;
+    },
+
+    /**
+     * Persist the asset manifest, logging the error if it could not be written
+     * @returns {Promise<void>} A promise which resolves once the manifest is persisted
+     */
+    save: async () => {
+      try {
+        await manifest.save();
+      } catch (error) {
+        logger.error(error.message, { error });
+      }
+    },
+  };
+};
 
 /**
- * Download book images provided by asset URLs
+ * Download book images provided by asset URLs and record them in the asset
+ * manifest of the directory. Images saved by a previous run with a matching
+ * size and hash are not downloaded again.
  * @param {{url: string, identifier: string}[]} imageData
  * @param {string} dataDirectory The directory in which the images should be downloaded.
- * @returns {Promise<{[p: string]: PromiseSettledResult<Awaited<*>>, [p: number]: PromiseSettledResult<Awaited<*>>,
- * [p: symbol]: PromiseSettledResult<Awaited<*>>}>} A promise which resolves a list of promise results
+ * @param {Object} [crawlState] Crawl state used to skip and record downloaded images
+ * @returns {Promise<PromiseSettledResult<Object>[]>} A promise which resolves the settled result of each
+ * image download, fulfilled with the asset manifest entry of the image
  */
-export const downloadBookImages = async (imageData, dataDirectory) => {
-  return Promise.allSettled(
-    imageData.map((imageDatum) => {
-      const imageExtension = imageDatum.url.match(/(?!\.)[a-z0-9]+$/i).at(0);
-      const imageName = `${imageDatum.identifier}.${imageExtension}`;
-      const imageFilePath = path.resolve(dataDirectory, imageName);
-      return downloadAsset(imageDatum.url, imageFilePath);
-    })
+export const downloadBookImages = async (
+  imageData,
+  dataDirectory,
+  crawlState
+) => {
+  const downloader = await createBookImageDownloader(dataDirectory, crawlState);
+  const results = await Promise.allSettled(
+    imageData.map((image) => downloader.download(image))
   );
+  await downloader.save();
+  return results;
+};
+
+/**
+ * Read the dimensions and the perceptual hash of downloaded book images and
+ * save their derived images, recording the results in the asset manifest.
+ * Images processed by a previous run whose derived images are still saved
+ * are not processed again.
+ * @param {string[]} identifiers Identifiers of the images, such as book UPCs
+ * @param {string} dataDirectory The directory in which the images are saved
+ * @param {{width: number, format: string}[]} variants The derived images to save
+ * @returns {Promise<PromiseSettledResult<Object|null>[]>} A promise which resolves the settled result of
+ * each image, fulfilled with the asset manifest entry of the image along with its processed image or
+ * null if the image was not downloaded
+ */
+export const processBookImages = async (
+  identifiers,
+  dataDirectory,
+  variants
+) => {
+  const manifest = await loadAssetManifest(dataDirectory);
+  const results = [];
+  // Images are processed one at a time to keep memory usage bounded
+  for (const identifier of identifiers) {
+    const entry = manifest.get(identifier);
+    if (!entry) {
+      results.push({ status: 'fulfilled', value: null });
+      continue;
+    }
+    try {
+      const filePath = path.join(dataDirectory, entry.file);
+      // Downloading an image again replaces its entry and its processed image
+      if (
+        !entry.image ||
+        !(await hasSavedVariants(filePath, entry.image, variants))
+      ) {
+        manifest.set(identifier, {
+          ...entry,
+          image: await processImage(filePath, variants),
+        });
+      }
+      results.push({ status: 'fulfilled', value: manifest.get(identifier) });
+    } catch (error) {
+      results.push({ status: 'rejected', reason: error });
+    }
+  }
+  try {
+    await manifest.save();
+  } catch (error) {
+    logger.error(error.message, { error });
+  }
+  return results;
 };
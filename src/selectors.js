@@ -1,6 +1,15 @@
 // Catalog pagination info element
 export const paginationSelector = 'li.current';
 
+// Catalog pagination link to the next page
+export const nextPageSelector = 'li.next a';
+
+// Links of the category tree in the sidebar of the home page
+export const categoryLinkSelector = '.side_categories li > a';
+
+// Number of books listed by a catalog or category page, as in "1000 results"
+export const resultCountSelector = 'form.form-horizontal strong';
+
 // Book details page link element
 export const bookAnchorSelector = '.product_pod h3 a';
 
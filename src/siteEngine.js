@@ -0,0 +1,414 @@
+import * as cheerio from 'cheerio';
+import { readFile } from 'node:fs/promises';
+import * as path from 'path';
+import { getHtmlResponse } from './crawler.js';
+import { downloadAsset } from './commonUtils.js';
+import { InvalidArgumentError, InvalidSiteDefinitionError } from './errors.js';
+import { getFailureLevel } from './failureManifest.js';
+import logger from './logger.js';
+import { DEFAULT_STAGE_CONCURRENCY, mapConcurrently } from './pipeline.js';
+
+// Supported pagination types of list pages
+const PAGINATION_TYPES = ['none', 'pageCount', 'nextLink'];
+
+// Supported value types of fields
+const FIELD_TYPES = ['string', 'number', 'integer', 'url'];
+
+/**
+ * Check that a value of a site definition is a non-empty string
+ * @param {*} value The value
+ * @param {string} location Location of the value within the site definition
+ * @throws {InvalidArgumentError} An invalid argument error if the value is not a non-empty string
+ */
+const requireString = (value, location) => {
+  if (typeof value !== 'string' || !value) {
+    throw new InvalidArgumentError(`${location} must be a non-empty string`);
+  }
+};
+
+/**
+ * Validate the field definitions of a site definition
+ * @param {Object} fields Field definitions keyed by field name
+ * @param {string} location Location of the field definitions within the site definition
+ * @throws {InvalidArgumentError} An invalid argument error if a field is not valid
+ */
+const validateFieldDefinitions = (fields, location) => {
+  if (!fields || typeof fields !== 'object') {
+    throw new InvalidArgumentError(`${location} is missing`);
+  }
+  Object.entries(fields).forEach(([name, field]) => {
+    if (field.type && !FIELD_TYPES.includes(field.type)) {
+      throw new InvalidArgumentError(
+        `${location}.${name}.type must be one of ${FIELD_TYPES.join(', ')}`
+      );
+    }
+    if (field.regex) {
+      try {
+        new RegExp(field.regex);
+      } catch (error) {
+        throw new InvalidArgumentError(
+          `${location}.${name}.regex is not a valid regular expression`
+        );
+      }
+    }
+  });
+};
+
+/**
+ * Validate a site definition before any page is loaded, so that a definition
+ * missing what its pagination or its extraction needs fails at once
+ * @param {Object} definition Site definition
+ * @throws {InvalidArgumentError} An invalid argument error if the site definition is not valid
+ */
+export const validateSiteDefinition = (definition) => {
+  if (!definition.name || !/^[\w.-]+$/.test(definition.name)) {
+    throw new InvalidArgumentError(
+      'name must be a non-empty file name safe string'
+    );
+  }
+  try {
+    new URL(definition.baseUrl);
+  } catch (error) {
+    throw new InvalidArgumentError('baseUrl must be an absolute URL');
+  }
+  const { startUrls = [''], pagination = { type: 'none' } } =
+    definition.listPages ?? {};
+  if (
+    !Array.isArray(startUrls) ||
+    startUrls.some((url) => typeof url !== 'string')
+  ) {
+    throw new InvalidArgumentError(
+      'listPages.startUrls must be a list of URLs'
+    );
+  }
+  if (!PAGINATION_TYPES.includes(pagination.type)) {
+    throw new InvalidArgumentError(
+      `listPages.pagination.type must be one of ${PAGINATION_TYPES.join(', ')}`
+    );
+  }
+  if (pagination.type !== 'none') {
+    requireString(pagination.selector, 'listPages.pagination.selector');
+  }
+  if (pagination.type === 'pageCount') {
+    requireString(pagination.urlTemplate, 'listPages.pagination.urlTemplate');
+    if (!pagination.urlTemplate.includes('{page}')) {
+      throw new InvalidArgumentError(
+        'listPages.pagination.urlTemplate must contain {page}'
+      );
+    }
+  }
+  if (!definition.items === !definition.detailLinks) {
+    throw new InvalidArgumentError(
+      'exactly one of items and detailLinks must be defined'
+    );
+  }
+  if (definition.items) {
+    requireString(definition.items.selector, 'items.selector');
+    validateFieldDefinitions(definition.items.fields, 'items.fields');
+  } else {
+    requireString(definition.detailLinks.selector, 'detailLinks.selector');
+    validateFieldDefinitions(definition.fields, 'fields');
+  }
+  (definition.assets ?? []).forEach((asset, index) => {
+    requireString(asset.field, `assets[${index}].field`);
+    requireString(asset.identifierField, `assets[${index}].identifierField`);
+  });
+};
+
+/**
+ * Load and validate a site definition from a JSON file
+ * @param {string} filePath File path (.json) of the site definition
+ * @returns {Promise<Object>} A promise which resolves the site definition
+ * @throws {InvalidSiteDefinitionError} An invalid site definition error if the file is not a valid site definition
+ */
+export const loadSiteDefinition = async (filePath) => {
+  let definition;
+  try {
+    definition = JSON.parse(await readFile(filePath, 'utf8'));
+    validateSiteDefinition(definition);
+  } catch (error) {
+    throw new InvalidSiteDefinitionError(filePath, error.message);
+  }
+  return definition;
+};
+
+/**
+ * Apply the post-processing steps of a field definition to a raw value
+ * @param {string|undefined} value Raw value of the field
+ * @param {Object} field Field definition
+ * @param {string} pageUrl URL of the page the value was extracted from
+ * @returns {string|number|null} The processed value or null if it could not be processed
+ */
+const processFieldValue = (value, field, pageUrl) => {
+  let processed = value?.trim();
+  if (!processed) {
+    return null;
+  }
+  if (field.regex) {
+    const match = processed.match(new RegExp(field.regex));
+    if (!match) {
+      return null;
+    }
+    // Prefer the first capture group over the whole match
+    processed = (match[1] ?? match[0]).trim();
+  }
+  switch (field.type) {
+    case 'number':
+    case 'integer': {
+      const number = Number(processed.replaceAll(',', ''));
+      if (!Number.isFinite(number)) {
+        return null;
+      }
+      return field.type === 'integer' ? Math.trunc(number) : number;
+    }
+    case 'url':
+      try {
+        return new URL(processed, pageUrl).href;
+      } catch (error) {
+        return null;
+      }
+    default:
+      return processed;
+  }
+};
+
+/**
+ * Extract the values of all fields within a root element
+ * @param {function} $ Cheerio load function object
+ * @param {Object} $root Cheerio object of the root element to search fields in
+ * @param {Object} fields Field definitions keyed by field name
+ * @param {string} pageUrl URL of the page
+ * @returns {Object} A record with a value for each field
+ */
+export const extractFields = ($, $root, fields, pageUrl) =>
+  Object.fromEntries(
+    Object.entries(fields).map(([name, field]) => {
+      const $elements = field.selector ? $root.find(field.selector) : $root;
+      // Read the attribute or the text content of an element
+      const readValue = (element) =>
+        field.attribute ? $(element).attr(field.attribute) : $(element).text();
+      if (field.all) {
+        return [
+          name,
+          $elements
+            .toArray()
+            .map((element) =>
+              processFieldValue(readValue(element), field, pageUrl)
+            )
+            .filter((value) => value !== null),
+        ];
+      }
+      const element = $elements.get(field.index ?? 0);
+      return [
+        name,
+        element ? processFieldValue(readValue(element), field, pageUrl) : null,
+      ];
+    })
+  );
+
+/**
+ * Load a page with Cheerio
+ * @param {string} url URL of the page
+ * @returns {Promise<{url: string, $: function}|null>} A promise which resolves the loaded page or null if it fails
+ */
+const loadPage = async (url) => {
+  try {
+    return { url, $: cheerio.load(await getHtmlResponse(url)) };
+  } catch (error) {
+    logger.log(getFailureLevel(error), error.message, { url, error });
+    return null;
+  }
+};
+
+/**
+ * Load pages with bounded concurrency, leaving out the pages which fail
+ * @param {string[]} urls URLs of the pages
+ * @param {number} concurrency Maximum number of pages loaded at once
+ * @param {function({url: string, $: function}): *} [mapPage] Function mapping each loaded page to the
+ * result kept for it, so that only the result of a page is held in memory rather than its document
+ * @returns {Promise<*[]>} A promise which resolves the loaded pages or their results in the order of the URLs
+ */
+const loadPages = async (urls, concurrency, mapPage = (page) => page) => {
+  const results = [];
+  for await (const result of mapConcurrently(
+    urls,
+    async (url) => {
+      const page = await loadPage(url);
+      return page ? { value: mapPage(page) } : null;
+    },
+    concurrency
+  )) {
+    if (result) {
+      results.push(result.value);
+    }
+  }
+  return results;
+};
+
+/**
+ * Load all list pages of the site by following its pagination rules
+ * @param {Object} definition Site definition
+ * @param {number} [concurrency] Maximum number of pages loaded at once
+ * @returns {Promise<{url: string, $: function}[]>} A promise which resolves the loaded list pages
+ */
+export const loadListPages = async (
+  definition,
+  concurrency = DEFAULT_STAGE_CONCURRENCY
+) => {
+  const { listPages = {}, baseUrl } = definition;
+  const pagination = listPages.pagination ?? { type: 'none' };
+  const startUrls = (listPages.startUrls ?? ['']).map(
+    (url) => new URL(url, baseUrl).href
+  );
+
+  if (pagination.type === 'pageCount') {
+    // Read the page count from each start page and build the page URLs
+    const pageUrls = new Set();
+    for (const startPage of await loadPages(startUrls, concurrency)) {
+      const pageCount = processFieldValue(
+        startPage.$(pagination.selector).first().text(),
+        { regex: pagination.regex, type: 'integer' },
+        startPage.url
+      );
+      if (pageCount === null) {
+        logger.error(`Could not locate the page count on ${startPage.url}`, {
+          url: startPage.url,
+        });
+        continue;
+      }
+      for (let page = 1; page <= pageCount; ++page) {
+        pageUrls.add(
+          new URL(
+            pagination.urlTemplate.replaceAll('{page}', page),
+            startPage.url
+          ).href
+        );
+      }
+    }
+    return loadPages([...pageUrls], concurrency);
+  }
+
+  if (pagination.type === 'nextLink') {
+    // Follow the next page link of each start page until there is none
+    const visitedUrls = new Set();
+    const pages = [];
+    for (const startUrl of startUrls) {
+      let url = startUrl;
+      while (url && !visitedUrls.has(url)) {
+        visitedUrls.add(url);
+        const page = await loadPage(url);
+        if (!page) {
+          break;
+        }
+        pages.push(page);
+        const href = page.$(pagination.selector).first().attr('href');
+        url = href ? new URL(href, url).href : null;
+      }
+    }
+    return pages;
+  }
+
+  return loadPages(startUrls, concurrency);
+};
+
+/**
+ * Extract the records of a site according to its definition, either from the
+ * items on the list pages or from the detail pages linked by the list pages
+ * @param {Object} definition Site definition
+ * @param {number} [concurrency] Maximum number of pages loaded at once
+ * @returns {Promise<Object[]>} A promise which resolves the extracted records
+ * @throws {InvalidArgumentError} An invalid argument error if the site definition is not valid
+ */
+export const extractSiteRecords = async (
+  definition,
+  concurrency = DEFAULT_STAGE_CONCURRENCY
+) => {
+  validateSiteDefinition(definition);
+  const listPages = await loadListPages(definition, concurrency);
+  logger.info(`Number of list pages found: ${listPages.length}`);
+
+  if (definition.items) {
+    return listPages.flatMap(({ url, $ }) =>
+      $(definition.items.selector)
+        .toArray()
+        .map((element) => ({
+          url,
+          ...extractFields($, $(element), definition.items.fields, url),
+        }))
+    );
+  }
+
+  // Collect the unique detail page URLs in the order they are listed
+  const detailPageUrls = [
+    ...new Set(
+      listPages.flatMap(({ url, $ }) =>
+        $(definition.detailLinks.selector)
+          .toArray()
+          .map((element) =>
+            $(element).attr(definition.detailLinks.attribute ?? 'href')
+          )
+          .filter(Boolean)
+          .map((href) => new URL(href, url).href)
+      )
+    ),
+  ];
+  logger.info(`Number of detail page URLs found: ${detailPageUrls.length}`);
+
+  // Extract the record of each detail page as soon as it is loaded
+  return loadPages(detailPageUrls, concurrency, ({ url, $ }) => ({
+    url,
+    ...extractFields($, $.root(), definition.fields, url),
+  }));
+};
+
+/**
+ * Download the assets declared by the site definition for each record
+ * @param {Object} definition Site definition
+ * @param {Object[]} records Extracted records
+ * @param {string} dataDirectory Data directory where assets will be saved
+ * @param {number} [concurrency] Maximum number of assets downloaded at once
+ * @returns {Promise<{downloaded: number, failed: number}>} A promise which resolves the download counts
+ */
+export const downloadSiteAssets = async (
+  definition,
+  records,
+  dataDirectory,
+  concurrency = DEFAULT_STAGE_CONCURRENCY
+) => {
+  const downloads = (definition.assets ?? []).flatMap((asset) =>
+    records
+      .filter((record) => record[asset.field] && record[asset.identifierField])
+      .map((record) => ({ asset, record }))
+  );
+  let failed = 0;
+  for await (const error of mapConcurrently(
+    downloads,
+    async ({ asset, record }) => {
+      const assetUrl = record[asset.field];
+      try {
+        // The extension is only used if the media type is not detected
+        const extension =
+          path.extname(new URL(assetUrl).pathname) || asset.extension || '';
+        await downloadAsset(
+          assetUrl,
+          path.resolve(dataDirectory, asset.directory ?? 'assets'),
+          String(record[asset.identifierField]),
+          extension
+        );
+        return null;
+      } catch (error) {
+        return error;
+      }
+    },
+    concurrency
+  )) {
+    if (error) {
+      ++failed;
+      logger.log(getFailureLevel(error), error.message, { error });
+    }
+  }
+  return {
+    downloaded: downloads.length - failed,
+    failed,
+  };
+};
@@ -0,0 +1,124 @@
+import {
+  copyFile,
+  mkdir,
+  readdir,
+  readlink,
+  rename,
+  rm,
+  symlink,
+} from 'node:fs/promises';
+import * as path from 'path';
+import logger from './logger.js';
+
+// Directory of the data directory in which the snapshots are kept
+export const SNAPSHOTS_DIRECTORY = 'snapshots';
+
+// Link of the data directory to the snapshot of the last successful run
+export const LATEST_SNAPSHOT_LINK = 'latest';
+
+// Outputs of a run copied into its snapshot besides the book data files,
+// while the assets, the crawl state and the changelog history are shared
+const SNAPSHOT_FILES = [
+  'changelog.json',
+  'categories.json',
+  'quality-report.json',
+  'failures.json',
+  'run-summary.json',
+];
+
+/**
+ * Get the name of the snapshot the latest link points at
+ * @param {string} dataDirectory The data directory
+ * @returns {Promise<string|null>} A promise which resolves the snapshot name or null if there is no link
+ */
+export const getLatestSnapshot = async (dataDirectory) => {
+  try {
+    return path.basename(
+      await readlink(path.join(dataDirectory, LATEST_SNAPSHOT_LINK))
+    );
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Point the latest link at a snapshot. The link is replaced atomically, so
+ * that readers always find a complete snapshot.
+ * @param {string} dataDirectory The data directory
+ * @param {string} name Name of the snapshot
+ * @returns {Promise<void>} A promise which resolves once the link is replaced
+ */
+const linkLatestSnapshot = async (dataDirectory, name) => {
+  const linkPath = path.join(dataDirectory, LATEST_SNAPSHOT_LINK);
+  const temporaryLinkPath = `${linkPath}.tmp`;
+  await rm(temporaryLinkPath, { force: true });
+  // A relative target keeps the link valid when the data directory is moved
+  await symlink(
+    path.join(SNAPSHOTS_DIRECTORY, name),
+    temporaryLinkPath,
+    'junction'
+  );
+  await rename(temporaryLinkPath, linkPath);
+};
+
+/**
+ * Remove the oldest snapshots beyond the number of snapshots to keep, except
+ * the one the latest link points at
+ * @param {string} dataDirectory The data directory
+ * @param {number} keep Number of snapshots to keep
+ * @returns {Promise<string[]>} A promise which resolves the names of the removed snapshots
+ */
+export const pruneSnapshots = async (dataDirectory, keep) => {
+  const directory = path.join(dataDirectory, SNAPSHOTS_DIRECTORY);
+  const latest = await getLatestSnapshot(dataDirectory);
+  // Snapshot names start with their time, hence they sort from the oldest,
+  // while the latest one is kept first even if it sorts before another
+  const names = (await readdir(directory)).sort().reverse();
+  const expired = names
+    .filter((name) => name !== latest)
+    .slice(names.includes(latest) ? Math.max(keep - 1, 0) : keep);
+  for (const name of expired) {
+    await rm(path.join(directory, name), { recursive: true, force: true });
+  }
+  return expired;
+};
+
+/**
+ * Save a snapshot of the outputs of a successful run: the book data files in
+ * every format along with the changelog, the categories, the quality report,
+ * the failures and the run summary. The latest link is then pointed at the
+ * snapshot and the oldest snapshots are removed.
+ * @param {string} dataDirectory The data directory
+ * @param {string} name Name of the snapshot, starting with its time, such as the run ID
+ * @param {number} keep Number of snapshots to keep
+ * @returns {Promise<string>} A promise which resolves the directory of the snapshot
+ */
+export const saveSnapshot = async (dataDirectory, name, keep) => {
+  const snapshotDirectory = path.join(dataDirectory, SNAPSHOTS_DIRECTORY, name);
+  await mkdir(snapshotDirectory, { recursive: true });
+  const entries = await readdir(dataDirectory, { withFileTypes: true });
+  for (const entry of entries) {
+    if (
+      entry.isFile() &&
+      (entry.name.startsWith('book-data.') ||
+        SNAPSHOT_FILES.includes(entry.name))
+    ) {
+      await copyFile(
+        path.join(dataDirectory, entry.name),
+        path.join(snapshotDirectory, entry.name)
+      );
+    }
+  }
+  await linkLatestSnapshot(dataDirectory, name);
+  logger.info(
+    `Snapshot saved at ${snapshotDirectory} and linked as ${path.join(
+      dataDirectory,
+      LATEST_SNAPSHOT_LINK
+    )}`
+  );
+  const removed = await pruneSnapshots(dataDirectory, keep);
+  if (removed.length > 0) {
+    logger.info(`Number of expired snapshots removed: ${removed.length}`);
+  }
+  return snapshotDirectory;
+};
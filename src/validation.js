@@ -0,0 +1,154 @@
+// Maximum number of sample URLs kept for each failing field
+const SAMPLE_URL_LIMIT = 5;
+
+/**
+ * Declared schema of a typed book record. Each field may declare:
+ * - required: the value must not be null, undefined or an empty string
+ * - type: one of string, number, integer and boolean
+ * - format: url for absolute http(s) URLs
+ * - pattern: a regular expression the string value must match
+ * - minLength: the minimum length of a string value
+ * - min and max: the inclusive range of a numeric value
+ */
+export const bookRecordSchema = {
+  url: { required: true, type: 'string', format: 'url' },
+  upc: { required: true, type: 'string', pattern: /^[0-9a-f]{16}$/ },
+  title: { required: true, type: 'string', minLength: 1 },
+  category: { required: true, type: 'string', minLength: 1 },
+  categoryId: { required: true, type: 'integer', min: 1 },
+  rating: { required: true, type: 'integer', min: 1, max: 5 },
+  description: { required: true, type: 'string', minLength: 1 },
+  imageUrl: { required: true, type: 'string', format: 'url' },
+  productType: { required: true, type: 'string', minLength: 1 },
+  currency: { required: true, type: 'string', pattern: /^[A-Z]{3}$/ },
+  priceExclTax: { required: true, type: 'number', min: 0 },
+  priceInclTax: { required: true, type: 'number', min: 0 },
+  tax: { required: true, type: 'number', min: 0 },
+  inStock: { required: true, type: 'boolean' },
+  stockCount: { required: true, type: 'integer', min: 0 },
+  reviewCount: { required: true, type: 'integer', min: 0 },
+};
+
+// Functions checking whether a value is of a declared type
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+};
+
+// Functions checking whether a string is of a declared format
+const FORMAT_CHECKS = {
+  url: (value) => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  },
+};
+
+/**
+ * Validate a single value against the rules of a field
+ * @param {*} value Value of the field
+ * @param {Object} rules Declared rules of the field
+ * @returns {string|null} The name of the first violated rule or null if the value is valid
+ */
+const validateValue = (value, rules) => {
+  if (value === null || value === undefined || value === '') {
+    return rules.required ? 'required' : null;
+  }
+  if (rules.type && !TYPE_CHECKS[rules.type](value)) {
+    return 'type';
+  }
+  if (rules.format && !FORMAT_CHECKS[rules.format](value)) {
+    return 'format';
+  }
+  if (rules.pattern && !rules.pattern.test(value)) {
+    return 'pattern';
+  }
+  if (rules.minLength !== undefined && value.trim().length < rules.minLength) {
+    return 'minLength';
+  }
+  if (rules.min !== undefined && value < rules.min) {
+    return 'min';
+  }
+  if (rules.max !== undefined && value > rules.max) {
+    return 'max';
+  }
+  return null;
+};
+
+/**
+ * Validate a record against a declared schema
+ * @param {Object} record The record to validate
+ * @param {Object} [schema] The declared schema of the record
+ * @returns {{field: string, rule: string}[]} A list of violations, empty if the record is valid
+ */
+export const validateRecord = (record, schema = bookRecordSchema) =>
+  Object.entries(schema).reduce((violations, [field, rules]) => {
+    const rule = validateValue(record[field], rules);
+    if (rule) {
+      violations.push({ field, rule });
+    }
+    return violations;
+  }, []);
+
+/**
+ * Create a quality report which collects schema violations of records
+ * @param {Object} [schema] The declared schema of the records
+ * @returns {{add: function(Object): {field: string, rule: string}[], summarize: function(number): Object}}
+ * A quality report object
+ */
+export const createQualityReport = (schema = bookRecordSchema) => {
+  let totalRecords = 0;
+  let invalidRecords = 0;
+  const fields = Object.fromEntries(
+    Object.keys(schema).map((field) => [
+      field,
+      { failures: 0, rules: {}, sampleUrls: [] },
+    ])
+  );
+
+  return {
+    /**
+     * Validate a record and account its violations in the report
+     * @param {Object} record The record to validate
+     * @returns {{field: string, rule: string}[]} A list of violations of the record
+     */
+    add: (record) => {
+      const violations = validateRecord(record, schema);
+      ++totalRecords;
+      if (violations.length > 0) {
+        ++invalidRecords;
+      }
+      violations.forEach(({ field, rule }) => {
+        const fieldReport = fields[field];
+        ++fieldReport.failures;
+        fieldReport.rules[rule] = (fieldReport.rules[rule] ?? 0) + 1;
+        if (fieldReport.sampleUrls.length < SAMPLE_URL_LIMIT) {
+          fieldReport.sampleUrls.push(record.url);
+        }
+      });
+      return violations;
+    },
+
+    /**
+     * Summarize the report and decide whether the records pass the quality threshold
+     * @param {number} maxFailureRate Maximum ratio of invalid records allowed, from 0 to 1
+     * @returns {Object} The quality report summary
+     */
+    summarize: (maxFailureRate) => {
+      const failureRate = totalRecords > 0 ? invalidRecords / totalRecords : 0;
+      return {
+        generatedAt: new Date().toISOString(),
+        totalRecords,
+        invalidRecords,
+        failureRate,
+        maxFailureRate,
+        passed: failureRate <= maxFailureRate,
+        fields,
+      };
+    },
+  };
+};
@@ -0,0 +1,433 @@
+import { createWriteStream } from 'fs';
+import { mkdir, rename, rm, writeFile } from 'node:fs/promises';
+import { once } from 'node:events';
+import * as path from 'path';
+import initSqlJs from 'sql.js';
+import { FileWriteError } from './errors.js';
+
+/**
+ * A writer persists book records to a single sink
+ * @typedef {Object} BookDataWriter
+ * @property {string[]} destinations File paths in which the records are persisted
+ * @property {function(Object): Promise<void>} write Persist a single book record
+ * @property {function(): Promise<void>} close Finish persisting all written records
+ * @property {function(): Promise<void>} [discard] Discard the written records, keeping the files of the previous
+ * run as they are
+ */
+
+// Columns of the CSV file and the books table along with functions to read them from a record
+const BOOK_COLUMNS = [
+  { header: 'URL', column: 'url', type: 'TEXT', read: (record) => record.url },
+  { header: 'UPC', column: 'upc', type: 'TEXT', read: (record) => record.upc },
+  {
+    header: 'Title',
+    column: 'title',
+    type: 'TEXT',
+    read: (record) => record.title,
+  },
+  {
+    header: 'Category',
+    column: 'category',
+    type: 'TEXT',
+    read: (record) => record.category,
+  },
+  {
+    header: 'Category ID',
+    column: 'category_id',
+    type: 'INTEGER REFERENCES categories (id)',
+    read: (record) => record.categoryId,
+  },
+  {
+    header: 'Rating',
+    column: 'rating',
+    type: 'INTEGER',
+    read: (record) => record.rating,
+  },
+  {
+    header: 'Description',
+    column: 'description',
+    type: 'TEXT',
+    read: (record) => record.description,
+  },
+  {
+    header: 'Image URL',
+    column: 'image_url',
+    type: 'TEXT',
+    read: (record) => record.imageUrl,
+  },
+  {
+    header: 'Image width',
+    column: 'image_width',
+    type: 'INTEGER',
+    read: (record) => record.image?.width,
+  },
+  {
+    header: 'Image height',
+    column: 'image_height',
+    type: 'INTEGER',
+    read: (record) => record.image?.height,
+  },
+  {
+    header: 'Image perceptual hash',
+    column: 'image_perceptual_hash',
+    type: 'TEXT',
+    read: (record) => record.image?.perceptualHash,
+  },
+  {
+    header: 'Image variants',
+    column: 'image_variants',
+    type: 'TEXT',
+    read: (record) => record.image?.variants.map(({ file }) => file).join(', '),
+  },
+  {
+    header: 'Product Type',
+    column: 'product_type',
+    type: 'TEXT',
+    read: (record) => record.productType,
+  },
+  {
+    header: 'Currency',
+    column: 'currency',
+    type: 'TEXT',
+    read: (record) => record.currency,
+  },
+  {
+    header: 'Price (excl. tax)',
+    column: 'price_excl_tax',
+    type: 'REAL',
+    read: (record) => record.priceExclTax,
+  },
+  {
+    header: 'Price (incl. tax)',
+    column: 'price_incl_tax',
+    type: 'REAL',
+    read: (record) => record.priceInclTax,
+  },
+  { header: 'Tax', column: 'tax', type: 'REAL', read: (record) => record.tax },
+  {
+    header: 'Availability',
+    column: 'availability',
+    type: 'TEXT',
+    read: (record) =>
+      record.raw?.productInfo?.find(({ key }) => key === 'Availability')?.value,
+  },
+  {
+    header: 'In stock',
+    column: 'in_stock',
+    type: 'INTEGER',
+    read: (record) => record.inStock,
+  },
+  {
+    header: 'Stock count',
+    column: 'stock_count',
+    type: 'INTEGER',
+    read: (record) => record.stockCount,
+  },
+  {
+    header: 'Number of reviews',
+    column: 'review_count',
+    type: 'INTEGER',
+    read: (record) => record.reviewCount,
+  },
+  {
+    header: 'Missing fields',
+    column: 'missing_fields',
+    type: 'TEXT',
+    read: (record) => record.missingFields?.join(', '),
+  },
+];
+
+/**
+ * Create a writer which streams text lines to a temporary file, which is
+ * moved in place once complete. The file of the previous run is only
+ * replaced by a complete file, even if the process crashes meanwhile.
+ * @param {string} filePath File path to write
+ * @returns {Promise<{writeLine: function(string): Promise<void>, end: function(): Promise<void>,
+ * discard: function(): Promise<void>}>} A promise which resolves a line writer
+ * @throws {FileWriteError} A file write error if the file could not be created
+ */
+const createLineWriter = async (filePath) => {
+  const tempFilePath = `${filePath}.tmp`;
+  try {
+    await mkdir(path.dirname(filePath), { recursive: true });
+  } catch (error) {
+    throw new FileWriteError(filePath, error);
+  }
+  const stream = createWriteStream(tempFilePath, 'utf8');
+  let streamError = null;
+  stream.on('error', (error) => {
+    streamError = error;
+  });
+  return {
+    writeLine: async (line) => {
+      if (streamError) {
+        throw new FileWriteError(filePath, streamError);
+      }
+      // Wait for the stream to drain to keep memory usage bounded
+      if (!stream.write(`${line}\n`)) {
+        await once(stream, 'drain');
+      }
+    },
+    end: async () => {
+      stream.end();
+      try {
+        await once(stream, 'finish');
+      } catch (error) {
+        throw new FileWriteError(filePath, error);
+      }
+      if (streamError) {
+        throw new FileWriteError(filePath, streamError);
+      }
+      try {
+        await rename(tempFilePath, filePath);
+      } catch (error) {
+        throw new FileWriteError(filePath, error);
+      }
+    },
+    discard: async () => {
+      stream.destroy();
+      await rm(tempFilePath, { force: true });
+    },
+  };
+};
+
+/**
+ * Create a writer which streams book records as a single JSON array, one
+ * record per line
+ * @param {string} filePath File path with extension (.json)
+ * @returns {Promise<BookDataWriter>} A promise which resolves a book data writer
+ */
+export const createJsonWriter = async (filePath) => {
+  const lineWriter = await createLineWriter(filePath);
+  await lineWriter.writeLine('[');
+  let isFirstRecord = true;
+  return {
+    destinations: [filePath],
+    write: (record) => {
+      const separator = isFirstRecord ? '' : ',';
+      isFirstRecord = false;
+      return lineWriter.writeLine(`${separator}${JSON.stringify(record)}`);
+    },
+    close: async () => {
+      await lineWriter.writeLine(']');
+      await lineWriter.end();
+    },
+    discard: lineWriter.discard,
+  };
+};
+
+/**
+ * Create a writer which streams book records as newline delimited JSON
+ * @param {string} filePath File path with extension (.ndjson)
+ * @returns {Promise<BookDataWriter>} A promise which resolves a book data writer
+ */
+export const createNdjsonWriter = async (filePath) => {
+  const lineWriter = await createLineWriter(filePath);
+  return {
+    destinations: [filePath],
+    write: (record) => lineWriter.writeLine(JSON.stringify(record)),
+    close: () => lineWriter.end(),
+    discard: lineWriter.discard,
+  };
+};
+
+/**
+ * Escape a value as a CSV field
+ * @param {*} value Value of the field
+ * @returns {string} The escaped CSV field
+ */
+const toCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+/**
+ * Create a writer which streams book records as CSV rows with product info flattened into columns
+ * @param {string} filePath File path with extension (.csv)
+ * @returns {Promise<BookDataWriter>} A promise which resolves a book data writer
+ */
+export const createCsvWriter = async (filePath) => {
+  const lineWriter = await createLineWriter(filePath);
+  await lineWriter.writeLine(
+    BOOK_COLUMNS.map(({ header }) => toCsvField(header)).join(',')
+  );
+  return {
+    destinations: [filePath],
+    write: (record) =>
+      lineWriter.writeLine(
+        BOOK_COLUMNS.map(({ read }) => toCsvField(read(record))).join(',')
+      ),
+    close: () => lineWriter.end(),
+    discard: lineWriter.discard,
+  };
+};
+
+// Schema of the SQLite database
+const SQLITE_SCHEMA = `
+  CREATE TABLE categories (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL
+  );
+  CREATE TABLE books (
+    ${BOOK_COLUMNS.map(({ column, type }) => `${column} ${type}`).join(',\n')},
+    PRIMARY KEY (url)
+  );
+`;
+
+/**
+ * Create a writer which persists book records in a SQLite database with books and categories tables
+ * @param {string} filePath File path with extension (.sqlite)
+ * @returns {Promise<BookDataWriter>} A promise which resolves a book data writer
+ */
+export const createSqliteWriter = async (filePath) => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.exec(SQLITE_SCHEMA);
+  // Categories are keyed by the stable ID of the website
+  const insertCategory = db.prepare(
+    'INSERT OR IGNORE INTO categories (id, name) VALUES (?, ?)'
+  );
+  const insertBook = db.prepare(
+    `INSERT OR REPLACE INTO books (${BOOK_COLUMNS.map(
+      ({ column }) => column
+    ).join(', ')}) VALUES (${Array(BOOK_COLUMNS.length).fill('?').join(', ')})`
+  );
+
+  return {
+    destinations: [filePath],
+    write: async (record) => {
+      if (record.categoryId && record.category) {
+        insertCategory.run([record.categoryId, record.category]);
+      }
+      insertBook.run(
+        BOOK_COLUMNS.map(({ read }) => {
+          const value = read(record) ?? null;
+          // SQLite has no boolean type
+          return typeof value === 'boolean' ? Number(value) : value;
+        })
+      );
+    },
+    close: async () => {
+      [insertCategory, insertBook].forEach((statement) => statement.free());
+      // Move the database in place once complete, like the streamed files
+      const tempFilePath = `${filePath}.tmp`;
+      try {
+        await mkdir(path.dirname(filePath), { recursive: true });
+        await writeFile(tempFilePath, Buffer.from(db.export()));
+        await rename(tempFilePath, filePath);
+      } catch (error) {
+        throw new FileWriteError(filePath, error);
+      } finally {
+        db.close();
+      }
+    },
+    discard: async () => {
+      [insertCategory, insertBook].forEach((statement) => statement.free());
+      db.close();
+    },
+  };
+};
+
+// Writer factories and file extensions of the supported output formats
+const OUTPUT_FORMAT_WRITERS = {
+  json: { extension: 'json', createWriter: createJsonWriter },
+  ndjson: { extension: 'ndjson', createWriter: createNdjsonWriter },
+  csv: { extension: 'csv', createWriter: createCsvWriter },
+  sqlite: { extension: 'sqlite', createWriter: createSqliteWriter },
+};
+
+// Names of the supported output formats
+export const OUTPUT_FORMATS = Object.keys(OUTPUT_FORMAT_WRITERS);
+
+// Names of the output formats which support records of any shape
+export const GENERIC_OUTPUT_FORMATS = ['json', 'ndjson'];
+
+/**
+ * Close or discard every writer, even if one of them fails
+ * @param {Promise<void>[]} operations The close or discard operations of the writers
+ * @returns {Promise<void>} A promise which resolves once every writer is closed or discarded
+ * @throws {*} The error of the first writer which failed
+ */
+const settleWriters = async (operations) => {
+  const rejected = (await Promise.allSettled(operations)).find(
+    (result) => result.status === 'rejected'
+  );
+  if (rejected) {
+    throw rejected.reason;
+  }
+};
+
+/**
+ * Combine writers into a single writer which persists each record to all of them. Once a
+ * write fails, every writer is discarded, so that no file or stream is left open.
+ * @param {{write: function(Object): Promise<void>, close: function(): Promise<void>,
+ * discard?: function(): Promise<void>, destinations: string[]}[]} writers The writers to combine, such as
+ * the sinks of a service which embeds the scraper, which are closed when discarded unless they can discard
+ * @returns {BookDataWriter} A book data writer
+ */
+export const combineWriters = (writers) => {
+  let finished = false;
+
+  const discard = async () => {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    await settleWriters(
+      writers.map((writer) => (writer.discard ?? writer.close)())
+    );
+  };
+
+  return {
+    destinations: writers.flatMap((writer) => writer.destinations ?? []),
+    write: async (record) => {
+      try {
+        await Promise.all(writers.map((writer) => writer.write(record)));
+      } catch (error) {
+        await discard().catch(() => {});
+        throw error;
+      }
+    },
+    close: async () => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      await settleWriters(writers.map((writer) => writer.close()));
+    },
+    discard,
+  };
+};
+
+/**
+ * Create a writer which persists book records to every sink of the selected output formats
+ * @param {string} dataDirectory The directory in which the output files are created
+ * @param {string[]} formats Selected output formats
+ * @param {string} [baseName] Base name of the output files
+ * @returns {Promise<BookDataWriter>} A promise which resolves a book data writer
+ * @throws {FileWriteError} A file write error if a writer could not be created, the other ones being discarded
+ */
+export const createBookDataWriter = async (
+  dataDirectory,
+  formats,
+  baseName = 'book-data'
+) => {
+  const results = await Promise.allSettled(
+    [...new Set(formats)].map((format) => {
+      const { extension, createWriter } = OUTPUT_FORMAT_WRITERS[format];
+      return createWriter(path.join(dataDirectory, `${baseName}.${extension}`));
+    })
+  );
+  const writers = results
+    .filter((result) => result.status === 'fulfilled')
+    .map((result) => result.value);
+  const rejected = results.find((result) => result.status === 'rejected');
+  if (rejected) {
+    // Leave no open stream or temporary file behind the writers which were created
+    await settleWriters(writers.map((writer) => writer.discard())).catch(
+      () => {}
+    );
+    throw rejected.reason;
+  }
+  return combineWriters(writers);
+};
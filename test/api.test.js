@@ -0,0 +1,170 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { startApiServer } from '../src/api.js';
+import { readJsonFile, writeToJsonFile } from '../src/commonUtils.js';
+import { configureHttpClient, configureScheduler } from '../src/crawler.js';
+import logger from '../src/logger.js';
+import { createScraper } from '../src/scraper.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+import { sendRawRequest } from './helpers/rawRequest.js';
+
+logger.silent = true;
+configureScheduler({ requestsPerSecond: 0 });
+configureHttpClient({ retries: 0 });
+
+/**
+ * Wait for a run started through the API to be over
+ * @param {string} url URL of the run
+ * @returns {Promise<Object>} A promise which resolves the run once it is over
+ */
+const waitForRun = async (url) => {
+  for (;;) {
+    const run = await (await fetch(url)).json();
+    if (run.status !== 'running') {
+      return run;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+describe('startApiServer', () => {
+  let server;
+  let directory;
+  let api;
+
+  before(async () => {
+    server = await startFixtureServer('books.toscrape.com');
+    directory = await mkdtemp(path.join(tmpdir(), 'api-'));
+    const options = {
+      baseUrl: server.baseUrl,
+      dataDir: directory,
+      keepSnapshots: 1,
+      progressIntervalMs: 0,
+    };
+    await createScraper(options).run();
+    api = await startApiServer({ ...options, port: 0 });
+  });
+
+  after(async () => {
+    await api.close();
+    await server.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('lists the books matching the filters page by page', async () => {
+    const query = async (parameters) => {
+      const response = await fetch(`${api.url}/books?${parameters}`);
+      assert.equal(response.status, 200);
+      return response.json();
+    };
+    const all = await query('');
+    assert.equal(all.total, 6);
+    assert.equal(all.books.length, 6);
+    const poetry = await query('category=poetry');
+    assert.deepEqual(
+      poetry.books.map(({ title }) => title),
+      ['A Light in the Attic', "Shakespeare's Sonnets"]
+    );
+    assert.equal((await query('rating=4')).total, 3);
+    assert.equal((await query('minRating=3&maxPrice=50')).total, 3);
+    assert.equal((await query('minPrice=40&maxPrice=50')).total, 3);
+    assert.equal((await query('inStock=false')).total, 0);
+    const page = await query('pageSize=4&page=2');
+    assert.equal(page.totalPages, 2);
+    assert.deepEqual(page.books, all.books.slice(4));
+  });
+
+  it('rejects invalid filters', async () => {
+    for (const parameters of ['rating=6', 'minPrice=abc', 'inStock=yes']) {
+      const response = await fetch(`${api.url}/books?${parameters}`);
+      assert.equal(response.status, 400);
+      assert.ok((await response.json()).error);
+    }
+  });
+
+  it('returns a book by UPC', async () => {
+    const response = await fetch(`${api.url}/books/a897fe39b1053632`);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).title, 'A Light in the Attic');
+    assert.equal((await fetch(`${api.url}/books/unknown`)).status, 404);
+  });
+
+  it('returns the categories', async () => {
+    const { categories } = await (await fetch(`${api.url}/categories`)).json();
+    assert.ok(categories.some(({ name }) => name === 'Travel'));
+  });
+
+  it('serves the downloaded cover of a book', async () => {
+    const response = await fetch(`${api.url}/assets/a897fe39b1053632`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/jpeg');
+    const cover = Buffer.from(await response.arrayBuffer());
+    assert.equal(cover.length, Number(response.headers.get('content-length')));
+    // The cover is not sent again while it did not change
+    const cachedResponse = await fetch(`${api.url}/assets/a897fe39b1053632`, {
+      headers: { 'if-none-match': response.headers.get('etag') },
+    });
+    assert.equal(cachedResponse.status, 304);
+    assert.equal((await fetch(`${api.url}/assets/unknown`)).status, 404);
+  });
+
+  it('serves the covers of the served books only', async () => {
+    const manifestFilePath = path.join(directory, 'assets', 'manifest.json');
+    const manifest = await readJsonFile(manifestFilePath);
+    // An asset saved by a run whose book data is not served yet
+    await writeToJsonFile(manifestFilePath, {
+      ...manifest,
+      unscraped: manifest.a897fe39b1053632,
+    });
+    try {
+      assert.equal((await fetch(`${api.url}/assets/unscraped`)).status, 404);
+    } finally {
+      await writeToJsonFile(manifestFilePath, manifest);
+    }
+  });
+
+  it('starts a run and reports its status and summary', async () => {
+    const response = await fetch(`${api.url}/runs`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ skipAssets: true }),
+    });
+    assert.equal(response.status, 202);
+    const { id, status } = await response.json();
+    assert.equal(status, 'running');
+    assert.equal(response.headers.get('location'), `/runs/${id}`);
+    // A single run is in progress at a time
+    const conflictResponse = await fetch(`${api.url}/runs`, { method: 'POST' });
+    assert.equal(conflictResponse.status, 409);
+    const run = await waitForRun(`${api.url}/runs/${id}`);
+    assert.equal(run.status, 'completed');
+    assert.equal(run.summary.runId, id);
+    assert.equal(run.summary.progress.booksExtracted, 6);
+    assert.equal((await fetch(`${api.url}/runs/unknown`)).status, 404);
+  });
+
+  it('rejects invalid requests', async () => {
+    const invalidBodyResponse = await fetch(`${api.url}/runs`, {
+      method: 'POST',
+      body: JSON.stringify({ baseUrl: 'http://example.com' }),
+    });
+    assert.equal(invalidBodyResponse.status, 400);
+    const methodResponse = await fetch(`${api.url}/books`, {
+      method: 'DELETE',
+    });
+    assert.equal(methodResponse.status, 405);
+    assert.equal(methodResponse.headers.get('allow'), 'GET');
+    assert.equal((await fetch(`${api.url}/unknown`)).status, 404);
+    assert.equal((await fetch(`${api.url}/books/%E0%A4%A`)).status, 400);
+  });
+
+  it('rejects request paths which are not URL paths', async () => {
+    assert.equal(await sendRawRequest(api.url, '//'), 400);
+    assert.equal(await sendRawRequest(api.url, '/\\'), 400);
+    // The server is still up
+    assert.equal((await fetch(`${api.url}/categories`)).status, 200);
+  });
+});
@@ -0,0 +1,516 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { mkdtemp, readdir, readFile, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import {
+  downloadAssets,
+  executeBookScrapingJob,
+  executeSiteCrawlJob,
+  processImages,
+  recordCategories,
+  retryFailedJob,
+} from '../src/app.js';
+import { readJsonFile } from '../src/commonUtils.js';
+import { configureHttpClient, configureScheduler } from '../src/crawler.js';
+import { loadCrawlState } from '../src/crawlState.js';
+import { QualityThresholdError } from '../src/errors.js';
+import { createFailureManifest } from '../src/failureManifest.js';
+import logger from '../src/logger.js';
+import { loadSiteDefinition } from '../src/siteEngine.js';
+import { createBookDataWriter } from '../src/writers.js';
+import {
+  readFixturePage,
+  startFixtureServer,
+} from './helpers/fixtureServer.js';
+
+logger.silent = true;
+configureScheduler({ requestsPerSecond: 0 });
+configureHttpClient({ retries: 1, baseDelayMs: 1 });
+
+/**
+ * Run the book scraping job against the fixture server
+ * @param {string} baseUrl Base URL of the fixture server
+ * @param {string} dataDirectory Data directory of the job
+ * @param {Object} discovery Catalog page discovery options
+ * @param {Object} [failures] Failure manifest of the job
+ * @param {EventEmitter} [events] Emitter of the job events
+ * @returns {Promise<Object[]>} A promise which resolves the scraped book data
+ */
+const runBookScrapingJob = async (
+  baseUrl,
+  dataDirectory,
+  discovery,
+  failures,
+  events
+) => {
+  const writer = await createBookDataWriter(dataDirectory, ['json']);
+  const crawlState = await loadCrawlState(
+    path.join(dataDirectory, 'crawl-state.json'),
+    baseUrl,
+    false
+  );
+  return executeBookScrapingJob(baseUrl, writer, crawlState, {
+    discovery,
+    qualityReportFilePath: path.join(dataDirectory, 'quality-report.json'),
+    maxFailureRate: 0,
+    failures,
+    events,
+  });
+};
+
+/**
+ * List the image files of an asset directory
+ * @param {string} assetDirectory Directory of the downloaded assets
+ * @returns {Promise<string[]>} A promise which resolves the image file names
+ */
+const listImages = async (assetDirectory) =>
+  (await readdir(assetDirectory)).filter((file) => file.endsWith('.jpg'));
+
+describe('book scraping job', () => {
+  let server;
+  let dataDirectory;
+
+  before(async () => {
+    server = await startFixtureServer('books.toscrape.com');
+    dataDirectory = await mkdtemp(path.join(tmpdir(), 'book-scraping-job-'));
+  });
+
+  after(async () => {
+    await server.close();
+    await rm(dataDirectory, { recursive: true, force: true });
+  });
+
+  it('scrapes every book of the catalog and downloads the images', async () => {
+    const jobDirectory = path.join(dataDirectory, 'catalog');
+    const bookData = await runBookScrapingJob(server.baseUrl, jobDirectory, {
+      pagination: 'pageCount',
+      startUrls: [],
+    });
+
+    assert.deepEqual(bookData.map((record) => record.upc).sort(), [
+      '19fec36a1dfb4c16',
+      '30a7f60cd76ca58c',
+      'a22124811bfa8350',
+      'a897fe39b1053632',
+      'ce60436f52c5ee68',
+      'e00eb4fd7b871a48',
+    ]);
+    assert.deepEqual(
+      await readJsonFile(path.join(jobDirectory, 'book-data.json')),
+      bookData
+    );
+    const qualityReport = await readJsonFile(
+      path.join(jobDirectory, 'quality-report.json')
+    );
+    assert.equal(qualityReport.invalidRecords, 0);
+    assert.equal(qualityReport.passed, true);
+
+    const crawlState = await loadCrawlState(
+      path.join(jobDirectory, 'crawl-state.json'),
+      server.baseUrl,
+      true
+    );
+    const assetDirectory = path.join(jobDirectory, 'assets');
+    await downloadAssets(bookData, assetDirectory, crawlState);
+    assert.deepEqual(
+      (await listImages(assetDirectory)).sort(),
+      bookData.map((record) => `${record.upc}.jpg`).sort()
+    );
+  });
+
+  it('scrapes the categories given as start URLs', async () => {
+    const bookData = await runBookScrapingJob(
+      server.baseUrl,
+      path.join(dataDirectory, 'categories'),
+      {
+        pagination: 'nextLink',
+        startUrls: [
+          `${server.baseUrl}catalogue/category/books/travel_2/index.html`,
+          `${server.baseUrl}catalogue/category/books/mystery_3/index.html`,
+        ],
+      }
+    );
+    assert.deepEqual(bookData.map((record) => record.category).sort(), [
+      'Mystery',
+      'Mystery',
+      'Travel',
+      'Travel',
+    ]);
+  });
+
+  it('reports the categories whose book count differs from the declared one', async () => {
+    const jobDirectory = path.join(dataDirectory, 'category-index');
+    const bookData = await runBookScrapingJob(server.baseUrl, jobDirectory, {
+      pagination: 'pageCount',
+      startUrls: [],
+    });
+    const travelPagePath = '/catalogue/category/books/travel_2/index.html';
+    const travelPage = (
+      await readFixturePage('books.toscrape.com', travelPagePath)
+    ).replace('<strong>2</strong> results', '<strong>3</strong> results');
+    server.route(travelPagePath, (request, response) => {
+      response.writeHead(200, { 'content-type': 'text/html' });
+      response.end(travelPage);
+    });
+    const { mismatches } = await recordCategories(
+      server.baseUrl,
+      bookData,
+      jobDirectory
+    );
+    server.route(travelPagePath, null);
+
+    assert.deepEqual(
+      mismatches.map(({ name, declaredCount, scrapedCount }) => ({
+        name,
+        declaredCount,
+        scrapedCount,
+      })),
+      [{ name: 'Travel', declaredCount: 3, scrapedCount: 2 }]
+    );
+    const categoryIndex = await readJsonFile(
+      path.join(jobDirectory, 'categories.json')
+    );
+    assert.deepEqual(
+      categoryIndex.categories.map(({ id, parentId, scrapedCount }) => ({
+        id,
+        parentId,
+        scrapedCount,
+      })),
+      [
+        { id: 1, parentId: null, scrapedCount: 6 },
+        { id: 2, parentId: 1, scrapedCount: 2 },
+        { id: 3, parentId: 1, scrapedCount: 2 },
+        { id: 23, parentId: 1, scrapedCount: 2 },
+      ]
+    );
+    assert.deepEqual(categoryIndex.mismatches, mismatches);
+    assert.deepEqual(
+      [...new Set(bookData.map(({ categoryId }) => categoryId))].sort(),
+      [2, 23, 3]
+    );
+  });
+
+  it('writes the records and downloads the images while scraping', async () => {
+    const jobDirectory = path.join(dataDirectory, 'streaming');
+    const crawlState = await loadCrawlState(
+      path.join(jobDirectory, 'crawl-state.json'),
+      server.baseUrl,
+      false
+    );
+    // Number of requests received by the server when each record is written
+    const requestCountsAtWrite = [];
+    const writer = {
+      destinations: [],
+      write: async () => {
+        requestCountsAtWrite.push(server.requests.length);
+      },
+      close: async () => {},
+    };
+    const firstRequest = server.requests.length;
+    const bookData = await executeBookScrapingJob(
+      server.baseUrl,
+      writer,
+      crawlState,
+      {
+        discovery: { pagination: 'pageCount', startUrls: [] },
+        qualityReportFilePath: path.join(jobDirectory, 'quality-report.json'),
+        maxFailureRate: 0,
+        assetDirectory: path.join(jobDirectory, 'assets'),
+        concurrency: 1,
+      }
+    );
+
+    const requests = server.requests.slice(firstRequest);
+    const lastBookPageRequest = requests.findLastIndex((request) =>
+      request.endsWith('/index.html')
+    );
+    const firstImageRequest = requests.findIndex((request) =>
+      request.startsWith('/media/')
+    );
+    assert.equal(requestCountsAtWrite.length, bookData.length);
+    assert.ok(requestCountsAtWrite[0] - firstRequest <= lastBookPageRequest);
+    assert.ok(firstImageRequest < lastBookPageRequest);
+    assert.equal(
+      (await listImages(path.join(jobDirectory, 'assets'))).length,
+      bookData.length
+    );
+  });
+
+  it('processes the downloaded images and finds the reused covers', async () => {
+    const jobDirectory = path.join(dataDirectory, 'images');
+    const bookData = await runBookScrapingJob(server.baseUrl, jobDirectory, {
+      pagination: 'nextLink',
+      startUrls: [
+        `${server.baseUrl}catalogue/category/books/travel_2/index.html`,
+        `${server.baseUrl}catalogue/category/books/poetry_23/index.html`,
+      ],
+    });
+    const crawlState = await loadCrawlState(
+      path.join(jobDirectory, 'crawl-state.json'),
+      server.baseUrl,
+      true
+    );
+    const assetDirectory = path.join(jobDirectory, 'assets');
+    const variants = [{ width: 40, format: 'webp' }];
+    await downloadAssets(bookData, assetDirectory, crawlState);
+    await processImages(bookData, assetDirectory, variants);
+
+    const images = Object.fromEntries(
+      bookData.map((record) => [record.upc, record.image])
+    );
+    // The cover of Full Moon over Noah's Ark is a smaller copy of the one of It's Only the Himalayas
+    assert.deepEqual(images.a22124811bfa8350.similarTo, ['ce60436f52c5ee68']);
+    assert.deepEqual(images.ce60436f52c5ee68.similarTo, ['a22124811bfa8350']);
+    assert.deepEqual(images.a897fe39b1053632.similarTo, []);
+    assert.equal(images.a897fe39b1053632.file, 'a897fe39b1053632.jpg');
+    assert.equal(images.a897fe39b1053632.width, 60);
+    assert.equal(images.a897fe39b1053632.height, 90);
+    assert.match(images.a897fe39b1053632.perceptualHash, /^[0-9a-f]{16}$/);
+    assert.deepEqual(images.a897fe39b1053632.variants, [
+      {
+        width: 40,
+        height: 60,
+        format: 'webp',
+        file: 'a897fe39b1053632-40w.webp',
+        size: (
+          await stat(path.join(assetDirectory, 'a897fe39b1053632-40w.webp'))
+        ).size,
+      },
+    ]);
+
+    // Images whose derived images are saved are not processed again
+    const variantFilePath = path.join(
+      assetDirectory,
+      'a897fe39b1053632-40w.webp'
+    );
+    const { mtimeMs } = await stat(variantFilePath);
+    await processImages(bookData, assetDirectory, variants);
+    assert.equal((await stat(variantFilePath)).mtimeMs, mtimeMs);
+    assert.deepEqual(
+      bookData.map((record) => record.image),
+      Object.values(images)
+    );
+  });
+
+  it('keeps partial records of broken book pages and fails the quality check', async () => {
+    const jobDirectory = path.join(dataDirectory, 'broken');
+    const failures = createFailureManifest();
+    const events = new EventEmitter();
+    const bookData = [];
+    events.on('book:extracted', (record) => bookData.push(record));
+    await assert.rejects(
+      runBookScrapingJob(
+        server.baseUrl,
+        jobDirectory,
+        {
+          pagination: 'nextLink',
+          startUrls: [
+            `${server.baseUrl}catalogue/category/books/broken_99/index.html`,
+          ],
+        },
+        failures,
+        events
+      ),
+      QualityThresholdError
+    );
+
+    // The failed job does not replace the book data
+    await assert.rejects(readFile(path.join(jobDirectory, 'book-data.json')), {
+      code: 'ENOENT',
+    });
+    assert.deepEqual(bookData.map((record) => record.missingFields).sort(), [
+      ['imageUrl'],
+      ['rating'],
+      ['title'],
+    ]);
+    assert.equal(failures.size, 3);
+
+    // Books without an image URL are not downloaded
+    const assetFailures = createFailureManifest();
+    const assetDirectory = path.join(jobDirectory, 'assets');
+    await downloadAssets(
+      bookData,
+      assetDirectory,
+      await loadCrawlState(
+        path.join(jobDirectory, 'crawl-state.json'),
+        server.baseUrl,
+        true
+      ),
+      assetFailures
+    );
+    assert.equal((await listImages(assetDirectory)).length, 2);
+    assert.equal(assetFailures.size, 0);
+  });
+
+  it('records the images whose UPC cannot name a file as failed assets', async () => {
+    const jobDirectory = path.join(dataDirectory, 'invalid-upc');
+    const imageUrl = `${server.baseUrl}media/cache/fe/72/fe72f0532301ec28892ae79a629a293c.jpg`;
+    const failures = createFailureManifest();
+    await downloadAssets(
+      [{ upc: '../a897fe39b1053632', imageUrl }],
+      path.join(jobDirectory, 'assets'),
+      await loadCrawlState(
+        path.join(jobDirectory, 'crawl-state.json'),
+        server.baseUrl,
+        false
+      ),
+      failures
+    );
+    assert.deepEqual(
+      failures
+        .summarize()
+        .errors.InvalidAssetNameError.map(({ url, phase, identifier }) => ({
+          url,
+          phase,
+          identifier,
+        })),
+      [{ url: imageUrl, phase: 'assets', identifier: '../a897fe39b1053632' }]
+    );
+  });
+});
+
+describe('retry failed job', () => {
+  let server;
+  let dataDirectory;
+
+  before(async () => {
+    server = await startFixtureServer('books.toscrape.com');
+    dataDirectory = await mkdtemp(path.join(tmpdir(), 'retry-failed-job-'));
+  });
+
+  after(async () => {
+    await server.close();
+    await rm(dataDirectory, { recursive: true, force: true });
+  });
+
+  it('recovers the failed pages and images of a previous run', async () => {
+    const failedPaths = [
+      '/catalogue/page-2.html',
+      '/catalogue/sharp-objects_997/index.html',
+      '/media/cache/fe/72/fe72f0532301ec28892ae79a629a293c.jpg',
+    ];
+    failedPaths.forEach((requestPath) =>
+      server.route(requestPath, (request, response) => {
+        response.writeHead(503);
+        response.end();
+      })
+    );
+    const failures = createFailureManifest();
+    const bookData = await runBookScrapingJob(
+      server.baseUrl,
+      dataDirectory,
+      { pagination: 'pageCount', startUrls: [] },
+      failures
+    );
+    const crawlState = await loadCrawlState(
+      path.join(dataDirectory, 'crawl-state.json'),
+      server.baseUrl,
+      true
+    );
+    const assetDirectory = path.join(dataDirectory, 'assets');
+    await downloadAssets(bookData, assetDirectory, crawlState, failures);
+    assert.deepEqual(
+      bookData.map((record) => record.title),
+      ['A Light in the Attic', "It's Only the Himalayas"]
+    );
+    assert.equal(failures.size, 3);
+
+    failedPaths.forEach((requestPath) => server.route(requestPath, null));
+    const remainingFailures = createFailureManifest();
+    const mergedBookData = await retryFailedJob(
+      bookData,
+      failures.summarize(),
+      crawlState,
+      { assetDirectory, failures: remainingFailures }
+    );
+
+    assert.equal(remainingFailures.size, 0);
+    assert.deepEqual(mergedBookData.slice(0, 2), bookData);
+    assert.deepEqual(mergedBookData.map((record) => record.upc).sort(), [
+      '19fec36a1dfb4c16',
+      '30a7f60cd76ca58c',
+      'a22124811bfa8350',
+      'a897fe39b1053632',
+      'ce60436f52c5ee68',
+      'e00eb4fd7b871a48',
+    ]);
+    assert.deepEqual(
+      (await listImages(assetDirectory)).sort(),
+      mergedBookData.map((record) => `${record.upc}.jpg`).sort()
+    );
+  });
+
+  it('keeps the failed images when the assets are skipped', async () => {
+    const previousFailures = createFailureManifest();
+    previousFailures.add(
+      'assets',
+      `${server.baseUrl}media/cover.jpg`,
+      new Error('Unexpected'),
+      { identifier: 'a897fe39b1053632' }
+    );
+    const remainingFailures = createFailureManifest();
+    await retryFailedJob(
+      [],
+      previousFailures.summarize(),
+      await loadCrawlState(
+        path.join(dataDirectory, 'crawl-state.json'),
+        server.baseUrl,
+        true
+      ),
+      { assetDirectory: null, failures: remainingFailures }
+    );
+    assert.deepEqual(
+      remainingFailures.summarize().errors,
+      previousFailures.summarize().errors
+    );
+  });
+});
+
+describe('site crawl job', () => {
+  let server;
+  let dataDirectory;
+
+  before(async () => {
+    server = await startFixtureServer('quotes.toscrape.com');
+    dataDirectory = await mkdtemp(path.join(tmpdir(), 'site-crawl-job-'));
+  });
+
+  after(async () => {
+    await server.close();
+    await rm(dataDirectory, { recursive: true, force: true });
+  });
+
+  it('crawls the items of every list page', async () => {
+    const definition = {
+      ...(await loadSiteDefinition('sites/quotes.toscrape.com.json')),
+      baseUrl: server.baseUrl,
+    };
+    const writer = await createBookDataWriter(
+      dataDirectory,
+      ['json'],
+      definition.name
+    );
+    const records = await executeSiteCrawlJob(
+      definition,
+      writer,
+      dataDirectory,
+      true
+    );
+
+    assert.equal(records.length, 4);
+    assert.deepEqual(records[0], {
+      url: server.baseUrl,
+      text: 'The world as we have created it is a process of our thinking. It cannot be changed without changing our thinking.',
+      author: 'Albert Einstein',
+      authorUrl: `${server.baseUrl}author/Albert-Einstein`,
+      tags: ['change', 'deep-thoughts', 'thinking', 'world'],
+    });
+    assert.deepEqual(records[3].tags, []);
+    assert.deepEqual(
+      await readJsonFile(path.join(dataDirectory, 'quotes.json')),
+      records
+    );
+  });
+});
@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import * as cheerio from 'cheerio';
+import {
+  countScrapedBooks,
+  extractDeclaredBookCount,
+  findCountMismatches,
+  loadCategoryIndex,
+  parseCategoryTree,
+} from '../src/categories.js';
+import { configureHttpClient, configureScheduler } from '../src/crawler.js';
+import { createFailureManifest } from '../src/failureManifest.js';
+import logger from '../src/logger.js';
+import {
+  readFixturePage,
+  startFixtureServer,
+} from './helpers/fixtureServer.js';
+
+logger.silent = true;
+configureScheduler({ requestsPerSecond: 0 });
+configureHttpClient({ retries: 0 });
+
+const WEBSITE = 'books.toscrape.com';
+const HOME_PAGE_URL = 'http://books.toscrape.com/index.html';
+
+describe('categories', () => {
+  it('parses the category tree of the home page sidebar', async () => {
+    const $ = cheerio.load(await readFixturePage(WEBSITE, 'index.html'));
+    assert.deepEqual(parseCategoryTree($, HOME_PAGE_URL), [
+      {
+        id: 1,
+        name: 'Books',
+        url: 'http://books.toscrape.com/catalogue/category/books_1/index.html',
+        parentId: null,
+      },
+      {
+        id: 2,
+        name: 'Travel',
+        url: 'http://books.toscrape.com/catalogue/category/books/travel_2/index.html',
+        parentId: 1,
+      },
+      {
+        id: 3,
+        name: 'Mystery',
+        url: 'http://books.toscrape.com/catalogue/category/books/mystery_3/index.html',
+        parentId: 1,
+      },
+      {
+        id: 23,
+        name: 'Poetry',
+        url: 'http://books.toscrape.com/catalogue/category/books/poetry_23/index.html',
+        parentId: 1,
+      },
+    ]);
+  });
+
+  it('extracts the number of books declared by a category page', async () => {
+    const $ = cheerio.load(
+      await readFixturePage(
+        WEBSITE,
+        'catalogue/category/books/mystery_3/index.html'
+      )
+    );
+    assert.equal(extractDeclaredBookCount($), 2);
+    assert.equal(extractDeclaredBookCount(cheerio.load('<p></p>')), null);
+  });
+
+  it('counts the books of subcategories in their ancestors', () => {
+    const categories = countScrapedBooks(
+      [
+        { id: 1, parentId: null, declaredCount: 4 },
+        { id: 2, parentId: 1, declaredCount: 2 },
+        { id: 3, parentId: 2, declaredCount: 1 },
+        { id: 4, parentId: 1, declaredCount: null },
+      ],
+      [{ categoryId: 2 }, { categoryId: 3 }, { categoryId: 99 }]
+    );
+    assert.deepEqual(
+      categories.map(({ id, scrapedCount }) => [id, scrapedCount]),
+      [
+        [1, 2],
+        [2, 2],
+        [3, 1],
+        [4, 0],
+      ]
+    );
+    assert.deepEqual(
+      findCountMismatches(categories).map(({ id }) => id),
+      [1]
+    );
+  });
+
+  describe('loadCategoryIndex', () => {
+    let server;
+
+    before(async () => {
+      server = await startFixtureServer(WEBSITE);
+    });
+
+    after(async () => {
+      await server.close();
+    });
+
+    it('loads the declared number of books of each category', async () => {
+      const failures = createFailureManifest();
+      server.route(
+        '/catalogue/category/books/poetry_23/index.html',
+        (request, response) => {
+          response.writeHead(503);
+          response.end();
+        }
+      );
+      const categories = await loadCategoryIndex(server.baseUrl, failures);
+      server.route('/catalogue/category/books/poetry_23/index.html', null);
+
+      assert.deepEqual(
+        categories.map(({ name, declaredCount }) => [name, declaredCount]),
+        [
+          ['Books', 6],
+          ['Travel', 2],
+          ['Mystery', 2],
+          ['Poetry', null],
+        ]
+      );
+      assert.equal(failures.size, 1);
+    });
+  });
+});
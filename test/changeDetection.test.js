@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import {
+  appendChangelogHistory,
+  createChangelog,
+  diffSnapshots,
+  readBookDataFile,
+  readBookHistory,
+} from '../src/changeDetection.js';
+import { FileReadError } from '../src/errors.js';
+
+const BOOKS = [
+  {
+    upc: 'a897fe39b1053632',
+    url: 'http://books.toscrape.com/catalogue/a-light-in-the-attic_1000/index.html',
+    title: 'A Light in the Attic',
+    priceInclTax: 51.77,
+    inStock: true,
+  },
+  {
+    upc: 'e00eb4fd7b871a48',
+    url: 'http://books.toscrape.com/catalogue/sharp-objects_997/index.html',
+    title: 'Sharp Objects',
+    priceInclTax: 47.82,
+    inStock: true,
+  },
+];
+
+describe('diffSnapshots', () => {
+  it('finds the added, removed and changed books', () => {
+    const [light, sharp] = BOOKS;
+    const added = { upc: 'new', url: 'http://books.toscrape.com/new' };
+    const { removed, changed, ...diff } = diffSnapshots(
+      [light, sharp],
+      [{ ...light, priceInclTax: 40, inStock: false }, added]
+    );
+    assert.deepEqual(
+      diff.added.map(({ upc }) => upc),
+      ['new']
+    );
+    assert.deepEqual(removed, [
+      { upc: sharp.upc, url: sharp.url, title: 'Sharp Objects' },
+    ]);
+    assert.deepEqual(changed, [
+      {
+        upc: light.upc,
+        url: light.url,
+        title: 'A Light in the Attic',
+        changes: [
+          { field: 'priceInclTax', previous: 51.77, current: 40 },
+          { field: 'inStock', previous: true, current: false },
+        ],
+      },
+    ]);
+  });
+
+  it('does not remove the books which could not be scraped', () => {
+    const [light, sharp] = BOOKS;
+    assert.deepEqual(
+      diffSnapshots(BOOKS, [], { unreachable: new Set([sharp.url, light.upc]) })
+        .removed,
+      []
+    );
+    assert.deepEqual(
+      diffSnapshots(BOOKS, [light], { detectRemovals: false }).removed,
+      []
+    );
+  });
+
+  it('ignores the records without a UPC', () => {
+    const diff = diffSnapshots([{ title: 'Unknown' }], [{ title: 'Other' }]);
+    assert.deepEqual(diff, { added: [], removed: [], changed: [] });
+  });
+});
+
+describe('changelog history', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'change-detection-'));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('reads the history of a book', async () => {
+    const historyFilePath = path.join(directory, 'changelog-history.ndjson');
+    const [light] = BOOKS;
+    const changelogs = [
+      createChangelog([], [light], new Date('2024-01-01T00:00:00Z')),
+      createChangelog(
+        [light],
+        [{ ...light, inStock: false }],
+        new Date('2024-01-02T00:00:00Z')
+      ),
+      createChangelog([light], [], new Date('2024-01-03T00:00:00Z')),
+    ];
+    for (const changelog of changelogs) {
+      await appendChangelogHistory(historyFilePath, changelog);
+    }
+    const history = await readBookHistory(historyFilePath, light.upc);
+    assert.deepEqual(
+      history.map(({ timestamp, event }) => [timestamp, event]),
+      [
+        ['2024-01-01T00:00:00.000Z', 'added'],
+        ['2024-01-02T00:00:00.000Z', 'changed'],
+        ['2024-01-03T00:00:00.000Z', 'removed'],
+      ]
+    );
+  });
+
+  it('reads the book data of a JSON or NDJSON output', async () => {
+    const jsonFilePath = path.join(directory, 'book-data.json');
+    const ndjsonFilePath = path.join(directory, 'book-data.ndjson');
+    await writeFile(jsonFilePath, JSON.stringify(BOOKS));
+    await writeFile(
+      ndjsonFilePath,
+      BOOKS.map((record) => `${JSON.stringify(record)}\n`).join('')
+    );
+    assert.deepEqual(await readBookDataFile(jsonFilePath), BOOKS);
+    assert.deepEqual(await readBookDataFile(ndjsonFilePath), BOOKS);
+    await assert.rejects(
+      readBookDataFile(path.join(directory, 'missing.json')),
+      FileReadError
+    );
+  });
+});
@@ -0,0 +1,206 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { readJsonFile, writeToJsonFile } from '../src/commonUtils.js';
+import logger from '../src/logger.js';
+import { loadJobCrawlState } from '../src/scraper.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+
+logger.silent = true;
+
+// Script of the command line interface
+const CLI_FILE_PATH = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+const BOOK = {
+  url: 'catalogue/sharp-objects_997/index.html',
+  upc: 'e00eb4fd7b871a48',
+  title: 'Sharp Objects',
+  imageUrl: 'media/cache/08/e9/08e94f3731d7d6b760dfbfbc02ca5c62.jpg',
+};
+
+/**
+ * Run the command line interface in a child process
+ * @param {string[]} args Command line arguments
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} A promise which resolves the exit code
+ * and the output of the process
+ */
+const runCli = (args) =>
+  new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [CLI_FILE_PATH, ...args],
+      { env: { ...process.env, LOG_CONSOLE: 'false' }, timeout: 60_000 },
+      (error, stdout, stderr) =>
+        resolve({ code: error ? error.code : 0, stdout, stderr })
+    );
+  });
+
+describe('cli', () => {
+  let server;
+  let directory;
+
+  before(async () => {
+    server = await startFixtureServer('books.toscrape.com');
+    directory = await mkdtemp(path.join(tmpdir(), 'cli-'));
+  });
+
+  after(async () => {
+    await server.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Create a data directory holding the book data of a previous run
+   * @param {string} name Name of the data directory
+   * @returns {Promise<string>} A promise which resolves the path of the data directory
+   */
+  const createDataDirectory = async (name) => {
+    const dataDir = path.join(directory, name);
+    await writeToJsonFile(path.join(dataDir, 'book-data.json'), [
+      {
+        ...BOOK,
+        url: new URL(BOOK.url, server.baseUrl).href,
+        imageUrl: new URL(BOOK.imageUrl, server.baseUrl).href,
+      },
+    ]);
+    return dataDir;
+  };
+
+  /**
+   * Build the command line arguments of a command run against the fixture server
+   * @param {string} command The command
+   * @param {string} dataDir The data directory
+   * @returns {string[]} The command line arguments
+   */
+  const getArgs = (command, dataDir) => [
+    command,
+    '--base-url',
+    server.baseUrl,
+    '--output-dir',
+    dataDir,
+    '--log-dir',
+    path.join(dataDir, 'logs'),
+    '--rate-limit',
+    '0',
+    '--retries',
+    '0',
+  ];
+
+  it('downloads the assets without discarding the checkpoint of an interrupted scrape', async () => {
+    const dataDir = await createDataDirectory('checkpoint');
+    const interruptedPageUrl = new URL(
+      'catalogue/a-light-in-the-attic_1000/index.html',
+      server.baseUrl
+    ).href;
+    const crawlState = await loadJobCrawlState({
+      dataDir,
+      baseUrl: server.baseUrl,
+      discovery: { pagination: 'pageCount', startUrls: [] },
+      resume: false,
+    });
+    crawlState.setRecord(interruptedPageUrl, { upc: 'a897fe39b1053632' });
+    await crawlState.flush();
+
+    const { code } = await runCli(getArgs('download-assets', dataDir));
+    assert.equal(code, 0);
+    assert.ok(
+      (await readdir(path.join(dataDir, 'assets'))).includes(`${BOOK.upc}.jpg`)
+    );
+    const checkpoint = await readJsonFile(
+      path.join(dataDir, 'crawl-state.json')
+    );
+    assert.deepEqual(checkpoint.records[interruptedPageUrl], {
+      upc: 'a897fe39b1053632',
+    });
+    assert.ok(checkpoint.assets[BOOK.upc]);
+  });
+
+  it('records the assets which could not be downloaded for retry-failed', async () => {
+    const dataDir = await createDataDirectory('failures');
+    const missingImageUrl = new URL('media/missing.jpg', server.baseUrl).href;
+    const bookData = await readJsonFile(path.join(dataDir, 'book-data.json'));
+    await writeToJsonFile(path.join(dataDir, 'book-data.json'), [
+      ...bookData,
+      { ...BOOK, upc: 'missing', imageUrl: missingImageUrl },
+    ]);
+    const extractionFailure = {
+      url: new URL('catalogue/missing_0/index.html', server.baseUrl).href,
+      phase: 'extraction',
+      message: 'Unsuccessful network response',
+      cause: null,
+    };
+    await writeToJsonFile(path.join(dataDir, 'failures.json'), {
+      totalFailures: 2,
+      errors: {
+        UnsuccessfulResponseError: [
+          extractionFailure,
+          { ...extractionFailure, phase: 'assets', identifier: BOOK.upc },
+        ],
+      },
+      skipped: [],
+    });
+
+    const { code } = await runCli(getArgs('download-assets', dataDir));
+    assert.equal(code, 1);
+    const { totalFailures, errors } = await readJsonFile(
+      path.join(dataDir, 'failures.json')
+    );
+    assert.equal(totalFailures, 2);
+    assert.deepEqual(
+      errors.UnsuccessfulResponseError.map(({ url, phase, identifier }) => ({
+        url,
+        phase,
+        identifier,
+      })),
+      [
+        {
+          url: extractionFailure.url,
+          phase: 'extraction',
+          identifier: undefined,
+        },
+        { url: missingImageUrl, phase: 'assets', identifier: 'missing' },
+      ]
+    );
+  });
+
+  it('rewrites every output with the details of the processed images', async () => {
+    const dataDir = await createDataDirectory('process-images');
+    const bookData = await readJsonFile(path.join(dataDir, 'book-data.json'));
+    await rm(path.join(dataDir, 'book-data.json'));
+    await writeFile(
+      path.join(dataDir, 'book-data.ndjson'),
+      bookData.map((record) => `${JSON.stringify(record)}\n`).join('')
+    );
+
+    const { code } = await runCli([
+      ...getArgs('download-assets', dataDir),
+      '--format',
+      'ndjson,csv',
+      '--process-images',
+    ]);
+    assert.equal(code, 0);
+    const [record] = (
+      await readFile(path.join(dataDir, 'book-data.ndjson'), 'utf8')
+    )
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    assert.equal(record.upc, BOOK.upc);
+    assert.ok(record.image.width > 0);
+    const [header, row] = (
+      await readFile(path.join(dataDir, 'book-data.csv'), 'utf8')
+    ).split('\n');
+    const widthColumn = header.split(',').indexOf('Image width');
+    assert.equal(Number(row.split(',')[widthColumn]), record.image.width);
+  });
+
+  it('exits with code 2 on invalid usage', async () => {
+    const { code, stderr } = await runCli(['unknown']);
+    assert.equal(code, 2);
+    assert.match(stderr, /^Unknown command: unknown/);
+  });
+});
@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { downloadAsset, getDuration } from '../src/commonUtils.js';
+import { configureHttpClient, configureScheduler } from '../src/crawler.js';
+import { InvalidAssetNameError, NoResponseError } from '../src/errors.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+
+configureScheduler({ requestsPerSecond: 0 });
+configureHttpClient({ retries: 0 });
+
+// Leading bytes of a PNG file followed by some data
+const PNG_BYTES = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.from('not really an image'),
+]);
+
+describe('downloadAsset', () => {
+  let server;
+  let directory;
+
+  before(async () => {
+    server = await startFixtureServer('books.toscrape.com');
+    directory = await mkdtemp(path.join(tmpdir(), 'download-asset-'));
+  });
+
+  after(async () => {
+    await server.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('saves the asset with its media type, size and hash', async () => {
+    const asset = await downloadAsset(
+      `${server.baseUrl}media/cache/fe/72/fe72f0532301ec28892ae79a629a293c.jpg`,
+      directory,
+      'cover'
+    );
+    const image = await readFile(path.join(directory, 'cover.jpg'));
+    assert.equal(asset.file, 'cover.jpg');
+    assert.equal(asset.filePath, path.join(directory, 'cover.jpg'));
+    assert.equal(asset.mimeType, 'image/jpeg');
+    assert.equal(asset.size, image.length);
+    assert.match(asset.sha256, /^[0-9a-f]{64}$/);
+  });
+
+  it('trusts the leading bytes over the Content-Type and URL', async () => {
+    server.route('/media/mislabelled.jpg', (request, response) => {
+      response.writeHead(200, { 'content-type': 'application/octet-stream' });
+      response.end(PNG_BYTES);
+    });
+    const asset = await downloadAsset(
+      `${server.baseUrl}media/mislabelled.jpg`,
+      directory,
+      'mislabelled',
+      '.jpg'
+    );
+    assert.equal(asset.file, 'mislabelled.png');
+    assert.equal(asset.mimeType, 'image/png');
+  });
+
+  it('falls back to the Content-Type and then to the given extension', async () => {
+    server.route('/media/vector', (request, response) => {
+      response.writeHead(200, { 'content-type': 'image/svg+xml' });
+      response.end('<svg xmlns="http://www.w3.org/2000/svg"/>');
+    });
+    server.route('/media/unknown', (request, response) => {
+      response.writeHead(200, { 'content-type': 'application/octet-stream' });
+      response.end('unknown');
+    });
+    const vector = await downloadAsset(
+      `${server.baseUrl}media/vector`,
+      directory,
+      'vector'
+    );
+    const unknown = await downloadAsset(
+      `${server.baseUrl}media/unknown`,
+      directory,
+      'unknown',
+      '.bin'
+    );
+    assert.equal(vector.file, 'vector.svg');
+    assert.equal(unknown.file, 'unknown.bin');
+    assert.equal(unknown.mimeType, null);
+  });
+
+  it('leaves no file behind if the download is interrupted', async () => {
+    const truncatedDirectory = path.join(directory, 'truncated');
+    server.route('/media/truncated.jpg', (request, response) => {
+      response.writeHead(200, {
+        'content-type': 'image/jpeg',
+        'content-length': 1_000,
+      });
+      response.write(Buffer.from([0xff, 0xd8, 0xff, 0xe0]));
+      setTimeout(() => response.socket.destroy(), 20);
+    });
+    await assert.rejects(
+      downloadAsset(
+        `${server.baseUrl}media/truncated.jpg`,
+        truncatedDirectory,
+        'truncated'
+      ),
+      NoResponseError
+    );
+    assert.deepEqual(await readdir(truncatedDirectory), []);
+  });
+
+  it('rejects file names which would leave the directory', async () => {
+    const requestCount = server.requests.length;
+    for (const baseName of [
+      '../cover',
+      'covers/cover',
+      '..\\cover',
+      '..',
+      '',
+    ]) {
+      await assert.rejects(
+        downloadAsset(
+          `${server.baseUrl}media/cache/fe/72/fe72f0532301ec28892ae79a629a293c.jpg`,
+          directory,
+          baseName
+        ),
+        InvalidAssetNameError
+      );
+    }
+    assert.equal(server.requests.length, requestCount);
+  });
+});
+
+describe('getDuration', () => {
+  it('splits the elapsed time into hours, minutes and seconds', () => {
+    assert.deepEqual(getDuration(0, 3_723_000), {
+      hours: 1,
+      minutes: 2,
+      seconds: 3,
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { loadCrawlState } from '../src/crawlState.js';
+import logger from '../src/logger.js';
+
+logger.silent = true;
+
+const SCOPE = 'http://books.toscrape.com pageCount';
+const BOOK_PAGE_URL =
+  'http://books.toscrape.com/catalogue/a-light-in-the-attic_1000/index.html';
+
+describe('crawlState', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'crawl-state-'));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('resumes the finished work from the checkpoint', async () => {
+    const filePath = path.join(directory, 'resume.json');
+    const crawlState = await loadCrawlState(filePath, SCOPE, false);
+    crawlState.setCatalogPageUrls(['http://books.toscrape.com/page-1.html']);
+    crawlState.setCatalogPage('http://books.toscrape.com/page-1.html', [
+      BOOK_PAGE_URL,
+    ]);
+    crawlState.setRecord(BOOK_PAGE_URL, { upc: 'a897fe39b1053632' });
+    crawlState.markAssetDownloaded('a897fe39b1053632');
+    await crawlState.flush();
+
+    const resumed = await loadCrawlState(filePath, SCOPE, true);
+    assert.deepEqual(resumed.getCatalogPageUrls(), [
+      'http://books.toscrape.com/page-1.html',
+    ]);
+    assert.deepEqual(
+      resumed.getCatalogPage('http://books.toscrape.com/page-1.html'),
+      [BOOK_PAGE_URL]
+    );
+    assert.deepEqual(resumed.getRecord(BOOK_PAGE_URL), {
+      upc: 'a897fe39b1053632',
+    });
+    assert.ok(resumed.isAssetDownloaded('a897fe39b1053632'));
+    assert.ok(!resumed.isAssetDownloaded('unknown'));
+  });
+
+  it('starts from scratch without a checkpoint of the same scope', async () => {
+    const filePath = path.join(directory, 'scope.json');
+    const crawlState = await loadCrawlState(filePath, SCOPE, false);
+    crawlState.setRecord(BOOK_PAGE_URL, { upc: 'a897fe39b1053632' });
+    await crawlState.flush();
+
+    const otherScope = await loadCrawlState(filePath, 'other', true);
+    assert.equal(otherScope.getRecord(BOOK_PAGE_URL), undefined);
+    const notResumed = await loadCrawlState(filePath, SCOPE, false);
+    assert.equal(notResumed.getRecord(BOOK_PAGE_URL), undefined);
+    await writeFile(filePath, 'not json');
+    const unreadable = await loadCrawlState(filePath, SCOPE, true);
+    assert.equal(unreadable.getCatalogPageUrls(), null);
+  });
+
+  it('leaves the checkpoint as it is when the changes are not persisted', async () => {
+    const filePath = path.join(directory, 'readonly.json');
+    const crawlState = await loadCrawlState(filePath, SCOPE, false);
+    crawlState.setRecord(BOOK_PAGE_URL, { upc: 'a897fe39b1053632' });
+    await crawlState.flush();
+    const { mtimeMs } = await stat(filePath);
+
+    const inMemory = await loadCrawlState(filePath, SCOPE, true, false);
+    assert.deepEqual(inMemory.getRecord(BOOK_PAGE_URL), {
+      upc: 'a897fe39b1053632',
+    });
+    inMemory.setCatalogPageUrls([]);
+    inMemory.setRecord(BOOK_PAGE_URL, { upc: 'changed' });
+    await inMemory.flush();
+    assert.equal((await stat(filePath)).mtimeMs, mtimeMs);
+    assert.equal(
+      JSON.parse(await readFile(filePath, 'utf8')).records[BOOK_PAGE_URL].upc,
+      'a897fe39b1053632'
+    );
+  });
+});
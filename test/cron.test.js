@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseCronExpression } from '../src/cron.js';
+
+/**
+ * List the next times of a cron expression
+ * @param {string} expression The cron expression
+ * @param {Date} after The time after which to search
+ * @param {number} count Number of times to list
+ * @returns {Date[]} The next matching times
+ */
+const nextTimes = (expression, after, count) => {
+  const cron = parseCronExpression(expression);
+  const times = [];
+  for (let time = after; times.length < count; ) {
+    time = cron.next(time);
+    times.push(time);
+  }
+  return times;
+};
+
+describe('parseCronExpression', () => {
+  it('finds the next times of the fields', () => {
+    assert.deepEqual(nextTimes('0 3 * * *', new Date(2024, 0, 31, 3, 0), 2), [
+      new Date(2024, 1, 1, 3, 0),
+      new Date(2024, 1, 2, 3, 0),
+    ]);
+    assert.deepEqual(
+      nextTimes('*/20 9-10 * * mon-fri', new Date(2024, 5, 7, 10, 30), 3),
+      [
+        new Date(2024, 5, 7, 10, 40),
+        new Date(2024, 5, 10, 9, 0),
+        new Date(2024, 5, 10, 9, 20),
+      ]
+    );
+    assert.deepEqual(nextTimes('0 0 29 feb *', new Date(2024, 2, 1), 1), [
+      new Date(2028, 1, 29),
+    ]);
+  });
+
+  it('supports seconds and macros', () => {
+    assert.deepEqual(
+      nextTimes('*/15 * * * * *', new Date(2024, 0, 1, 0, 0, 50, 500), 2),
+      [new Date(2024, 0, 1, 0, 1, 0), new Date(2024, 0, 1, 0, 1, 15)]
+    );
+    assert.deepEqual(nextTimes('@weekly', new Date(2024, 0, 1), 1), [
+      new Date(2024, 0, 7),
+    ]);
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // The 13th of each month along with every Friday
+    assert.deepEqual(nextTimes('0 0 13 * 5', new Date(2024, 8, 1), 3), [
+      new Date(2024, 8, 6),
+      new Date(2024, 8, 13),
+      new Date(2024, 8, 20),
+    ]);
+    // Sunday is both 0 and 7
+    assert.deepEqual(nextTimes('0 0 * * 7', new Date(2024, 0, 1), 1), [
+      new Date(2024, 0, 7),
+    ]);
+  });
+
+  it('throws on invalid expressions', () => {
+    [
+      '',
+      '* * * *',
+      '60 * * * *',
+      '* * * foo *',
+      '*/0 * * * *',
+      '1-2-3 * * * *',
+    ].forEach((expression) =>
+      assert.throws(() => parseCronExpression(expression), {
+        name: 'InvalidArgumentError',
+      })
+    );
+    assert.throws(() => parseCronExpression('0 0 30 2 *').next(new Date()), {
+      name: 'InvalidArgumentError',
+      message: /never matches/,
+    });
+  });
+});
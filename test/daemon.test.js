@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import * as path from 'path';
+import { once } from 'node:events';
+import { after, before, describe, it } from 'node:test';
+import { configureHttpClient, configureScheduler } from '../src/crawler.js';
+import { createDaemon } from '../src/daemon.js';
+import logger from '../src/logger.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+
+logger.silent = true;
+configureScheduler({ requestsPerSecond: 0 });
+configureHttpClient({ retries: 0 });
+
+describe('createDaemon', () => {
+  let server;
+  let directory;
+
+  before(async () => {
+    server = await startFixtureServer('books.toscrape.com');
+    directory = await mkdtemp(path.join(tmpdir(), 'daemon-'));
+  });
+
+  after(async () => {
+    await server.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('rejects a schedule which never matches before it starts', () => {
+    assert.throws(
+      () =>
+        createDaemon({
+          schedule: '0 0 30 2 *',
+          baseUrl: server.baseUrl,
+          dataDir: path.join(directory, 'never'),
+        }),
+      {
+        name: 'InvalidArgumentError',
+        message: 'Cron expression never matches: 0 0 30 2 *',
+      }
+    );
+  });
+
+  it('runs the job on the schedule until stopped', async () => {
+    const dataDir = path.join(directory, 'schedule');
+    const daemon = createDaemon({
+      schedule: '* * * * * *',
+      baseUrl: server.baseUrl,
+      dataDir,
+      skipAssets: true,
+      keepSnapshots: 2,
+    });
+    const stopped = daemon.run();
+    const [{ runId }] = await once(daemon, 'run:completed');
+    await daemon.stop();
+    await stopped;
+    const snapshotBookData = JSON.parse(
+      await readFile(path.join(dataDir, 'latest', 'book-data.json'), 'utf8')
+    );
+    assert.equal(snapshotBookData.length, 6);
+    const summary = JSON.parse(
+      await readFile(path.join(dataDir, 'run-summary.json'), 'utf8')
+    );
+    assert.equal(summary.runId, runId);
+  });
+
+  it('aborts the running job after the shutdown timeout and resumes it on the next run', async () => {
+    const dataDir = path.join(directory, 'shutdown');
+    // Hold the job on a book page until the daemon is stopped
+    let releasePage;
+    const pageHeld = new Promise((resolve) => {
+      releasePage = resolve;
+    });
+    server.route(
+      '/catalogue/sharp-objects_997/index.html',
+      async (request, response) => {
+        await pageHeld;
+        response.writeHead(503);
+        response.end();
+      }
+    );
+    const options = {
+      schedule: '* * * * * *',
+      shutdownTimeoutMs: 10,
+      baseUrl: server.baseUrl,
+      dataDir,
+      skipAssets: true,
+      maxFailureRate: 1,
+    };
+    const daemon = createDaemon(options);
+    const failures = [];
+    daemon.on('run:failed', ({ error }) => failures.push(error));
+    const stopped = daemon.run();
+    await once(daemon, 'run:started');
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    await Promise.all([daemon.stop(), stopped]);
+    releasePage();
+    server.route('/catalogue/sharp-objects_997/index.html', null);
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].message, 'Scraping daemon stopped');
+    const summary = JSON.parse(
+      await readFile(path.join(dataDir, 'run-summary.json'), 'utf8')
+    );
+    assert.equal(summary.status, 'aborted');
+
+    const nextDaemon = createDaemon(options);
+    const stoppedAgain = nextDaemon.run();
+    const [{ resume }] = await once(nextDaemon, 'run:started');
+    await Promise.all([nextDaemon.stop(), stoppedAgain]);
+    assert.ok(resume);
+  });
+});
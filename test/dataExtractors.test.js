@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as cheerio from 'cheerio';
+import {
+  extractBookCategory,
+  extractBookCategoryId,
+  extractBookDescription,
+  extractBookImageUrl,
+  extractBookProductInfo,
+  extractBookRating,
+  extractBookTitle,
+} from '../src/dataExtractors.js';
+import {
+  BookCategoryNotFoundError,
+  BookDescriptionNotFoundError,
+  BookImageURLFoundError,
+  BookProductInfoNotFoundError,
+  BookRatingNotFoundError,
+  BookTitleNotFoundError,
+} from '../src/errors.js';
+import { readFixturePage } from './helpers/fixtureServer.js';
+
+const WEBSITE = 'books.toscrape.com';
+const BOOK_PAGE_URL =
+  'http://books.toscrape.com/catalogue/a-light-in-the-attic_1000/index.html';
+
+/**
+ * Load a recorded book details page with Cheerio
+ * @param {string} slug Slug of the book details page
+ * @returns {Promise<function>} A promise which resolves the Cheerio load function object
+ */
+const loadBookPage = async (slug) =>
+  cheerio.load(await readFixturePage(WEBSITE, `catalogue/${slug}/index.html`));
+
+describe('dataExtractors', () => {
+  describe('on a complete book details page', async () => {
+    const $ = await loadBookPage('a-light-in-the-attic_1000');
+
+    it('extracts the category from the breadcrumbs', () => {
+      assert.equal(extractBookCategory($, BOOK_PAGE_URL), 'Poetry');
+    });
+
+    it('extracts the category ID from the category breadcrumb link', () => {
+      assert.equal(extractBookCategoryId($, BOOK_PAGE_URL), 23);
+    });
+
+    it('extracts the title', () => {
+      assert.equal(extractBookTitle($, BOOK_PAGE_URL), 'A Light in the Attic');
+    });
+
+    it('extracts the rating word', () => {
+      assert.equal(extractBookRating($, BOOK_PAGE_URL), 'Three');
+    });
+
+    it('extracts the description', () => {
+      assert.match(
+        extractBookDescription($, BOOK_PAGE_URL),
+        /^It's hard to imagine a world without A Light in the Attic\./
+      );
+    });
+
+    it('extracts the product information as key/value pairs', () => {
+      assert.deepEqual(extractBookProductInfo($, BOOK_PAGE_URL), [
+        { key: 'UPC', value: 'a897fe39b1053632' },
+        { key: 'Product Type', value: 'Books' },
+        { key: 'Price (excl. tax)', value: '£51.77' },
+        { key: 'Price (incl. tax)', value: '£51.77' },
+        { key: 'Tax', value: '£0.00' },
+        { key: 'Availability', value: 'In stock (22 available)' },
+        { key: 'Number of reviews', value: '0' },
+      ]);
+    });
+
+    it('resolves the image URL against the page URL', () => {
+      assert.equal(
+        extractBookImageUrl($, BOOK_PAGE_URL),
+        'http://books.toscrape.com/media/cache/fe/72/fe72f0532301ec28892ae79a629a293c.jpg'
+      );
+    });
+  });
+
+  describe('on broken book details pages', () => {
+    it('fails to extract a missing title', async () => {
+      const $ = await loadBookPage('the-untitled-manuscript_901');
+      assert.throws(
+        () => extractBookTitle($, BOOK_PAGE_URL),
+        BookTitleNotFoundError
+      );
+    });
+
+    it('fails to extract a missing rating', async () => {
+      const $ = await loadBookPage('the-unrated-almanac_902');
+      assert.throws(
+        () => extractBookRating($, BOOK_PAGE_URL),
+        BookRatingNotFoundError
+      );
+    });
+
+    it('fails to extract a missing image', async () => {
+      const $ = await loadBookPage('the-coverless-atlas_903');
+      assert.throws(
+        () => extractBookImageUrl($, BOOK_PAGE_URL),
+        BookImageURLFoundError
+      );
+    });
+
+    it('still extracts the fields which are present', async () => {
+      const $ = await loadBookPage('the-coverless-atlas_903');
+      assert.equal(extractBookTitle($, BOOK_PAGE_URL), 'The Coverless Atlas');
+      assert.equal(extractBookRating($, BOOK_PAGE_URL), 'Three');
+    });
+
+    it('fails with the error class of each missing field', () => {
+      const $ = cheerio.load('<html><body></body></html>');
+      [
+        [extractBookCategory, BookCategoryNotFoundError],
+        [extractBookCategoryId, BookCategoryNotFoundError],
+        [extractBookTitle, BookTitleNotFoundError],
+        [extractBookRating, BookRatingNotFoundError],
+        [extractBookDescription, BookDescriptionNotFoundError],
+        [extractBookProductInfo, BookProductInfoNotFoundError],
+        [extractBookImageUrl, BookImageURLFoundError],
+      ].forEach(([extract, errorClass]) => {
+        assert.throws(() => extract($, BOOK_PAGE_URL), {
+          name: errorClass.name,
+          message: new RegExp(BOOK_PAGE_URL),
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  BookTitleNotFoundError,
+  NoResponseError,
+  RobotsDisallowedError,
+} from '../src/errors.js';
+import {
+  createFailureManifest,
+  getFailureLevel,
+  listFailures,
+  listSkipped,
+} from '../src/failureManifest.js';
+
+describe('failureManifest', () => {
+  it('groups the errors by error class', () => {
+    const failures = createFailureManifest();
+    const url = 'http://books.toscrape.com/catalogue/book_1/index.html';
+    failures.add('extraction', url, new BookTitleNotFoundError(url));
+    failures.add(
+      'assets',
+      'http://books.toscrape.com/media/cover.jpg',
+      new NoResponseError(
+        'http://books.toscrape.com/media/cover.jpg',
+        4,
+        new Error('socket hang up')
+      )
+    );
+    failures.add('extraction', url, new TypeError('Unexpected'));
+
+    const summary = failures.summarize();
+    assert.equal(failures.size, 3);
+    assert.equal(summary.totalFailures, 3);
+    assert.deepEqual(summary.errors, {
+      BookTitleNotFoundError: [
+        {
+          url,
+          phase: 'extraction',
+          message: `Could not locate the book title on ${url}`,
+          cause: null,
+        },
+      ],
+      NoResponseError: [
+        {
+          url: 'http://books.toscrape.com/media/cover.jpg',
+          phase: 'assets',
+          message:
+            'No response received for the request http://books.toscrape.com/media/cover.jpg after 4 attempt(s)',
+          cause: 'socket hang up',
+        },
+      ],
+      TypeError: [
+        { url, phase: 'extraction', message: 'Unexpected', cause: null },
+      ],
+    });
+  });
+
+  it('reports the innermost cause of an error', () => {
+    const failures = createFailureManifest();
+    const url = 'http://books.toscrape.com/';
+    failures.add(
+      'discovery',
+      url,
+      new NoResponseError(url, 1, new Error('outer', { cause: 'ECONNRESET' }))
+    );
+    assert.equal(
+      failures.summarize().errors.NoResponseError[0].cause,
+      'ECONNRESET'
+    );
+  });
+
+  it('lists the skipped work apart from the failures', () => {
+    const failures = createFailureManifest();
+    const url = 'http://books.toscrape.com/catalogue/page-2.html';
+    failures.add('discovery', url, new RobotsDisallowedError(url));
+    const summary = failures.summarize();
+    assert.equal(failures.size, 0);
+    assert.deepEqual(summary.errors, {});
+    assert.deepEqual(listFailures(summary, 'discovery'), []);
+    assert.deepEqual(listSkipped(summary, 'discovery'), [
+      {
+        url,
+        phase: 'discovery',
+        message: `Request to ${url} skipped since it is disallowed by robots.txt`,
+      },
+    ]);
+    assert.equal(getFailureLevel(new RobotsDisallowedError(url)), 'warn');
+    assert.equal(getFailureLevel(new TypeError('Unexpected')), 'error');
+  });
+});
@@ -0,0 +1,129 @@
+import { createHash } from 'node:crypto';
+import { readFile, stat } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import * as path from 'path';
+import { fileURLToPath } from 'node:url';
+
+// Directory of the recorded website snapshots
+export const FIXTURES_DIRECTORY = fileURLToPath(
+  new URL('../fixtures/', import.meta.url)
+);
+
+// Content types of the served file extensions
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.json': 'application/json',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+/**
+ * Resolve the file served for a request path. Directory paths are served
+ * with their index.html file, like the scraped websites do.
+ * @param {string} rootDirectory Root directory of the recorded website
+ * @param {string} requestPath Decoded path of the request URL
+ * @returns {Promise<string|null>} A promise which resolves the file path or null if there is no such file
+ */
+const resolveFilePath = async (rootDirectory, requestPath) => {
+  const filePath = path.join(rootDirectory, path.normalize(requestPath));
+  if (!filePath.startsWith(rootDirectory)) {
+    return null;
+  }
+  try {
+    const stats = await stat(filePath);
+    return stats.isDirectory() ? path.join(filePath, 'index.html') : filePath;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Start a local HTTP server which serves a recorded website snapshot
+ * @param {string} website Directory name of the recorded website inside the fixtures directory
+ * @returns {Promise<Object>} A promise which resolves a fixture server object with the base URL,
+ * the log of requested paths, a way to override the response of a path and a close function
+ */
+export const startFixtureServer = async (website) => {
+  const rootDirectory = path.join(FIXTURES_DIRECTORY, website);
+  // Paths of all received requests in order of arrival
+  const requests = [];
+  // Custom request handlers keyed by request path
+  const routes = new Map();
+
+  const server = createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    requests.push(pathname);
+    const route = routes.get(pathname);
+    if (route) {
+      route(request, response);
+      return;
+    }
+    const filePath = await resolveFilePath(
+      rootDirectory,
+      decodeURIComponent(pathname)
+    );
+    let body;
+    try {
+      body = await readFile(filePath);
+    } catch (error) {
+      response.writeHead(404, { 'content-type': 'text/plain' });
+      response.end('Not Found');
+      return;
+    }
+    // Let clients revalidate their cached copy of unchanged files
+    const etag = `"${createHash('sha1').update(body).digest('hex')}"`;
+    if (request.headers['if-none-match'] === etag) {
+      response.writeHead(304, { etag });
+      response.end();
+      return;
+    }
+    response.writeHead(200, {
+      'content-type':
+        CONTENT_TYPES[path.extname(filePath)] ?? 'application/octet-stream',
+      'content-length': body.length,
+      etag,
+    });
+    response.end(body);
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/`,
+    requests,
+
+    /**
+     * Override the response of a request path
+     * @param {string} requestPath Path of the request URL, such as /index.html
+     * @param {function(IncomingMessage, ServerResponse): void|null} handler Request handler
+     * or null to serve the recorded file again
+     */
+    route: (requestPath, handler) => {
+      if (handler) {
+        routes.set(requestPath, handler);
+      } else {
+        routes.delete(requestPath);
+      }
+    },
+
+    /**
+     * Stop the server
+     * @returns {Promise<void>} A promise which resolves once the server is closed
+     */
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      }),
+  };
+};
+
+/**
+ * Read a recorded page of a website snapshot
+ * @param {string} website Directory name of the recorded website inside the fixtures directory
+ * @param {string} pagePath Path of the page inside the website snapshot
+ * @returns {Promise<string>} A promise which resolves the HTML content of the page
+ */
+export const readFixturePage = (website, pagePath) =>
+  readFile(path.join(FIXTURES_DIRECTORY, website, pagePath), 'utf8');
@@ -0,0 +1,106 @@
+import { createServer as createHttpServer, request } from 'node:http';
+import { connect, createServer as createTcpServer } from 'node:net';
+
+/**
+ * Open a tunnel between a client socket and a target server
+ * @param {Socket} clientSocket Socket of the client
+ * @param {string} host Host name of the target server
+ * @param {number} port Port of the target server
+ * @param {Buffer} reply Bytes sent to the client once the tunnel is open
+ */
+const openTunnel = (clientSocket, host, port, reply) => {
+  const targetSocket = connect(port, host, () => {
+    clientSocket.write(reply);
+    targetSocket.pipe(clientSocket);
+    clientSocket.pipe(targetSocket);
+  });
+  targetSocket.on('error', () => clientSocket.destroy());
+  clientSocket.on('error', () => targetSocket.destroy());
+};
+
+/**
+ * Start a local stand-in of a corporate proxy, either an HTTP proxy which
+ * forwards plain requests and tunnels CONNECT requests, or a SOCKS5 proxy
+ * without authentication
+ * @param {'http'|'socks5'} protocol Protocol of the proxy
+ * @returns {Promise<Object>} A promise which resolves a proxy server object with the proxy URL,
+ * the log of proxied URLs or tunnel targets and a close function
+ */
+export const startProxyServer = async (protocol) => {
+  // URLs of forwarded requests and host:port of opened tunnels in order of arrival
+  const requests = [];
+  const sockets = new Set();
+
+  const server =
+    protocol === 'http'
+      ? createHttpServer((clientRequest, clientResponse) => {
+          requests.push(clientRequest.url);
+          const proxyRequest = request(
+            clientRequest.url,
+            { headers: clientRequest.headers },
+            (response) => {
+              clientResponse.writeHead(response.statusCode, response.headers);
+              response.pipe(clientResponse);
+            }
+          );
+          proxyRequest.on('error', () => clientResponse.destroy());
+          proxyRequest.end();
+        }).on('connect', (clientRequest, clientSocket) => {
+          requests.push(clientRequest.url);
+          const [host, port] = clientRequest.url.split(':');
+          openTunnel(
+            clientSocket,
+            host,
+            Number(port),
+            Buffer.from('HTTP/1.1 200 Connection Established\r\n\r\n')
+          );
+        })
+      : createTcpServer((clientSocket) => {
+          // Greeting with the authentication methods, answered with no authentication
+          clientSocket.once('data', () => {
+            clientSocket.write(Buffer.from([0x05, 0x00]));
+            // Connect request with an IPv4 address or a domain name
+            clientSocket.once('data', (data) => {
+              const addressType = data[3];
+              let host;
+              let offset;
+              if (addressType === 0x01) {
+                host = [...data.subarray(4, 8)].join('.');
+                offset = 8;
+              } else {
+                host = data.subarray(5, 5 + data[4]).toString();
+                offset = 5 + data[4];
+              }
+              const port = data.readUInt16BE(offset);
+              requests.push(`${host}:${port}`);
+              openTunnel(
+                clientSocket,
+                host,
+                port,
+                Buffer.from([0x05, 0x00, 0x00, 0x01, 0, 0, 0, 0, 0, 0])
+              );
+            });
+          });
+        });
+
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `${protocol}://127.0.0.1:${server.address().port}`,
+    requests,
+
+    /**
+     * Stop the server
+     * @returns {Promise<void>} A promise which resolves once the server is closed
+     */
+    close: () =>
+      new Promise((resolve) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(() => resolve());
+      }),
+  };
+};
@@ -0,0 +1,32 @@
+import { connect } from 'node:net';
+
+/**
+ * Send a GET request with a raw request target over a plain socket. Unlike
+ * fetch, which normalizes the path of the URL, the target is sent as is.
+ * @param {string} serverUrl Base URL of the server, such as http://127.0.0.1:3000
+ * @param {string} requestTarget Request target of the request line, such as //
+ * @returns {Promise<number>} A promise which resolves the status code of the response
+ */
+export const sendRawRequest = (serverUrl, requestTarget) =>
+  new Promise((resolve, reject) => {
+    const { hostname, port } = new URL(serverUrl);
+    let response = '';
+    const socket = connect(Number(port), hostname, () => {
+      socket.end(
+        `GET ${requestTarget} HTTP/1.1\r\nHost: ${hostname}\r\nConnection: close\r\n\r\n`
+      );
+    });
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      response += chunk;
+    });
+    socket.on('error', reject);
+    socket.on('close', () => {
+      const match = response.match(/^HTTP\/1\.1 (\d{3})/);
+      if (match) {
+        resolve(Number(match[1]));
+      } else {
+        reject(new Error(`No response received for ${requestTarget}`));
+      }
+    });
+  });
@@ -0,0 +1,159 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import * as path from 'path';
+import { after, afterEach, before, describe, it } from 'node:test';
+import {
+  configureCache,
+  configureHttpClient,
+  configureScheduler,
+  crawlerEvents,
+  getHtmlResponse,
+} from '../src/crawler.js';
+import { CacheMissError } from '../src/errors.js';
+import { createHttpCache, getConditionalHeaders } from '../src/httpCache.js';
+import logger from '../src/logger.js';
+import {
+  readFixturePage,
+  startFixtureServer,
+} from './helpers/fixtureServer.js';
+
+logger.silent = true;
+configureScheduler({ requestsPerSecond: 0 });
+configureHttpClient({ retries: 0 });
+
+const BOOK_PAGE_PATH = '/catalogue/a-light-in-the-attic_1000/index.html';
+
+/**
+ * Load an HTML page and report whether it was served from the cache
+ * @param {string} url URL of the HTML page
+ * @returns {Promise<{body: string, fromCache: boolean}>} A promise which resolves the HTML content
+ * along with whether it was served from the cache
+ */
+const getPage = async (url) => {
+  let fromCache = null;
+  const onFetched = (event) => {
+    if (event.url === url) {
+      fromCache = event.fromCache;
+    }
+  };
+  crawlerEvents.on('page:fetched', onFetched);
+  try {
+    return { body: await getHtmlResponse(url), fromCache };
+  } finally {
+    crawlerEvents.off('page:fetched', onFetched);
+  }
+};
+
+describe('createHttpCache', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'http-cache-'));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('stores the response body along with its validators', async () => {
+    const cache = createHttpCache(path.join(directory, 'cache'));
+    const url = 'http://books.toscrape.com/index.html';
+    assert.equal(await cache.read(url), null);
+    await cache.write(url, { body: '<html></html>', etag: '"abc"' });
+    const entry = await cache.read(url);
+    assert.equal(entry.url, url);
+    assert.equal(entry.body, '<html></html>');
+    assert.equal(entry.etag, '"abc"');
+    assert.equal(entry.lastModified, null);
+    assert.ok(
+      !(await readdir(path.join(directory, 'cache'))).some((file) =>
+        file.endsWith('.tmp')
+      )
+    );
+  });
+});
+
+describe('getConditionalHeaders', () => {
+  it('sends the validators of the cache entry', () => {
+    assert.deepEqual(
+      getConditionalHeaders({
+        etag: '"abc"',
+        lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT',
+      }),
+      {
+        'If-None-Match': '"abc"',
+        'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT',
+      }
+    );
+    assert.deepEqual(getConditionalHeaders({ etag: null }), {});
+    assert.deepEqual(getConditionalHeaders(null), {});
+  });
+});
+
+describe('getHtmlResponse with a cache', () => {
+  let server;
+  let directory;
+
+  before(async () => {
+    server = await startFixtureServer('books.toscrape.com');
+    directory = await mkdtemp(path.join(tmpdir(), 'http-cache-'));
+  });
+
+  afterEach(() => {
+    configureCache({ directory: null });
+  });
+
+  after(async () => {
+    await server.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('revalidates the cached page instead of downloading it again', async () => {
+    configureCache({ directory: path.join(directory, 'revalidate') });
+    const url = new URL(BOOK_PAGE_PATH, server.baseUrl).href;
+    const page = await readFixturePage('books.toscrape.com', BOOK_PAGE_PATH);
+
+    assert.deepEqual(await getPage(url), { body: page, fromCache: false });
+    assert.deepEqual(await getPage(url), { body: page, fromCache: true });
+    assert.equal(
+      server.requests.filter((requestPath) => requestPath === BOOK_PAGE_PATH)
+        .length,
+      2
+    );
+  });
+
+  it('downloads the page again if it changed', async () => {
+    configureCache({ directory: path.join(directory, 'changed') });
+    const url = new URL(BOOK_PAGE_PATH, server.baseUrl).href;
+    await getPage(url);
+    server.route(BOOK_PAGE_PATH, (request, response) => {
+      response.writeHead(200, { 'content-type': 'text/html', etag: '"new"' });
+      response.end('<html>Changed</html>');
+    });
+    try {
+      assert.deepEqual(await getPage(url), {
+        body: '<html>Changed</html>',
+        fromCache: false,
+      });
+    } finally {
+      server.route(BOOK_PAGE_PATH, null);
+    }
+  });
+
+  it('serves the cached pages without any request in offline mode', async () => {
+    const cacheDirectory = path.join(directory, 'offline');
+    const url = new URL(BOOK_PAGE_PATH, server.baseUrl).href;
+    configureCache({ directory: cacheDirectory });
+    const page = await getHtmlResponse(url);
+
+    configureCache({ directory: cacheDirectory, offline: true });
+    const requestCount = server.requests.length;
+    assert.deepEqual(await getPage(url), { body: page, fromCache: true });
+    await assert.rejects(
+      getHtmlResponse(new URL('/index.html', server.baseUrl).href),
+      CacheMissError
+    );
+    assert.equal(server.requests.length, requestCount);
+  });
+});
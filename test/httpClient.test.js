@@ -0,0 +1,164 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import {
+  NoResponseError,
+  RateLimitedResponseError,
+  RequestTimeoutError,
+  ServerErrorResponseError,
+  UnsuccessfulResponseError,
+} from '../src/errors.js';
+import { createHttpClient, parseRetryAfter } from '../src/httpClient.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+
+/**
+ * Create a request handler which answers with the given status codes in turn
+ * and serves the page once they are used up
+ * @param {number[]} statusCodes Status codes of the first responses
+ * @param {Object} [headers] Headers of the failed responses
+ * @returns {function(IncomingMessage, ServerResponse): void} A request handler
+ */
+const failFirst = (statusCodes, headers = {}) => {
+  const remaining = [...statusCodes];
+  return (request, response) => {
+    if (remaining.length > 0) {
+      response.writeHead(remaining.shift(), headers);
+      response.end();
+      return;
+    }
+    response.writeHead(200, { 'content-type': 'text/plain' });
+    response.end('recovered');
+  };
+};
+
+describe('httpClient', () => {
+  let server;
+
+  before(async () => {
+    server = await startFixtureServer('books.toscrape.com');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('retries 5xx responses until one succeeds', async () => {
+    server.route('/flaky', failFirst([503, 500]));
+    const scheduledUrls = [];
+    const client = createHttpClient({
+      baseDelayMs: 1,
+      schedule: (url, task) => {
+        scheduledUrls.push(url);
+        return task();
+      },
+    });
+
+    const response = await client.get(`${server.baseUrl}flaky`);
+    assert.equal(response.status, 200);
+    assert.equal(response.data, 'recovered');
+    // Every attempt goes through the schedule function
+    assert.equal(scheduledUrls.length, 3);
+  });
+
+  it('does not retry other 4xx responses', async () => {
+    const client = createHttpClient({ baseDelayMs: 1 });
+    const requestCount = server.requests.length;
+    await assert.rejects(client.get(`${server.baseUrl}missing.html`), {
+      name: UnsuccessfulResponseError.name,
+      statusCode: 404,
+      attempts: 1,
+    });
+    assert.equal(server.requests.length, requestCount + 1);
+  });
+
+  it('fails with the status code and attempts once the retries are used up', async () => {
+    server.route('/broken', failFirst([502, 502, 502, 502]));
+    const client = createHttpClient({ retries: 2, baseDelayMs: 1 });
+    await assert.rejects(client.get(`${server.baseUrl}broken`), (error) => {
+      assert.ok(error instanceof ServerErrorResponseError);
+      assert.equal(error.statusCode, 502);
+      assert.equal(error.attempts, 3);
+      return true;
+    });
+  });
+
+  it('waits as long as the Retry-After header asks for', async () => {
+    server.route('/limited', failFirst([429], { 'retry-after': '1' }));
+    const client = createHttpClient({ baseDelayMs: 1 });
+    const start = Date.now();
+    const response = await client.get(`${server.baseUrl}limited`);
+    assert.equal(response.status, 200);
+    assert.ok(Date.now() - start >= 900);
+  });
+
+  it('caps the Retry-After delay at the maximum delay', async () => {
+    server.route('/throttled', failFirst([429, 429], { 'retry-after': '60' }));
+    const client = createHttpClient({ retries: 1, maxDelayMs: 10 });
+    await assert.rejects(client.get(`${server.baseUrl}throttled`), {
+      name: RateLimitedResponseError.name,
+      statusCode: 429,
+      attempts: 2,
+    });
+  });
+
+  it('times out each attempt', async () => {
+    // Never answer the request
+    server.route('/stalled', () => {});
+    const client = createHttpClient({
+      retries: 1,
+      timeoutMs: 50,
+      baseDelayMs: 1,
+    });
+    await assert.rejects(client.get(`${server.baseUrl}stalled`), {
+      name: RequestTimeoutError.name,
+      timeoutMs: 50,
+      attempts: 2,
+    });
+  });
+
+  it('overrides the timeout for a single request', async () => {
+    server.route('/slow', () => {});
+    const client = createHttpClient({ retries: 0 });
+    await assert.rejects(
+      client.get(`${server.baseUrl}slow`, { timeoutMs: 20 }),
+      { name: RequestTimeoutError.name, timeoutMs: 20 }
+    );
+  });
+
+  it('fails without a response if the connection is refused', async () => {
+    const closedServer = await startFixtureServer('books.toscrape.com');
+    await closedServer.close();
+    const client = createHttpClient({ retries: 1, baseDelayMs: 1 });
+    await assert.rejects(client.get(closedServer.baseUrl), (error) => {
+      assert.ok(error instanceof NoResponseError);
+      assert.equal(error.attempts, 2);
+      assert.equal(error.cause.code, 'ECONNREFUSED');
+      return true;
+    });
+  });
+
+  it('accepts the status codes allowed by the caller', async () => {
+    server.route('/not-modified', failFirst([304]));
+    const client = createHttpClient();
+    const response = await client.get(`${server.baseUrl}not-modified`, {
+      acceptStatus: (status) => status === 304,
+    });
+    assert.equal(response.status, 304);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('parses delays in seconds', () => {
+    assert.equal(parseRetryAfter('120'), 120_000);
+  });
+
+  it('parses HTTP dates', () => {
+    const delay = parseRetryAfter(new Date(Date.now() + 5_000).toUTCString());
+    assert.ok(delay > 3_000 && delay <= 5_000);
+    assert.equal(parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT'), 0);
+  });
+
+  it('ignores missing and invalid values', () => {
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import { copyFile, mkdtemp, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { ImageProcessingError, InvalidArgumentError } from '../src/errors.js';
+import {
+  findSimilarImages,
+  getHashDistance,
+  hasSavedVariants,
+  parseImageVariants,
+  processImage,
+} from '../src/imageProcessing.js';
+import { FIXTURES_DIRECTORY } from './helpers/fixtureServer.js';
+
+// Covers of It's Only the Himalayas and of Full Moon over Noah's Ark, which is a smaller re-encoded copy
+const COVER_FILE_PATHS = [
+  'media/cache/6d/41/6d418a73cc7d4ecfd75ca11d854041db.jpg',
+  'media/cache/57/a5/57a5ae3bc8e4b0bfb0a9b3b8c1d0e2f4.jpg',
+].map((filePath) =>
+  path.join(FIXTURES_DIRECTORY, 'books.toscrape.com', filePath)
+);
+
+describe('parseImageVariants', () => {
+  it('parses the maximum width and the format of each derived image', () => {
+    assert.deepEqual(parseImageVariants('200:webp, 400:jpeg,'), [
+      { width: 200, format: 'webp' },
+      { width: 400, format: 'jpeg' },
+    ]);
+    assert.deepEqual(parseImageVariants(''), []);
+  });
+
+  it('rejects unsupported formats and invalid widths', () => {
+    assert.throws(() => parseImageVariants('200:gif'), InvalidArgumentError);
+    assert.throws(() => parseImageVariants('0:webp'), InvalidArgumentError);
+    assert.throws(() => parseImageVariants('webp'), InvalidArgumentError);
+  });
+});
+
+describe('findSimilarImages', () => {
+  it('counts the differing bits of two hashes', () => {
+    assert.equal(getHashDistance('0303030303030303', '0303030303030303'), 0);
+    assert.equal(getHashDistance('0000000000000000', 'ffffffffffffffff'), 64);
+    assert.equal(getHashDistance('0101010101010101', '0303030303030303'), 8);
+  });
+
+  it('groups the images whose hashes are close', () => {
+    const similarImages = findSimilarImages(
+      new Map([
+        ['a', '0303030303030303'],
+        ['b', '0303030303030307'],
+        ['c', 'f0f0f0f0f0f0f0f0'],
+      ])
+    );
+    assert.deepEqual(Object.fromEntries(similarImages), {
+      a: ['b'],
+      b: ['a'],
+      c: [],
+    });
+  });
+});
+
+describe('processImage', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'image-processing-'));
+    await Promise.all(
+      COVER_FILE_PATHS.map((filePath, index) =>
+        copyFile(filePath, path.join(directory, `cover-${index}.jpg`))
+      )
+    );
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('saves derived images without enlarging the original', async () => {
+    const filePath = path.join(directory, 'cover-0.jpg');
+    const variants = [
+      { width: 30, format: 'webp' },
+      { width: 200, format: 'png' },
+    ];
+    const image = await processImage(filePath, variants);
+    assert.equal(image.width, 60);
+    assert.equal(image.height, 90);
+    assert.deepEqual(
+      image.variants.map(({ file, width, height, format }) => ({
+        file,
+        width,
+        height,
+        format,
+      })),
+      [
+        { file: 'cover-0-30w.webp', width: 30, height: 45, format: 'webp' },
+        { file: 'cover-0-200w.png', width: 60, height: 90, format: 'png' },
+      ]
+    );
+    assert.equal(await hasSavedVariants(filePath, image, variants), true);
+    assert.equal(
+      await hasSavedVariants(filePath, image, [{ width: 30, format: 'webp' }]),
+      false
+    );
+    assert.deepEqual(
+      (await readdir(directory)).filter((file) => file.endsWith('.tmp')),
+      []
+    );
+  });
+
+  it('gives close perceptual hashes to resized copies of a picture', async () => {
+    const [image, copy] = await Promise.all(
+      ['cover-0.jpg', 'cover-1.jpg'].map((file) =>
+        processImage(path.join(directory, file), [])
+      )
+    );
+    assert.equal(copy.width, 50);
+    assert.ok(getHashDistance(image.perceptualHash, copy.perceptualHash) <= 5);
+  });
+
+  it('fails on files which are not images', async () => {
+    const filePath = path.join(directory, 'not-an-image.jpg');
+    await writeFile(filePath, 'not an image');
+    await assert.rejects(processImage(filePath, []), ImageProcessingError);
+  });
+});
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { hostname, tmpdir } from 'node:os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { JobLockedError } from '../src/errors.js';
+import { acquireLockFile, withLockFile } from '../src/lockFile.js';
+import logger from '../src/logger.js';
+
+logger.silent = true;
+
+// Process ID above the maximum process ID of Linux, which never runs
+const STOPPED_PID = 2 ** 31 - 1;
+
+describe('acquireLockFile', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'lock-'));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('records the owner and releases the lock', async () => {
+    const filePath = path.join(directory, 'owner', 'job.lock');
+    const releaseLock = await acquireLockFile(filePath);
+    const owner = JSON.parse(await readFile(filePath, 'utf8'));
+    assert.equal(owner.pid, process.pid);
+    assert.equal(owner.hostname, hostname());
+    await releaseLock();
+    await assert.rejects(readFile(filePath), { code: 'ENOENT' });
+  });
+
+  it('throws while another job holds the lock', async () => {
+    const filePath = path.join(directory, 'held.lock');
+    await withLockFile(filePath, async () => {
+      await assert.rejects(
+        acquireLockFile(filePath),
+        (error) =>
+          error instanceof JobLockedError &&
+          error.filePath === filePath &&
+          error.pid === process.pid
+      );
+    });
+    // The lock is available again once the task is over
+    const releaseLock = await acquireLockFile(filePath);
+    await releaseLock();
+  });
+
+  it('takes over the lock of a process which is no longer running', async () => {
+    const filePath = path.join(directory, 'stale.lock');
+    await writeFile(
+      filePath,
+      JSON.stringify({ pid: STOPPED_PID, hostname: hostname() })
+    );
+    const releaseLock = await acquireLockFile(filePath);
+    assert.equal(JSON.parse(await readFile(filePath, 'utf8')).pid, process.pid);
+    await releaseLock();
+  });
+
+  it('keeps the lock of another host', async () => {
+    const filePath = path.join(directory, 'remote.lock');
+    await writeFile(
+      filePath,
+      JSON.stringify({ pid: STOPPED_PID, hostname: `not-${hostname()}` })
+    );
+    await assert.rejects(acquireLockFile(filePath), { name: 'JobLockedError' });
+  });
+});
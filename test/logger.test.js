@@ -0,0 +1,199 @@
+import assert from 'node:assert/strict';
+import {
+  mkdir,
+  mkdtemp,
+  readFile,
+  rm,
+  utimes,
+  writeFile,
+} from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { configureHttpClient, configureScheduler } from '../src/crawler.js';
+import { NoResponseError, UnsuccessfulResponseError } from '../src/errors.js';
+import logger, {
+  createRunId,
+  enableFileLogging,
+  forwardLogs,
+  getLogContext,
+  runWithLogContext,
+  runWithRunLog,
+  serializeError,
+  setConsoleLogging,
+} from '../src/logger.js';
+import { extractBookInfo } from '../src/scrapingUtils.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+
+setConsoleLogging(false);
+configureScheduler({ requestsPerSecond: 0 });
+configureHttpClient({ retries: 0 });
+
+/**
+ * Collect the logs written while running a task
+ * @param {function(): Promise<*>} task Function which runs the task
+ * @returns {Promise<{message: string, metadata: Object}[]>} A promise which resolves the collected logs
+ */
+const collectLogs = async (task) => {
+  const logs = [];
+  const collect = (message, metadata = {}) => logs.push({ message, metadata });
+  const restoreLogs = forwardLogs({
+    error: collect,
+    warn: collect,
+    info: collect,
+    debug: collect,
+  });
+  try {
+    await task();
+  } finally {
+    restoreLogs();
+  }
+  return logs;
+};
+
+describe('serializeError', () => {
+  it('keeps the fields of the error and its cause', () => {
+    const cause = Object.assign(new Error('connect ECONNREFUSED'), {
+      code: 'ECONNREFUSED',
+      config: { url: 'http://example.com/' },
+    });
+    const serialized = serializeError(
+      new NoResponseError('http://example.com/', 2, cause)
+    );
+    assert.equal(serialized.name, 'NoResponseError');
+    assert.equal(serialized.requestUrl, 'http://example.com/');
+    assert.equal(serialized.attempts, 2);
+    assert.match(serialized.stack, /NoResponseError/);
+    // Nested objects of the cause are left out
+    assert.deepEqual(serialized.cause, {
+      name: 'Error',
+      message: 'connect ECONNREFUSED',
+      code: 'ECONNREFUSED',
+    });
+  });
+});
+
+describe('log context', () => {
+  it('adds the context of the work and serializes the errors', async () => {
+    const logs = await collectLogs(() =>
+      runWithLogContext({ phase: 'extraction' }, () =>
+        runWithLogContext({ url: 'http://example.com/' }, async () => {
+          await new Promise((resolve) => setTimeout(resolve, 1));
+          const error = new UnsuccessfulResponseError(
+            'http://example.com/',
+            404
+          );
+          logger.error(error.message, { upc: 'a1', error });
+        })
+      )
+    );
+    assert.equal(logs.length, 1);
+    const { metadata } = logs[0];
+    assert.equal(metadata.phase, 'extraction');
+    assert.equal(metadata.url, 'http://example.com/');
+    assert.equal(metadata.upc, 'a1');
+    assert.equal(metadata.error.name, 'UnsuccessfulResponseError');
+    assert.equal(metadata.error.statusCode, 404);
+    assert.equal(metadata.error.requestUrl, 'http://example.com/');
+  });
+
+  it('adds the UPC of a partial book record to its extraction logs', async () => {
+    const server = await startFixtureServer('books.toscrape.com');
+    try {
+      const bookPageUrl = `${server.baseUrl}catalogue/the-untitled-manuscript_901/index.html`;
+      const logs = await collectLogs(() => extractBookInfo(bookPageUrl));
+      const warning = logs.find(
+        ({ metadata }) => metadata.error?.name === 'BookTitleNotFoundError'
+      );
+      assert.equal(warning.metadata.url, bookPageUrl);
+      assert.equal(warning.metadata.upc, 'b000000000000901');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('forwards the logs of a run only', async () => {
+    const messages = [];
+    const collect = (message) => messages.push(message);
+    const transportCount = logger.transports.length;
+    await runWithRunLog(async (runId) => {
+      const stopForwardingLogs = forwardLogs(
+        { error: collect, warn: collect, info: collect, debug: collect },
+        runId
+      );
+      logger.info('Inside the run');
+      await runWithRunLog(async () => logger.info('Nested in the run'));
+      await runWithLogContext({ runId: 'other' }, () =>
+        logger.info('Inside another run')
+      );
+      stopForwardingLogs();
+      logger.info('After forwarding');
+    });
+    assert.deepEqual(messages, ['Inside the run', 'Nested in the run']);
+    assert.equal(logger.transports.length, transportCount);
+  });
+
+  it('continues the run of the caller', async () => {
+    let outerRunId;
+    let innerRunId;
+    await runWithRunLog(async (runId) => {
+      outerRunId = runId;
+      await runWithRunLog(async (nestedRunId) => {
+        innerRunId = nestedRunId;
+      });
+    });
+    assert.equal(innerRunId, outerRunId);
+    assert.equal(getLogContext().runId, undefined);
+  });
+
+  it('creates run IDs which sort in the order of the runs', () => {
+    assert.match(createRunId(), /^\d{8}-\d{6}-[0-9a-f]{6}$/);
+  });
+});
+
+describe('enableFileLogging', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'logger-'));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('writes the logs of each run to their own file and removes expired ones', async () => {
+    const expiredFilePath = path.join(directory, 'runs', 'expired.log');
+    await mkdir(path.dirname(expiredFilePath), { recursive: true });
+    await writeFile(expiredFilePath, '');
+    const expiredTime = new Date(Date.now() - 3 * 86_400_000);
+    await utimes(expiredFilePath, expiredTime, expiredTime);
+
+    await enableFileLogging({ directory, retentionDays: 2 });
+    await assert.rejects(readFile(expiredFilePath));
+    let runId;
+    await runWithRunLog(async (id) => {
+      runId = id;
+      logger.info('Inside the run');
+    });
+    logger.info('Outside the run');
+    // Wait for the file transports to flush
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const runLogs = (
+      await readFile(path.join(directory, 'runs', `${runId}.log`), 'utf8')
+    )
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(
+      runLogs.map(({ message, runId: logRunId }) => [message, logRunId]),
+      [['Inside the run', runId]]
+    );
+    const combinedLog = await readFile(
+      path.join(directory, 'combined.log'),
+      'utf8'
+    );
+    assert.match(combinedLog, /Outside the run/);
+  });
+});
@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { UnsuccessfulResponseError } from '../src/errors.js';
+import {
+  createRunMetrics,
+  formatProgress,
+  startMetricsServer,
+} from '../src/metrics.js';
+import { sendRawRequest } from './helpers/rawRequest.js';
+
+/**
+ * Create run metrics with a few recorded events
+ * @returns {Object} The run metrics
+ */
+const createRecordedMetrics = () => {
+  const metrics = createRunMetrics();
+  metrics.recordUrlDiscovered();
+  metrics.recordUrlDiscovered();
+  metrics.recordPageFetched({ fromCache: false });
+  metrics.recordPageFetched({ fromCache: true });
+  metrics.recordBookExtracted();
+  metrics.recordAssetSaved();
+  metrics.recordAttempt({
+    attempt: 1,
+    durationMs: 30,
+    bytes: 100,
+    error: null,
+  });
+  metrics.recordAttempt({
+    attempt: 1,
+    durationMs: 700,
+    bytes: 0,
+    error: new UnsuccessfulResponseError('http://example.com/', 503),
+  });
+  metrics.recordAttempt({
+    attempt: 2,
+    durationMs: 40000,
+    bytes: 50,
+    error: null,
+  });
+  metrics.recordFailure({
+    phase: 'extraction',
+    error: new UnsuccessfulResponseError('http://example.com/', 404),
+  });
+  return metrics;
+};
+
+describe('createRunMetrics', () => {
+  it('summarizes the run', () => {
+    const summary = createRecordedMetrics().summarize('completed');
+    assert.equal(summary.status, 'completed');
+    assert.deepEqual(summary.progress, {
+      urlsDiscovered: 2,
+      discoveryCompleted: false,
+      pagesFetched: 2,
+      pagesFromCache: 1,
+      booksExtracted: 1,
+      assetsSaved: 1,
+    });
+    assert.equal(summary.requests.attempts, 3);
+    assert.equal(summary.requests.retries, 1);
+    assert.equal(summary.requests.bytesTransferred, 150);
+    assert.deepEqual(summary.requests.errorsByClass, {
+      UnsuccessfulResponseError: 1,
+    });
+    assert.deepEqual(summary.failuresByClass, {
+      UnsuccessfulResponseError: { extraction: 1 },
+    });
+    // The bucket counts are cumulative
+    const counts = Object.fromEntries(
+      summary.requests.latency.buckets.map(({ le, count }) => [le, count])
+    );
+    assert.equal(counts[0.05], 1);
+    assert.equal(counts[1], 2);
+    assert.equal(counts[30], 2);
+    assert.equal(counts['+Inf'], 3);
+  });
+
+  it('estimates the remaining time from the throughput', () => {
+    const metrics = createRunMetrics();
+    assert.equal(metrics.getProgress().etaMs, null);
+    metrics.recordUrlDiscovered();
+    metrics.recordUrlDiscovered();
+    metrics.recordBookExtracted();
+    const progress = metrics.getProgress();
+    assert.ok(progress.etaMs > 0);
+    assert.match(formatProgress(progress), /1 books extracted/);
+    assert.match(formatProgress(progress), /ETA at least/);
+  });
+
+  it('formats the metrics in the Prometheus text format', () => {
+    const text = createRecordedMetrics().toPrometheus();
+    assert.match(text, /^# TYPE scraper_http_requests_total counter$/m);
+    assert.match(text, /^scraper_pages_fetched_total\{cache="true"\} 1$/m);
+    assert.match(
+      text,
+      /^scraper_http_request_errors_total\{class="UnsuccessfulResponseError"\} 1$/m
+    );
+    assert.match(
+      text,
+      /^scraper_http_request_duration_seconds_bucket\{le="\+Inf"\} 3$/m
+    );
+    assert.match(text, /^scraper_http_request_duration_seconds_count 3$/m);
+    assert.match(
+      text,
+      /^scraper_failures_total\{class="UnsuccessfulResponseError",phase="extraction"\} 1$/m
+    );
+  });
+});
+
+describe('startMetricsServer', () => {
+  it('serves the metrics at /metrics', async () => {
+    const server = await startMetricsServer(createRecordedMetrics(), 0);
+    try {
+      const response = await fetch(server.url);
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/plain/);
+      assert.match(await response.text(), /^scraper_books_extracted_total 1$/m);
+      const notFound = await fetch(new URL('/other', server.url));
+      assert.equal(notFound.status, 404);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('rejects request paths which are not URL paths', async () => {
+    const server = await startMetricsServer(createRecordedMetrics(), 0);
+    try {
+      assert.equal(await sendRawRequest(server.url, '//'), 400);
+      assert.equal(await sendRawRequest(server.url, '/\\'), 400);
+      // The server is still up
+      assert.equal((await fetch(server.url)).status, 200);
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,157 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  normalizeBookRecord,
+  parseAvailability,
+  parseCategoryId,
+  parseCount,
+  parsePrice,
+  parseRating,
+} from '../src/normalizers.js';
+
+describe('parsePrice', () => {
+  it('parses the amount and the currency', () => {
+    assert.deepEqual(parsePrice('£51.77'), { amount: 51.77, currency: 'GBP' });
+    assert.deepEqual(parsePrice(' $1,234.5 '), {
+      amount: 1234.5,
+      currency: 'USD',
+    });
+    assert.deepEqual(parsePrice('0.00'), { amount: 0, currency: null });
+  });
+
+  it('ignores the texts which are not prices', () => {
+    [undefined, '', 'Free', '£', '£12.34 each'].forEach((text) =>
+      assert.deepEqual(parsePrice(text), { amount: null, currency: null })
+    );
+  });
+});
+
+describe('parseAvailability', () => {
+  it('parses whether the book is in stock and how many are available', () => {
+    assert.deepEqual(parseAvailability('In stock (22 available)'), {
+      inStock: true,
+      stockCount: 22,
+    });
+    assert.deepEqual(parseAvailability('In stock'), {
+      inStock: true,
+      stockCount: null,
+    });
+    assert.deepEqual(parseAvailability('Out of stock'), {
+      inStock: false,
+      stockCount: 0,
+    });
+    assert.deepEqual(parseAvailability(undefined), {
+      inStock: null,
+      stockCount: null,
+    });
+  });
+});
+
+describe('parseRating', () => {
+  it('converts the rating words into numbers', () => {
+    assert.equal(parseRating('One'), 1);
+    assert.equal(parseRating('Five'), 5);
+    assert.equal(parseRating('Zero'), null);
+    assert.equal(parseRating(undefined), null);
+  });
+});
+
+describe('parseCount', () => {
+  it('parses non-negative integers only', () => {
+    assert.equal(parseCount(' 0 '), 0);
+    assert.equal(parseCount('12'), 12);
+    [undefined, '', '-1', '1.5', 'many'].forEach((text) =>
+      assert.equal(parseCount(text), null)
+    );
+  });
+});
+
+describe('parseCategoryId', () => {
+  it('parses the ID of a category page URL', () => {
+    assert.equal(
+      parseCategoryId(
+        'http://books.toscrape.com/catalogue/category/books/travel_2/index.html'
+      ),
+      2
+    );
+    assert.equal(
+      parseCategoryId(
+        'http://books.toscrape.com/catalogue/category/books/mystery_3/page-2.html'
+      ),
+      3
+    );
+    assert.equal(
+      parseCategoryId('http://books.toscrape.com/catalogue/page-2.html'),
+      null
+    );
+    assert.equal(parseCategoryId(undefined), null);
+  });
+});
+
+describe('normalizeBookRecord', () => {
+  const record = {
+    url: 'http://books.toscrape.com/catalogue/a-light-in-the-attic_1000/index.html',
+    title: 'A Light in the Attic',
+    category: 'Poetry',
+    categoryId: 23,
+    rating: 'Three',
+    description: 'It’s hard to imagine a world without A Light in the Attic.',
+    imageUrl:
+      'http://books.toscrape.com/media/cache/fe/72/fe72f0532301ec28892ae79a629a293c.jpg',
+    productInfo: [
+      { key: 'UPC', value: 'a897fe39b1053632' },
+      { key: 'Product Type', value: 'Books' },
+      { key: 'Price (excl. tax)', value: '£51.77' },
+      { key: 'Price (incl. tax)', value: '£51.77' },
+      { key: 'Tax', value: '£0.00' },
+      { key: 'Availability', value: 'In stock (22 available)' },
+      { key: 'Number of reviews', value: '0' },
+    ],
+  };
+
+  it('converts the raw values into typed fields', () => {
+    const book = normalizeBookRecord(record);
+    assert.deepEqual(
+      { ...book, raw: undefined },
+      {
+        url: record.url,
+        upc: 'a897fe39b1053632',
+        title: 'A Light in the Attic',
+        category: 'Poetry',
+        categoryId: 23,
+        rating: 3,
+        description: record.description,
+        imageUrl: record.imageUrl,
+        image: null,
+        productType: 'Books',
+        currency: 'GBP',
+        priceExclTax: 51.77,
+        priceInclTax: 51.77,
+        tax: 0,
+        inStock: true,
+        stockCount: 22,
+        reviewCount: 0,
+        missingFields: [],
+        raw: undefined,
+      }
+    );
+    assert.deepEqual(book.raw, {
+      rating: 'Three',
+      productInfo: record.productInfo,
+    });
+  });
+
+  it('leaves the fields which could not be extracted empty', () => {
+    const book = normalizeBookRecord({
+      url: record.url,
+      title: 'A Light in the Attic',
+      missingFields: ['rating', 'productInfo'],
+    });
+    assert.equal(book.upc, null);
+    assert.equal(book.rating, null);
+    assert.equal(book.currency, null);
+    assert.equal(book.priceInclTax, null);
+    assert.equal(book.inStock, null);
+    assert.deepEqual(book.missingFields, ['rating', 'productInfo']);
+  });
+});
@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTaskPool, mapConcurrently } from '../src/pipeline.js';
+import { sleep } from '../src/scheduler.js';
+
+/**
+ * Collect the items of an async iterable
+ * @param {AsyncIterable<*>} iterable The async iterable
+ * @returns {Promise<*[]>} A promise which resolves the list of items
+ */
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+};
+
+describe('mapConcurrently', () => {
+  it('yields the results in the order of the items', async () => {
+    const results = await collect(
+      mapConcurrently(
+        [30, 10, 20, 0],
+        async (delay) => {
+          await sleep(delay);
+          return delay * 2;
+        },
+        4
+      )
+    );
+    assert.deepEqual(results, [60, 20, 40, 0]);
+  });
+
+  it('maps a bounded number of items at once', async () => {
+    let active = 0;
+    let maxActive = 0;
+    await collect(
+      mapConcurrently(
+        Array.from({ length: 10 }, (value, index) => index),
+        async () => {
+          maxActive = Math.max(maxActive, ++active);
+          await sleep(5);
+          --active;
+        },
+        3
+      )
+    );
+    assert.equal(maxActive, 3);
+  });
+
+  it('stops pulling items while the consumer is busy', async () => {
+    let pulled = 0;
+    const source = (async function* () {
+      for (let index = 0; index < 100; ++index) {
+        ++pulled;
+        yield index;
+      }
+    })();
+    const results = mapConcurrently(source, async (item) => item, 5);
+    await results.next();
+    await sleep(10);
+    assert.ok(pulled <= 6, `${pulled} items pulled`);
+    await results.return();
+  });
+
+  it('rethrows the error of a mapper and stops the source', async () => {
+    let stopped = false;
+    const source = (async function* () {
+      try {
+        for (let index = 0; ; ++index) {
+          yield index;
+        }
+      } finally {
+        stopped = true;
+      }
+    })();
+    await assert.rejects(
+      collect(
+        mapConcurrently(source, async (item) => {
+          if (item === 3) {
+            throw new Error('mapper failed');
+          }
+          return item;
+        })
+      ),
+      /mapper failed/
+    );
+    assert.equal(stopped, true);
+  });
+});
+
+describe('createTaskPool', () => {
+  it('waits for a free slot before starting a task', async () => {
+    const pool = createTaskPool(2);
+    const started = [];
+    const finishers = [];
+    const addTask = (name) =>
+      pool.add(
+        () =>
+          new Promise((resolve) => {
+            started.push(name);
+            finishers.push(resolve);
+          })
+      );
+    await addTask('first');
+    await addTask('second');
+    const thirdAdded = addTask('third');
+    await sleep(5);
+    assert.deepEqual(started, ['first', 'second']);
+
+    // The third task starts once a running task completes
+    finishers[1]();
+    await thirdAdded;
+    assert.deepEqual(started, ['first', 'second', 'third']);
+    assert.equal(pool.active, 2);
+    finishers[0]();
+    finishers[2]();
+    await pool.drain();
+    assert.equal(pool.active, 0);
+  });
+});
@@ -0,0 +1,204 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import {
+  configureCrawlPolicy,
+  configureHttpClient,
+  configureScheduler,
+  getHtmlResponse,
+} from '../src/crawler.js';
+import { RobotsDisallowedError } from '../src/errors.js';
+import logger from '../src/logger.js';
+import { createRobotsPolicy, parseRobotsTxt } from '../src/robots.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+
+logger.silent = true;
+configureScheduler({ requestsPerSecond: 0 });
+configureHttpClient({ retries: 0 });
+
+const ROBOTS_TXT = `# Rules of the fixture site
+User-agent: *
+Disallow: /catalogue/
+Allow: /catalogue/category/
+Disallow: /*.php$
+
+User-agent: web-scraping-demo
+User-agent: other-bot
+Disallow: /private/
+Crawl-delay: 0.2
+`;
+
+/**
+ * Create a request handler which serves a text body
+ * @param {string} body Body of the response
+ * @param {number} [status] Status code of the response
+ * @returns {function(IncomingMessage, ServerResponse): void} A request handler
+ */
+const serveText =
+  (body, status = 200) =>
+  (request, response) => {
+    response.writeHead(status, { 'content-type': 'text/plain' });
+    response.end(body);
+  };
+
+describe('parseRobotsTxt', () => {
+  it('groups the rules by the user agents listed before them', () => {
+    const groups = parseRobotsTxt(ROBOTS_TXT);
+    assert.equal(groups.length, 2);
+    assert.deepEqual(groups[0].userAgents, ['*']);
+    assert.deepEqual(groups[0].rules[1], {
+      allow: true,
+      pattern: '/catalogue/category/',
+    });
+    assert.deepEqual(groups[1].userAgents, ['web-scraping-demo', 'other-bot']);
+    assert.equal(groups[1].crawlDelay, 0.2);
+  });
+});
+
+describe('createRobotsPolicy', () => {
+  it('applies the * group to other user agents', () => {
+    const policy = createRobotsPolicy(ROBOTS_TXT, 'some-bot/2.0');
+    assert.equal(policy.isAllowed('http://example.com/index.html'), true);
+    assert.equal(
+      policy.isAllowed('http://example.com/catalogue/page-2.html'),
+      false
+    );
+    assert.equal(policy.crawlDelay, null);
+  });
+
+  it('lets the longest matching rule win', () => {
+    const policy = createRobotsPolicy(ROBOTS_TXT, 'some-bot/2.0');
+    assert.equal(
+      policy.isAllowed('http://example.com/catalogue/category/books_1/'),
+      true
+    );
+  });
+
+  it('supports wildcards and end anchors', () => {
+    const policy = createRobotsPolicy(ROBOTS_TXT, 'some-bot/2.0');
+    assert.equal(policy.isAllowed('http://example.com/search.php'), false);
+    assert.equal(policy.isAllowed('http://example.com/search.php?q=1'), true);
+  });
+
+  it('applies the group naming the product token of the user agent only', () => {
+    const policy = createRobotsPolicy(ROBOTS_TXT, 'Web-Scraping-Demo/1.0');
+    assert.equal(
+      policy.isAllowed('http://example.com/catalogue/page-2.html'),
+      true
+    );
+    assert.equal(policy.isAllowed('http://example.com/private/a'), false);
+    assert.equal(policy.crawlDelay, 0.2);
+  });
+
+  it('always allows the robots.txt file itself', () => {
+    const policy = createRobotsPolicy('User-agent: *\nDisallow: /', 'bot');
+    assert.equal(policy.isAllowed('http://example.com/robots.txt'), true);
+    assert.equal(policy.isAllowed('http://example.com/'), false);
+  });
+});
+
+describe('crawler robots.txt compliance', () => {
+  let server;
+
+  before(async () => {
+    server = await startFixtureServer('books.toscrape.com');
+  });
+
+  beforeEach(() => {
+    configureCrawlPolicy({});
+    server.route('/robots.txt', serveText(ROBOTS_TXT));
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('skips disallowed URLs without requesting them', async () => {
+    configureCrawlPolicy({ userAgent: 'some-bot/2.0' });
+    const requestCount = server.requests.length;
+    await assert.rejects(
+      getHtmlResponse(`${server.baseUrl}catalogue/page-2.html`),
+      { name: RobotsDisallowedError.name }
+    );
+    assert.deepEqual(server.requests.slice(requestCount), ['/robots.txt']);
+  });
+
+  it('identifies itself with the User-Agent and contact address', async () => {
+    let headers;
+    server.route('/identity.html', (request, response) => {
+      headers = request.headers;
+      serveText('ok')(request, response);
+    });
+    configureCrawlPolicy({ contact: 'crawler@example.com' });
+    assert.equal(await getHtmlResponse(`${server.baseUrl}identity.html`), 'ok');
+    assert.equal(
+      headers['user-agent'],
+      'web-scraping-demo/1.0 (+crawler@example.com)'
+    );
+    assert.equal(headers.from, 'crawler@example.com');
+  });
+
+  it('spaces out requests by the crawl delay', async () => {
+    const start = Date.now();
+    await getHtmlResponse(`${server.baseUrl}index.html`);
+    await getHtmlResponse(`${server.baseUrl}index.html`);
+    // The robots.txt request and two page requests are 0.2 s apart
+    assert.ok(Date.now() - start >= 350);
+  });
+
+  it('allows every URL of a site without a robots.txt file', async () => {
+    server.route('/robots.txt', null);
+    configureCrawlPolicy({ userAgent: 'some-bot/2.0' });
+    await getHtmlResponse(`${server.baseUrl}catalogue/page-2.html`);
+  });
+
+  it('disallows every URL of a site whose robots.txt fails', async () => {
+    server.route('/robots.txt', serveText('unavailable', 503));
+    await assert.rejects(getHtmlResponse(`${server.baseUrl}index.html`), {
+      name: RobotsDisallowedError.name,
+    });
+  });
+
+  it('reads the robots.txt again once it expires', async () => {
+    configureCrawlPolicy({ userAgent: 'some-bot/2.0', robotsTxtTtlMs: 200 });
+    const requestCount = server.requests.length;
+    await getHtmlResponse(`${server.baseUrl}index.html`);
+    await getHtmlResponse(`${server.baseUrl}index.html`);
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    server.route('/robots.txt', serveText('User-agent: *\nDisallow: /'));
+    await assert.rejects(getHtmlResponse(`${server.baseUrl}index.html`), {
+      name: RobotsDisallowedError.name,
+    });
+    assert.deepEqual(server.requests.slice(requestCount), [
+      '/robots.txt',
+      '/index.html',
+      '/index.html',
+      '/robots.txt',
+    ]);
+  });
+
+  it('reads a robots.txt which failed again on the next request', async () => {
+    server.route('/robots.txt', serveText('unavailable', 503));
+    await assert.rejects(getHtmlResponse(`${server.baseUrl}index.html`), {
+      name: RobotsDisallowedError.name,
+    });
+    server.route('/robots.txt', null);
+    const requestCount = server.requests.length;
+    await getHtmlResponse(`${server.baseUrl}index.html`);
+    assert.deepEqual(server.requests.slice(requestCount), [
+      '/robots.txt',
+      '/index.html',
+    ]);
+  });
+
+  it('ignores the robots.txt of a site we own', async () => {
+    configureCrawlPolicy({
+      userAgent: 'some-bot/2.0',
+      ignoreRobotsTxtHosts: [new URL(server.baseUrl).host],
+    });
+    const requestCount = server.requests.length;
+    await getHtmlResponse(`${server.baseUrl}catalogue/page-2.html`);
+    assert.deepEqual(server.requests.slice(requestCount), [
+      '/catalogue/page-2.html',
+    ]);
+  });
+});
@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createScheduler, sleep } from '../src/scheduler.js';
+
+/**
+ * Create a task which records when it starts and how many tasks run with it
+ * @param {{active: number, maxActive: number, starts: number[]}} stats Shared statistics of the tasks
+ * @param {number} [duration] Number of milliseconds the task runs for
+ * @returns {function(): Promise<number>} A task which resolves its start time
+ */
+const createTask =
+  (stats, duration = 0) =>
+  async () => {
+    const start = Date.now();
+    stats.starts.push(start);
+    stats.maxActive = Math.max(stats.maxActive, ++stats.active);
+    await sleep(duration);
+    --stats.active;
+    return start;
+  };
+
+describe('createScheduler', () => {
+  it('runs a bounded number of tasks at once', async () => {
+    const scheduler = createScheduler({
+      maxConcurrency: 2,
+      requestsPerSecond: 0,
+    });
+    const stats = { active: 0, maxActive: 0, starts: [] };
+    const results = Array.from({ length: 6 }, (value, index) =>
+      scheduler.schedule(`http://host${index}.test/`, createTask(stats, 10))
+    );
+    assert.equal(scheduler.active, 2);
+    assert.equal(scheduler.pending, 4);
+    await Promise.all(results);
+    assert.equal(stats.maxActive, 2);
+    assert.equal(scheduler.active, 0);
+    assert.equal(scheduler.pending, 0);
+  });
+
+  it('spaces out the task starts of the same host', async () => {
+    const scheduler = createScheduler({
+      maxConcurrency: 10,
+      requestsPerSecond: 20,
+    });
+    const stats = { active: 0, maxActive: 0, starts: [] };
+    const scheduledAt = Date.now();
+    const starts = await Promise.all(
+      Array.from({ length: 3 }, () =>
+        scheduler.schedule('http://same.test/page', createTask(stats))
+      )
+    );
+    // The start times are reserved when scheduled, while a task may start
+    // late on a busy machine. Allow a few milliseconds of timer imprecision.
+    assert.ok(starts[1] - scheduledAt >= 45);
+    assert.ok(starts[2] - scheduledAt >= 95);
+  });
+
+  it('does not delay the tasks of other hosts', async () => {
+    const scheduler = createScheduler({
+      maxConcurrency: 10,
+      requestsPerSecond: 1,
+    });
+    const stats = { active: 0, maxActive: 0, starts: [] };
+    const startedAt = Date.now();
+    await Promise.all(
+      ['http://a.test/', 'http://b.test/', 'http://c.test/'].map((url) =>
+        scheduler.schedule(url, createTask(stats))
+      )
+    );
+    // A second task of the same host would wait for a second
+    assert.ok(Date.now() - startedAt < 900);
+  });
+
+  it('applies the interval requested by a host', async () => {
+    const scheduler = createScheduler({
+      maxConcurrency: 10,
+      requestsPerSecond: 0,
+      hostIntervals: new Map([['slow.test', 100]]),
+    });
+    const stats = { active: 0, maxActive: 0, starts: [] };
+    const scheduledAt = Date.now();
+    const [, second] = await Promise.all([
+      scheduler.schedule('http://slow.test/1', createTask(stats)),
+      scheduler.schedule('http://slow.test/2', createTask(stats)),
+    ]);
+    assert.ok(second - scheduledAt >= 95);
+  });
+
+  it('rejects a task with an invalid URL without taking a slot', async () => {
+    const scheduler = createScheduler({
+      maxConcurrency: 1,
+      requestsPerSecond: 0,
+    });
+    let started = false;
+    await assert.rejects(
+      scheduler.schedule('not a url', async () => {
+        started = true;
+      }),
+      TypeError
+    );
+    assert.equal(started, false);
+    assert.equal(scheduler.active, 0);
+    assert.equal(scheduler.pending, 0);
+    assert.equal(
+      await scheduler.schedule('http://a.test/', async () => 'done'),
+      'done'
+    );
+  });
+
+  it('settles with the outcome of the task and frees its slot', async () => {
+    const scheduler = createScheduler({
+      maxConcurrency: 1,
+      requestsPerSecond: 0,
+    });
+    const failure = scheduler.schedule('http://a.test/', async () => {
+      throw new Error('Request failed');
+    });
+    const success = scheduler.schedule('http://a.test/', async () => 'done');
+    await assert.rejects(failure, { message: 'Request failed' });
+    assert.equal(await success, 'done');
+  });
+});
@@ -0,0 +1,284 @@
+import assert from 'node:assert/strict';
+import {
+  mkdir,
+  mkdtemp,
+  readdir,
+  readFile,
+  readlink,
+  rm,
+  writeFile,
+} from 'node:fs/promises';
+import { hostname, tmpdir } from 'node:os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { configureHttpClient, configureScheduler } from '../src/crawler.js';
+import logger from '../src/logger.js';
+import { createScraper, JOB_LOCK_FILE } from '../src/scraper.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+
+logger.silent = true;
+configureScheduler({ requestsPerSecond: 0 });
+configureHttpClient({ retries: 0 });
+
+/**
+ * Create a sink which collects the written records
+ * @returns {{records: Object[], closed: boolean, write: function(Object): Promise<void>,
+ * close: function(): Promise<void>}} A sink object
+ */
+const createCollectingSink = () => {
+  const sink = {
+    records: [],
+    closed: false,
+    write: async (record) => {
+      sink.records.push(record);
+    },
+    close: async () => {
+      sink.closed = true;
+    },
+  };
+  return sink;
+};
+
+describe('createScraper', () => {
+  let server;
+  let directory;
+
+  before(async () => {
+    server = await startFixtureServer('books.toscrape.com');
+    directory = await mkdtemp(path.join(tmpdir(), 'scraper-'));
+  });
+
+  after(async () => {
+    await server.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('emits the job events and writes the records to the sinks', async () => {
+    const sink = createCollectingSink();
+    const scraper = createScraper({
+      baseUrl: server.baseUrl,
+      dataDir: path.join(directory, 'events'),
+      sinks: [sink],
+    });
+    const fetchedPages = [];
+    const extractedBooks = [];
+    const savedAssets = [];
+    const errors = [];
+    scraper.on('page:fetched', ({ url }) => fetchedPages.push(url));
+    scraper.on('book:extracted', (record) => extractedBooks.push(record.upc));
+    scraper.on('asset:saved', (asset) => savedAssets.push(asset.identifier));
+    scraper.on('error', (failure) => errors.push(failure));
+
+    const bookData = await scraper.run();
+    assert.equal(bookData.length, 6);
+    assert.deepEqual(
+      extractedBooks,
+      bookData.map(({ upc }) => upc)
+    );
+    assert.deepEqual(sink.records, bookData);
+    assert.ok(sink.closed);
+    assert.deepEqual(savedAssets.sort(), [...extractedBooks].sort());
+    assert.ok(fetchedPages.includes(`${server.baseUrl}catalogue/page-2.html`));
+    assert.deepEqual(errors, []);
+    const savedBookData = JSON.parse(
+      await readFile(path.join(directory, 'events', 'book-data.json'), 'utf8')
+    );
+    assert.equal(savedBookData.length, 6);
+  });
+
+  it('emits the failures as error events', async () => {
+    server.route(
+      '/catalogue/sharp-objects_997/index.html',
+      (request, response) => {
+        response.writeHead(404);
+        response.end();
+      }
+    );
+    const scraper = createScraper({
+      baseUrl: server.baseUrl,
+      dataDir: path.join(directory, 'errors'),
+      skipAssets: true,
+      maxFailureRate: 1,
+    });
+    const errors = [];
+    scraper.on('error', (failure) => errors.push(failure));
+    await scraper.run();
+    server.route('/catalogue/sharp-objects_997/index.html', null);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].phase, 'extraction');
+    assert.equal(errors[0].error.name, 'UnsuccessfulResponseError');
+  });
+
+  it('stops the job when aborted and closes the sinks', async () => {
+    const dataDir = path.join(directory, 'abort');
+    const previousBookData = [{ upc: 'previous' }];
+    await mkdir(dataDir, { recursive: true });
+    await writeFile(
+      path.join(dataDir, 'book-data.json'),
+      JSON.stringify(previousBookData)
+    );
+    const sink = createCollectingSink();
+    const controller = new AbortController();
+    const scraper = createScraper({
+      baseUrl: server.baseUrl,
+      dataDir,
+      sinks: [sink],
+      skipAssets: true,
+      maxConcurrency: 1,
+      signal: controller.signal,
+    });
+    scraper.once('book:extracted', () => controller.abort(new Error('stop')));
+    await assert.rejects(scraper.run(), { message: 'stop' });
+    assert.ok(sink.records.length < 6);
+    assert.ok(sink.closed);
+    // The book data of the previous run is kept as it is
+    assert.deepEqual(
+      JSON.parse(await readFile(path.join(dataDir, 'book-data.json'), 'utf8')),
+      previousBookData
+    );
+    assert.ok(!(await readdir(dataDir)).includes('book-data.json.tmp'));
+  });
+
+  it('runs again once a run was aborted', async () => {
+    const scraper = createScraper({
+      baseUrl: server.baseUrl,
+      dataDir: path.join(directory, 'abort-and-run'),
+      skipAssets: true,
+      maxConcurrency: 1,
+    });
+    scraper.once('book:extracted', () => scraper.abort(new Error('stop')));
+    await assert.rejects(scraper.run(), { message: 'stop' });
+    const bookData = await scraper.run();
+    assert.equal(bookData.length, 6);
+  });
+
+  it('emits the events of its own runs only', async () => {
+    // Run jobs and collect the pages each of them reports as fetched
+    const runJobs = (names) =>
+      Promise.all(
+        names.map(async (name) => {
+          const scraper = createScraper({
+            baseUrl: server.baseUrl,
+            dataDir: path.join(directory, `own-events-${name}`),
+            skipAssets: true,
+          });
+          const fetchedPages = [];
+          scraper.on('page:fetched', ({ url }) => fetchedPages.push(url));
+          await scraper.run();
+          return fetchedPages.sort();
+        })
+      );
+    const [alone] = await runJobs(['alone']);
+    const concurrent = await runJobs(['first', 'second']);
+    concurrent.forEach((fetchedPages) => assert.deepEqual(fetchedPages, alone));
+  });
+
+  it('serves the metrics while running and writes a run summary', async () => {
+    let metricsUrl;
+    let metricsText;
+    // The job waits for the sinks, hence the endpoint is queried mid-run
+    const sink = {
+      write: async () => {
+        metricsText ??= await (await fetch(metricsUrl)).text();
+      },
+      close: async () => {},
+    };
+    const scraper = createScraper({
+      baseUrl: server.baseUrl,
+      dataDir: path.join(directory, 'metrics'),
+      sinks: [sink],
+      skipAssets: true,
+      metricsPort: 0,
+    });
+    scraper.on('metrics:listening', ({ url }) => {
+      metricsUrl = url;
+    });
+    const attempts = [];
+    scraper.on('request:attempted', (attempt) => attempts.push(attempt));
+    await scraper.run();
+    assert.match(metricsText, /^scraper_urls_discovered_total [1-6]$/m);
+    assert.ok(attempts.every(({ durationMs }) => durationMs >= 0));
+    const summary = JSON.parse(
+      await readFile(
+        path.join(directory, 'metrics', 'run-summary.json'),
+        'utf8'
+      )
+    );
+    assert.equal(summary.status, 'completed');
+    assert.equal(summary.progress.urlsDiscovered, 6);
+    assert.ok(summary.progress.discoveryCompleted);
+    assert.equal(summary.progress.booksExtracted, 6);
+    assert.equal(summary.requests.attempts, attempts.length);
+    assert.ok(summary.requests.bytesTransferred > 0);
+  });
+
+  it('keeps snapshots of the successful runs and links the latest', async () => {
+    const dataDir = path.join(directory, 'snapshots');
+    const runIds = [];
+    for (let run = 0; run < 2; run++) {
+      const scraper = createScraper({
+        baseUrl: server.baseUrl,
+        dataDir,
+        skipAssets: true,
+        keepSnapshots: 1,
+      });
+      scraper.on('snapshot:saved', ({ runId }) => runIds.push(runId));
+      await scraper.run();
+    }
+    assert.equal(runIds.length, 2);
+    // The older snapshot is removed beyond the number of snapshots to keep
+    assert.deepEqual(await readdir(path.join(dataDir, 'snapshots')), [
+      runIds[1],
+    ]);
+    assert.equal(
+      await readlink(path.join(dataDir, 'latest')),
+      path.join('snapshots', runIds[1])
+    );
+    const snapshotBookData = JSON.parse(
+      await readFile(path.join(dataDir, 'latest', 'book-data.json'), 'utf8')
+    );
+    assert.equal(snapshotBookData.length, 6);
+    // The lock of the data directory is released once the job is over
+    assert.ok(!(await readdir(dataDir)).includes(JOB_LOCK_FILE));
+  });
+
+  it('does not run while another job holds the lock', async () => {
+    const dataDir = path.join(directory, 'locked');
+    await mkdir(dataDir, { recursive: true });
+    await writeFile(
+      path.join(dataDir, JOB_LOCK_FILE),
+      JSON.stringify({ pid: process.pid, hostname: hostname() })
+    );
+    const scraper = createScraper({ baseUrl: server.baseUrl, dataDir });
+    await assert.rejects(scraper.run(), {
+      name: 'JobLockedError',
+      pid: process.pid,
+    });
+    assert.ok(!(await readdir(dataDir)).includes('book-data.json'));
+  });
+
+  it('forwards the logs to an injected logger', async () => {
+    const messages = [];
+    const collect = (message) => messages.push(message);
+    const scraper = createScraper({
+      baseUrl: server.baseUrl,
+      dataDir: path.join(directory, 'logger'),
+      skipAssets: true,
+      logger: { error: collect, warn: collect, info: collect, debug: collect },
+    });
+    const transportCount = logger.transports.length;
+    logger.silent = false;
+    try {
+      const running = scraper.run();
+      // Logs which do not belong to the run of the job are not forwarded
+      logger.info('Outside the job');
+      await running;
+    } finally {
+      logger.silent = true;
+    }
+    assert.ok(messages.includes('Book data scraping job started'));
+    assert.ok(!messages.includes('Outside the job'));
+    // The forwarding transport is removed once the job completed
+    assert.equal(logger.transports.length, transportCount);
+  });
+});
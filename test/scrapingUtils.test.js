@@ -0,0 +1,302 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { readJsonFile, writeToJsonFile } from '../src/commonUtils.js';
+import { configureHttpClient, configureScheduler } from '../src/crawler.js';
+import { loadCrawlState } from '../src/crawlState.js';
+import { createFailureManifest, listFailures } from '../src/failureManifest.js';
+import logger from '../src/logger.js';
+import {
+  constructAllBookPageUrls,
+  constructCatalogPageUrls,
+  discoverCatalogPageUrls,
+  downloadBookImages,
+  extractAllBookInfo,
+  extractBookInfo,
+} from '../src/scrapingUtils.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+
+logger.silent = true;
+configureScheduler({ requestsPerSecond: 0 });
+configureHttpClient({ retries: 1, baseDelayMs: 1 });
+
+describe('scrapingUtils', () => {
+  let server;
+  let dataDirectory;
+
+  before(async () => {
+    server = await startFixtureServer('books.toscrape.com');
+    dataDirectory = await mkdtemp(path.join(tmpdir(), 'scraping-utils-'));
+  });
+
+  after(async () => {
+    await server.close();
+    await rm(dataDirectory, { recursive: true, force: true });
+  });
+
+  it('constructs the catalog page URLs from the page count', async () => {
+    assert.deepEqual(await constructCatalogPageUrls(server.baseUrl), [
+      `${server.baseUrl}catalogue/page-1.html`,
+      `${server.baseUrl}catalogue/page-2.html`,
+    ]);
+  });
+
+  it('discovers catalog pages by following the next page links', async () => {
+    const crawlState = await loadCrawlState(
+      path.join(dataDirectory, 'discovery-state.json'),
+      'discovery',
+      false
+    );
+    const startUrl = `${server.baseUrl}catalogue/category/books/mystery_3/index.html`;
+    const catalogPageUrls = await discoverCatalogPageUrls(startUrl, crawlState);
+    await crawlState.flush();
+
+    assert.deepEqual(catalogPageUrls, [
+      startUrl,
+      `${server.baseUrl}catalogue/category/books/mystery_3/page-2.html`,
+    ]);
+    // The book links of the visited pages are recorded on the way
+    assert.deepEqual(crawlState.getCatalogPage(catalogPageUrls[1]), [
+      `${server.baseUrl}catalogue/in-a-dark-dark-wood_963/index.html`,
+    ]);
+  });
+
+  it('stops following the next page links at a page already visited', async () => {
+    const servePage = (nextHref) => (request, response) => {
+      response.writeHead(200, { 'content-type': 'text/html' });
+      response.end(
+        `<ul class="pager"><li class="next"><a href="${nextHref}">next</a></li></ul>`
+      );
+    };
+    server.route('/loop/page-1.html', servePage('page-2.html'));
+    server.route('/loop/page-2.html', servePage('/loop/page-1.html'));
+    try {
+      assert.deepEqual(
+        await discoverCatalogPageUrls(`${server.baseUrl}loop/page-1.html`),
+        [
+          `${server.baseUrl}loop/page-1.html`,
+          `${server.baseUrl}loop/page-2.html`,
+        ]
+      );
+    } finally {
+      server.route('/loop/page-1.html', null);
+      server.route('/loop/page-2.html', null);
+    }
+  });
+
+  it('records the catalog page which could not be loaded and stops there', async () => {
+    const failures = createFailureManifest();
+    const startUrl = `${server.baseUrl}catalogue/category/books/mystery_3/index.html`;
+    const nextUrl = `${server.baseUrl}catalogue/category/books/mystery_3/page-2.html`;
+    server.route(
+      '/catalogue/category/books/mystery_3/page-2.html',
+      (request, response) => {
+        response.writeHead(500, { 'content-type': 'text/plain' });
+        response.end('Internal Server Error');
+      }
+    );
+    try {
+      assert.deepEqual(
+        await discoverCatalogPageUrls(startUrl, undefined, failures),
+        [startUrl]
+      );
+    } finally {
+      server.route('/catalogue/category/books/mystery_3/page-2.html', null);
+    }
+    assert.deepEqual(
+      listFailures(failures.summarize(), 'discovery').map(({ url }) => url),
+      [nextUrl]
+    );
+  });
+
+  it('constructs the book page URLs of all catalog pages', async () => {
+    const bookPageUrls = await constructAllBookPageUrls([
+      `${server.baseUrl}catalogue/page-1.html`,
+      `${server.baseUrl}catalogue/page-2.html`,
+      `${server.baseUrl}catalogue/page-3.html`,
+    ]);
+    assert.equal(bookPageUrls.length, 6);
+    assert.ok(
+      bookPageUrls.includes(
+        `${server.baseUrl}catalogue/sharp-objects_997/index.html`
+      )
+    );
+  });
+
+  it('extracts a typed book record from a book page', async () => {
+    const record = await extractBookInfo(
+      `${server.baseUrl}catalogue/sharp-objects_997/index.html`
+    );
+    assert.equal(record.upc, 'e00eb4fd7b871a48');
+    assert.equal(record.title, 'Sharp Objects');
+    assert.equal(record.category, 'Mystery');
+    assert.equal(record.rating, 4);
+    assert.equal(record.currency, 'GBP');
+    assert.equal(record.priceInclTax, 47.82);
+    assert.equal(record.stockCount, 20);
+    assert.equal(
+      record.imageUrl,
+      `${server.baseUrl}media/cache/08/e9/08e94f3731d7d6b760dfbfbc02ca5c62.jpg`
+    );
+  });
+
+  it('extracts partial records from broken book pages', async () => {
+    const failures = createFailureManifest();
+    const bookData = await extractAllBookInfo(
+      [
+        `${server.baseUrl}catalogue/its-only-the-himalayas_981/index.html`,
+        `${server.baseUrl}catalogue/the-untitled-manuscript_901/index.html`,
+        `${server.baseUrl}catalogue/the-unrated-almanac_902/index.html`,
+        `${server.baseUrl}catalogue/the-coverless-atlas_903/index.html`,
+        `${server.baseUrl}catalogue/missing-book_0/index.html`,
+      ],
+      undefined,
+      failures
+    );
+
+    assert.deepEqual(
+      bookData.map(({ upc, missingFields }) => ({ upc, missingFields })),
+      [
+        { upc: 'a22124811bfa8350', missingFields: [] },
+        { upc: 'b000000000000901', missingFields: ['title'] },
+        { upc: 'b000000000000902', missingFields: ['rating'] },
+        { upc: 'b000000000000903', missingFields: ['imageUrl'] },
+      ]
+    );
+    assert.equal(bookData[1].title, null);
+    assert.equal(bookData[1].rating, 2);
+
+    const { totalFailures, errors } = failures.summarize();
+    assert.equal(totalFailures, 4);
+    assert.deepEqual(Object.keys(errors).sort(), [
+      'BookImageURLFoundError',
+      'BookRatingNotFoundError',
+      'BookTitleNotFoundError',
+      'UnsuccessfulResponseError',
+    ]);
+    assert.deepEqual(errors.UnsuccessfulResponseError, [
+      {
+        url: `${server.baseUrl}catalogue/missing-book_0/index.html`,
+        phase: 'extraction',
+        message: `Unsuccessful network response with status 404 returned for ${server.baseUrl}catalogue/missing-book_0/index.html after 1 attempt(s)`,
+        cause: null,
+      },
+    ]);
+  });
+
+  it('does not record partial records as finished work', async () => {
+    const crawlState = await loadCrawlState(
+      path.join(dataDirectory, 'partial-state.json'),
+      'partial',
+      false
+    );
+    const completeUrl = `${server.baseUrl}catalogue/sharp-objects_997/index.html`;
+    const partialUrl = `${server.baseUrl}catalogue/the-coverless-atlas_903/index.html`;
+    await extractAllBookInfo([completeUrl, partialUrl], crawlState);
+    await crawlState.flush();
+
+    assert.equal(crawlState.getRecord(completeUrl).upc, 'e00eb4fd7b871a48');
+    assert.equal(crawlState.getRecord(partialUrl), undefined);
+  });
+
+  it('downloads book images into the asset manifest', async () => {
+    const imageDirectory = path.join(dataDirectory, 'images');
+    const imageUrl = `${server.baseUrl}media/cache/fe/72/fe72f0532301ec28892ae79a629a293c.jpg`;
+    const imageData = [{ url: imageUrl, identifier: 'a897fe39b1053632' }];
+    const results = await downloadBookImages(imageData, imageDirectory);
+
+    const image = await readFile(
+      path.join(imageDirectory, 'a897fe39b1053632.jpg')
+    );
+    const entry = {
+      url: imageUrl,
+      file: 'a897fe39b1053632.jpg',
+      mimeType: 'image/jpeg',
+      size: image.length,
+      sha256: createHash('sha256').update(image).digest('hex'),
+    };
+    assert.deepEqual(results, [{ status: 'fulfilled', value: entry }]);
+    assert.deepEqual(
+      await readJsonFile(path.join(imageDirectory, 'manifest.json')),
+      { a897fe39b1053632: entry }
+    );
+  });
+
+  it('skips book images saved with a matching size and hash', async () => {
+    const imageDirectory = path.join(dataDirectory, 'skipped-images');
+    const imageData = [
+      {
+        url: `${server.baseUrl}media/cache/08/e9/08e94f3731d7d6b760dfbfbc02ca5c62.jpg`,
+        identifier: 'e00eb4fd7b871a48',
+      },
+    ];
+    await downloadBookImages(imageData, imageDirectory);
+    const requestCount = server.requests.length;
+    await downloadBookImages(imageData, imageDirectory);
+    assert.equal(server.requests.length, requestCount);
+
+    // A damaged file is downloaded again
+    const imageFilePath = path.join(imageDirectory, 'e00eb4fd7b871a48.jpg');
+    await writeFile(imageFilePath, 'damaged');
+    await downloadBookImages(imageData, imageDirectory);
+    assert.equal(server.requests.length, requestCount + 1);
+    assert.notEqual(await readFile(imageFilePath, 'utf8'), 'damaged');
+  });
+
+  it('removes the files of an image saved under another name', async () => {
+    const imageDirectory = path.join(dataDirectory, 'renamed-images');
+    const imageData = [
+      {
+        url: `${server.baseUrl}media/cache/fe/72/fe72f0532301ec28892ae79a629a293c.jpg`,
+        identifier: 'a897fe39b1053632',
+      },
+    ];
+    await downloadBookImages(imageData, imageDirectory);
+    // An image of a previous run saved as PNG along with a derived image
+    const manifestFilePath = path.join(imageDirectory, 'manifest.json');
+    const manifest = await readJsonFile(manifestFilePath);
+    await rm(path.join(imageDirectory, 'a897fe39b1053632.jpg'));
+    await writeFile(path.join(imageDirectory, 'a897fe39b1053632.png'), 'png');
+    await writeFile(
+      path.join(imageDirectory, 'a897fe39b1053632-100w.png'),
+      'png'
+    );
+    await writeToJsonFile(manifestFilePath, {
+      a897fe39b1053632: {
+        ...manifest.a897fe39b1053632,
+        file: 'a897fe39b1053632.png',
+        image: { variants: [{ file: 'a897fe39b1053632-100w.png' }] },
+      },
+    });
+
+    await downloadBookImages(imageData, imageDirectory);
+    assert.deepEqual((await readdir(imageDirectory)).sort(), [
+      'a897fe39b1053632.jpg',
+      'manifest.json',
+    ]);
+  });
+
+  it('skips book images recorded as downloaded in the crawl state', async () => {
+    const crawlState = await loadCrawlState(
+      path.join(dataDirectory, 'download-state.json'),
+      'images',
+      false
+    );
+    const imageData = [
+      {
+        url: `${server.baseUrl}media/cache/6d/41/6d418a73cc7d4ecfd75ca11d854041db.jpg`,
+        identifier: 'a22124811bfa8350',
+      },
+    ];
+    const imageDirectory = path.join(dataDirectory, 'resumed-images');
+    await downloadBookImages(imageData, imageDirectory, crawlState);
+    await rm(imageDirectory, { recursive: true });
+    const requestCount = server.requests.length;
+    await downloadBookImages(imageData, imageDirectory, crawlState);
+    await crawlState.flush();
+    assert.equal(server.requests.length, requestCount);
+  });
+});
@@ -0,0 +1,207 @@
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { configureHttpClient, configureScheduler } from '../src/crawler.js';
+import {
+  InvalidArgumentError,
+  InvalidSiteDefinitionError,
+} from '../src/errors.js';
+import logger from '../src/logger.js';
+import {
+  extractFields,
+  extractSiteRecords,
+  loadSiteDefinition,
+  validateSiteDefinition,
+} from '../src/siteEngine.js';
+import {
+  readFixturePage,
+  startFixtureServer,
+} from './helpers/fixtureServer.js';
+
+logger.silent = true;
+configureScheduler({ requestsPerSecond: 0 });
+configureHttpClient({ retries: 0 });
+
+// Book pages of the recorded catalog pages
+const BOOK_PAGE_PATHS = [
+  '/catalogue/a-light-in-the-attic_1000/index.html',
+  '/catalogue/shakespeares-sonnets_989/index.html',
+  '/catalogue/its-only-the-himalayas_981/index.html',
+  '/catalogue/full-moon-over-noahs-ark-an-odyssey-to-mount-ararat-and-beyond_811/index.html',
+  '/catalogue/sharp-objects_997/index.html',
+  '/catalogue/in-a-dark-dark-wood_963/index.html',
+];
+
+describe('extractFields', () => {
+  it('processes the values of the fields', () => {
+    const $ = cheerio.load(`
+      <p class="price">Price: 1,234.50</p>
+      <p class="count">12 available</p>
+      <a href="/next.html">Next</a>
+      <ul><li>a</li><li> </li><li>b</li><li>c</li></ul>
+    `);
+    const record = extractFields(
+      $,
+      $.root(),
+      {
+        price: { selector: '.price', regex: '([\\d,.]+)', type: 'number' },
+        count: { selector: '.count', type: 'integer', regex: '(\\d+)' },
+        next: { selector: 'a', attribute: 'href', type: 'url' },
+        last: { selector: 'li', index: -1 },
+        all: { selector: 'li', all: true },
+        missing: { selector: '.missing' },
+        unmatched: { selector: '.count', regex: 'sold out' },
+      },
+      'http://example.com/list/page.html'
+    );
+    assert.deepEqual(record, {
+      price: 1234.5,
+      count: 12,
+      next: 'http://example.com/next.html',
+      last: 'c',
+      all: ['a', 'b', 'c'],
+      missing: null,
+      unmatched: null,
+    });
+  });
+});
+
+describe('validateSiteDefinition', () => {
+  const definition = {
+    name: 'books',
+    baseUrl: 'http://books.toscrape.com/',
+    listPages: {
+      pagination: {
+        type: 'pageCount',
+        selector: 'li.current',
+        urlTemplate: 'catalogue/page-{page}.html',
+      },
+    },
+    detailLinks: { selector: '.product_pod h3 a' },
+    fields: { title: { selector: 'h1' } },
+  };
+
+  it('accepts a valid site definition', () => {
+    validateSiteDefinition(definition);
+  });
+
+  it('rejects a site definition missing what it needs', () => {
+    const invalidDefinitions = [
+      { ...definition, name: '../books' },
+      { ...definition, baseUrl: 'books.toscrape.com' },
+      { ...definition, listPages: { startUrls: 'index.html' } },
+      {
+        ...definition,
+        listPages: { pagination: { type: 'pageCount', selector: 'li' } },
+      },
+      {
+        ...definition,
+        listPages: {
+          pagination: { type: 'pageCount', selector: 'li', urlTemplate: 'x' },
+        },
+      },
+      { ...definition, listPages: { pagination: { type: 'nextLink' } } },
+      { ...definition, listPages: { pagination: { type: 'infinite' } } },
+      { ...definition, items: { selector: '.item', fields: {} } },
+      { ...definition, detailLinks: {} },
+      { ...definition, fields: { price: { type: 'money' } } },
+      { ...definition, fields: { price: { regex: '(' } } },
+      { ...definition, assets: [{ field: 'imageUrl' }] },
+    ];
+    invalidDefinitions.forEach((invalidDefinition) =>
+      assert.throws(
+        () => validateSiteDefinition(invalidDefinition),
+        InvalidArgumentError
+      )
+    );
+  });
+});
+
+describe('loadSiteDefinition', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'site-definition-'));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('loads the site definitions of the sites directory', async () => {
+    for (const name of ['books.toscrape.com', 'quotes.toscrape.com']) {
+      const definition = await loadSiteDefinition(`sites/${name}.json`);
+      assert.equal(new URL(definition.baseUrl).host, name);
+    }
+  });
+
+  it('reports the file of an invalid site definition', async () => {
+    const filePath = path.join(directory, 'invalid.json');
+    await writeFile(filePath, JSON.stringify({ name: 'invalid' }));
+    await assert.rejects(loadSiteDefinition(filePath), {
+      name: InvalidSiteDefinitionError.name,
+      message: `Invalid site definition ${filePath}: baseUrl must be an absolute URL`,
+    });
+    await assert.rejects(
+      loadSiteDefinition(path.join(directory, 'missing.json')),
+      InvalidSiteDefinitionError
+    );
+  });
+});
+
+describe('extractSiteRecords', () => {
+  let server;
+
+  before(async () => {
+    server = await startFixtureServer('books.toscrape.com');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('loads a bounded number of detail pages at once', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    BOOK_PAGE_PATHS.forEach((pagePath) =>
+      server.route(pagePath, async (request, response) => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        const page = await readFixturePage('books.toscrape.com', pagePath);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        --inFlight;
+        response.writeHead(200, { 'content-type': 'text/html' });
+        response.end(page);
+      })
+    );
+    try {
+      const definition = {
+        ...(await loadSiteDefinition('sites/books.toscrape.com.json')),
+        baseUrl: server.baseUrl,
+      };
+      const records = await extractSiteRecords(definition, 2);
+      assert.equal(records.length, 6);
+      assert.equal(records[0].title, 'A Light in the Attic');
+      assert.equal(maxInFlight, 2);
+    } finally {
+      BOOK_PAGE_PATHS.forEach((pagePath) => server.route(pagePath, null));
+    }
+  });
+
+  it('rejects an invalid site definition before loading any page', async () => {
+    const requestCount = server.requests.length;
+    await assert.rejects(
+      extractSiteRecords({
+        name: 'books',
+        baseUrl: server.baseUrl,
+        listPages: { pagination: { type: 'pageCount', selector: 'li' } },
+        detailLinks: { selector: 'a' },
+        fields: {},
+      }),
+      InvalidArgumentError
+    );
+    assert.equal(server.requests.length, requestCount);
+  });
+});
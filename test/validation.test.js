@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createQualityReport, validateRecord } from '../src/validation.js';
+
+const BOOK = {
+  url: 'http://books.toscrape.com/catalogue/a-light-in-the-attic_1000/index.html',
+  upc: 'a897fe39b1053632',
+  title: 'A Light in the Attic',
+  category: 'Poetry',
+  categoryId: 23,
+  rating: 3,
+  description: 'It’s hard to imagine a world without A Light in the Attic.',
+  imageUrl:
+    'http://books.toscrape.com/media/cache/fe/72/fe72f0532301ec28892ae79a629a293c.jpg',
+  productType: 'Books',
+  currency: 'GBP',
+  priceExclTax: 51.77,
+  priceInclTax: 51.77,
+  tax: 0,
+  inStock: true,
+  stockCount: 22,
+  reviewCount: 0,
+};
+
+describe('validateRecord', () => {
+  it('accepts a complete book record', () => {
+    assert.deepEqual(validateRecord(BOOK), []);
+  });
+
+  it('reports the first rule violated by each field', () => {
+    assert.deepEqual(
+      validateRecord({
+        ...BOOK,
+        url: 'ftp://books.toscrape.com/',
+        upc: 'A897FE39',
+        title: '  ',
+        categoryId: 1.5,
+        rating: 6,
+        description: null,
+        priceInclTax: -1,
+        inStock: 'yes',
+      }),
+      [
+        { field: 'url', rule: 'format' },
+        { field: 'upc', rule: 'pattern' },
+        { field: 'title', rule: 'minLength' },
+        { field: 'categoryId', rule: 'type' },
+        { field: 'rating', rule: 'max' },
+        { field: 'description', rule: 'required' },
+        { field: 'priceInclTax', rule: 'min' },
+        { field: 'inStock', rule: 'type' },
+      ]
+    );
+  });
+
+  it('validates a record against the given schema', () => {
+    const schema = { name: { type: 'string' }, count: { type: 'integer' } };
+    assert.deepEqual(validateRecord({}, schema), []);
+    assert.deepEqual(validateRecord({ name: 1, count: 2 }, schema), [
+      { field: 'name', rule: 'type' },
+    ]);
+  });
+});
+
+describe('createQualityReport', () => {
+  it('counts the violations of each field', () => {
+    const report = createQualityReport();
+    assert.deepEqual(report.add(BOOK), []);
+    report.add({ ...BOOK, url: 'http://books.toscrape.com/1', rating: null });
+    report.add({ ...BOOK, url: 'http://books.toscrape.com/2', rating: 0 });
+    report.add({ ...BOOK, url: 'http://books.toscrape.com/3', tax: NaN });
+
+    const summary = report.summarize(0.5);
+    assert.equal(summary.totalRecords, 4);
+    assert.equal(summary.invalidRecords, 3);
+    assert.equal(summary.failureRate, 0.75);
+    assert.equal(summary.passed, false);
+    assert.deepEqual(summary.fields.rating, {
+      failures: 2,
+      rules: { required: 1, min: 1 },
+      sampleUrls: [
+        'http://books.toscrape.com/1',
+        'http://books.toscrape.com/2',
+      ],
+    });
+    assert.deepEqual(summary.fields.tax.rules, { type: 1 });
+    assert.equal(summary.fields.title.failures, 0);
+  });
+
+  it('keeps a bounded number of sample URLs', () => {
+    const report = createQualityReport();
+    for (let index = 0; index < 10; ++index) {
+      report.add({
+        ...BOOK,
+        url: `http://books.toscrape.com/${index}`,
+        upc: '',
+      });
+    }
+    const { fields, passed } = report.summarize(1);
+    assert.equal(fields.upc.failures, 10);
+    assert.equal(fields.upc.sampleUrls.length, 5);
+    assert.equal(passed, true);
+  });
+
+  it('passes an empty report', () => {
+    const summary = createQualityReport().summarize(0);
+    assert.equal(summary.failureRate, 0);
+    assert.equal(summary.passed, true);
+  });
+});
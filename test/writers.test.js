@@ -0,0 +1,205 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import initSqlJs from 'sql.js';
+import { FileWriteError } from '../src/errors.js';
+import {
+  combineWriters,
+  createBookDataWriter,
+  createJsonWriter,
+} from '../src/writers.js';
+
+const BOOKS = [
+  {
+    url: 'http://books.toscrape.com/catalogue/a-light-in-the-attic_1000/index.html',
+    upc: 'a897fe39b1053632',
+    title: 'A Light in the Attic',
+    category: 'Poetry',
+    categoryId: 23,
+    rating: 3,
+    priceInclTax: 51.77,
+    inStock: true,
+    stockCount: 22,
+  },
+  {
+    url: 'http://books.toscrape.com/catalogue/sharp-objects_997/index.html',
+    upc: 'e00eb4fd7b871a48',
+    title: 'Sharp Objects, "a novel"',
+    category: 'Mystery',
+    categoryId: 3,
+    rating: 4,
+    priceInclTax: 47.82,
+    inStock: false,
+    stockCount: 0,
+  },
+];
+
+/**
+ * Write the book records with a writer and close it
+ * @param {BookDataWriter} writer The book data writer
+ * @param {Object[]} records The book records
+ * @returns {Promise<void>} A promise which resolves once the writer is closed
+ */
+const writeAll = async (writer, records) => {
+  for (const record of records) {
+    await writer.write(record);
+  }
+  await writer.close();
+};
+
+describe('createBookDataWriter', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'writers-'));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('writes the records in every selected format', async () => {
+    const dataDirectory = path.join(directory, 'formats');
+    const writer = await createBookDataWriter(dataDirectory, [
+      'json',
+      'ndjson',
+      'csv',
+      'sqlite',
+      'json',
+    ]);
+    assert.deepEqual(
+      writer.destinations.map((filePath) => path.basename(filePath)),
+      [
+        'book-data.json',
+        'book-data.ndjson',
+        'book-data.csv',
+        'book-data.sqlite',
+      ]
+    );
+    await writeAll(writer, BOOKS);
+
+    const read = (file) => readFile(path.join(dataDirectory, file), 'utf8');
+    assert.deepEqual(JSON.parse(await read('book-data.json')), BOOKS);
+    assert.deepEqual(
+      (await read('book-data.ndjson'))
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line)),
+      BOOKS
+    );
+    const csvLines = (await read('book-data.csv')).trim().split('\n');
+    assert.equal(csvLines.length, 3);
+    assert.ok(csvLines[0].startsWith('URL,UPC,Title,Category,Category ID'));
+    assert.ok(csvLines[2].includes(',"Sharp Objects, ""a novel""",Mystery,3,'));
+
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(
+      await readFile(path.join(dataDirectory, 'book-data.sqlite'))
+    );
+    try {
+      assert.deepEqual(
+        db.exec(
+          'SELECT b.upc, c.name, b.in_stock FROM books b JOIN categories c ON c.id = b.category_id ORDER BY b.upc'
+        )[0].values,
+        [
+          ['a897fe39b1053632', 'Poetry', 1],
+          ['e00eb4fd7b871a48', 'Mystery', 0],
+        ]
+      );
+    } finally {
+      db.close();
+    }
+    assert.deepEqual(
+      (await readdir(dataDirectory)).filter((file) => file.endsWith('.tmp')),
+      []
+    );
+  });
+
+  it('replaces the files of the previous run only once complete', async () => {
+    const dataDirectory = path.join(directory, 'atomic');
+    await writeAll(await createBookDataWriter(dataDirectory, ['json']), BOOKS);
+    const filePath = path.join(dataDirectory, 'book-data.json');
+
+    const writer = await createBookDataWriter(dataDirectory, [
+      'json',
+      'sqlite',
+    ]);
+    await writer.write(BOOKS[0]);
+    assert.deepEqual(JSON.parse(await readFile(filePath, 'utf8')), BOOKS);
+    await writer.discard();
+    assert.deepEqual(JSON.parse(await readFile(filePath, 'utf8')), BOOKS);
+    assert.deepEqual(await readdir(dataDirectory), ['book-data.json']);
+  });
+
+  it('discards the created writers if another one could not be created', async () => {
+    // The data directory cannot be created over a file, while the SQLite
+    // database is only written once closed
+    const dataDirectory = path.join(directory, 'not-a-directory');
+    await writeFile(dataDirectory, '');
+    await assert.rejects(
+      createBookDataWriter(dataDirectory, ['sqlite', 'json']),
+      FileWriteError
+    );
+    assert.equal(await readFile(dataDirectory, 'utf8'), '');
+  });
+});
+
+describe('combineWriters', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'writers-'));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('discards every writer once a write fails', async () => {
+    const filePath = path.join(directory, 'book-data.json');
+    await writeFile(filePath, '[]');
+    let sinkClosed = false;
+    const writer = combineWriters([
+      await createJsonWriter(filePath),
+      {
+        destinations: [],
+        write: async () => {
+          throw new Error('Sink unavailable');
+        },
+        close: async () => {
+          sinkClosed = true;
+        },
+      },
+    ]);
+    await assert.rejects(writer.write(BOOKS[0]), {
+      message: 'Sink unavailable',
+    });
+    assert.ok(sinkClosed);
+    assert.equal(await readFile(filePath, 'utf8'), '[]');
+    assert.deepEqual(await readdir(directory), ['book-data.json']);
+    // The writers are finished already
+    await writer.close();
+  });
+
+  it('closes every writer even if one of them fails', async () => {
+    let closed = 0;
+    const writer = combineWriters([
+      {
+        write: async () => {},
+        close: async () => {
+          throw new Error('Close failed');
+        },
+      },
+      {
+        write: async () => {},
+        close: async () => {
+          ++closed;
+        },
+      },
+    ]);
+    await assert.rejects(writer.close(), { message: 'Close failed' });
+    assert.equal(closed, 1);
+  });
+});